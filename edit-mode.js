@@ -13,9 +13,13 @@
  *
  * Deactivate: Ctrl+E / Cmd+E again, or click the ✕ button
  *
+ * Configure: data-* attributes on the script tag or window.EditModeConfig
+ * (selectors, regions, shortcut, ...). Page scripts can use window.EditMode.
+ *
  * How it works:
  *   On load, the original HTML source is fetched and kept in memory.
- *   Edits are collected as text diffs and patched into the original source.
+ *   Editable elements are mapped to the source range of their text, and
+ *   edits are patched into exactly those ranges of the original source.
  *   If source patching succeeds, the saved file is byte-for-byte identical
  *   to the original except for changed text. If patching fails, fallback
  *   save uses the live DOM export.
@@ -27,12 +31,109 @@
 (function () {
   'use strict';
 
-  const EDITABLE_SELECTORS = 'h1,h2,h3,h4,h5,h6,p,span,li,a,button,label,td,th,blockquote,figcaption,caption,dt,dd,summary,legend';
+  const DEFAULT_CONFIG = {
+    selectors: 'h1,h2,h3,h4,h5,h6,p,span,li,a,button,label,td,th,blockquote,figcaption,caption,dt,dd,summary,legend',
+    include: null,
+    exclude: null,
+    strict: false,
+    validation: 'block',
+    observe: true,
+    locale: null,
+    sourcePage: null,
+    bundleFormat: 'json',
+    suggest: false,
+    author: null,
+    collabUrl: null,
+    collabRoom: null,
+    removeScriptOnSave: false,
+    publishFormat: 'html',
+    imageMode: 'inline',
+    imageFolder: 'images',
+    imageMaxSize: 2000,
+    imageMaxBytes: 1024 * 1024,
+    debug: false,
+    filename: '{title}_{date}_{time}',
+    toolbarPosition: 'bottom',
+    shortcut: ['mod+e', 'mod+shift+e'],
+    saveAdapter: null,
+    saveUrl: null,
+    saveFormat: 'html'
+  };
+  const TOOLBAR_POSITIONS = {
+    'bottom': 'bottom:24px;left:50%;transform:translateX(-50%);',
+    'top': 'top:24px;left:50%;transform:translateX(-50%);',
+    'bottom-left': 'bottom:24px;left:24px;',
+    'bottom-right': 'bottom:24px;right:24px;',
+    'top-left': 'top:24px;left:24px;',
+    'top-right': 'top:24px;right:24px;'
+  };
+
+  const config = readConfig();
+  // URL of this script, to recognize its tag in saved and published files.
+  const SELF_SCRIPT_URL = document.currentScript && document.currentScript.src ? document.currentScript.src : null;
+  // Elements marked data-edit="on" are editable whatever their tag.
+  const EDIT_MARKER_ATTR = 'data-edit';
+  const EDITABLE_SELECTORS = config.selectors + ',[' + EDIT_MARKER_ATTR + '="on"]';
   const TOOLBAR_ID = 'edit-toolbar';
   const EDIT_CLASS = 'editable-element';
-  const REMOVE_SCRIPT_ON_SAVE = false;
-  const DEBUG_LOGS = false;
+  const REMOVE_SCRIPT_ON_SAVE = config.removeScriptOnSave;
+  const DEBUG_LOGS = config.debug;
   const DIRECT_TEXT_ATTR = 'data-edit-direct-text';
+  const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'noscript', 'template', 'xmp', 'iframe', 'noembed', 'noframes'];
+  const ANCHOR_LOOKAHEAD = 200;
+  const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+  // Opening one of these closes an open <p>, as the HTML parser does.
+  const P_CLOSING_TAGS = ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+  const IMPLIED_END_TAGS = { li: ['li'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'], option: ['option'] };
+
+  const RICH_BLOCK_SELECTORS = 'h1,h2,h3,h4,h5,h6,p,li,blockquote,td,th,figcaption,caption,dt,dd,summary,legend';
+  const RICH_INLINE_TAGS = ['strong', 'b', 'em', 'i', 'u', 's', 'a', 'br', 'code', 'small', 'mark', 'sub', 'sup', 'span'];
+  const RICH_ATTRS = { '*': ['class', 'lang', 'dir', 'title'], a: ['href', 'target', 'rel'] };
+  const RICH_ATTR = 'data-edit-rich';
+  const UI_ATTR = 'data-edit-ui';
+  const CONSTRAINT_SELECTOR = '[data-edit-maxlength],[data-edit-minlength],[data-edit-required],[data-edit-single-line],[data-edit-pattern]';
+  const INVALID_CLASS = 'edit-invalid';
+  const UNTRANSLATED_CLASS = 'edit-untranslated';
+  const BUNDLE_FORMAT = 'edit-mode-bundle';
+  const SUGGESTED_CLASS = 'edit-suggested';
+  const COMMENTED_CLASS = 'edit-commented';
+  const RUNTIME_CLASS = 'edit-runtime';
+  const ATTR_FIELDS = { img: ['src', 'alt', 'title'], a: ['href', 'title'] };
+  // Elements marked data-edit-image take a dropped image as their CSS background.
+  const IMAGE_ATTR = 'data-edit-image';
+  const IMAGE_DROP_CLASS = 'edit-drop-target';
+  // Formats a canvas can write; others (SVG, GIF, ...) are kept as they are.
+  const RESIZABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+  const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/svg+xml': 'svg', 'image/avif': 'avif' };
+  const DATA_URI_PATTERN = /data:image\/[a-z0-9.+-]+;base64,[a-z0-9+\/]+=*/gi;
+  // Attribute used to tell apart elements of one tag when aligning them with the source.
+  const ATTR_SIGNATURE = { img: 'src', a: 'href' };
+  // Fields of the Page settings panel: the <title> and <meta> tags by name
+  // or property. `max` is about what search results and social cards show.
+  const PAGE_FIELDS = [
+    { key: 'title', group: 'Search', label: 'Page title', max: 60 },
+    { key: 'description', group: 'Search', label: 'Meta description', max: 160, multiline: true },
+    { key: 'og:title', group: 'Open Graph', label: 'Title', max: 90, fallback: 'title' },
+    { key: 'og:description', group: 'Open Graph', label: 'Description', max: 200, multiline: true, fallback: 'description' },
+    { key: 'og:image', group: 'Open Graph', label: 'Image URL', url: true },
+    { key: 'og:url', group: 'Open Graph', label: 'Page URL', url: true },
+    { key: 'og:type', group: 'Open Graph', label: 'Type', options: ['website', 'article', 'profile', 'product'] },
+    { key: 'twitter:card', group: 'Twitter', label: 'Card', options: ['summary', 'summary_large_image', 'app', 'player'] },
+    { key: 'twitter:title', group: 'Twitter', label: 'Title', max: 70, fallback: 'og:title' },
+    { key: 'twitter:description', group: 'Twitter', label: 'Description', max: 200, multiline: true, fallback: 'og:description' },
+    { key: 'twitter:image', group: 'Twitter', label: 'Image URL', url: true, fallback: 'og:image' }
+  ];
+  const JSON_LD_TYPE = 'application/ld+json';
+  const REPEAT_ATTR = 'data-edit-repeat';
+  const REPEAT_ACTIVE_CLASS = 'edit-repeat-active';
+  // Keyboard shortcuts while editing: next and previous editable element,
+  // the toolbar, and the next accessibility issue.
+  const NAV_SHORTCUTS = { next: 'alt+shift+n', previous: 'alt+shift+p', toolbar: 'alt+shift+t', issue: 'alt+shift+a' };
+  const HEADING_SELECTOR = 'h1,h2,h3,h4,h5,h6';
+  const A11Y_CLASS = 'edit-a11y-issue';
+  // Set while moving around with the keyboard: outlines every editable element.
+  const KEYBOARD_CLASS = 'edit-keyboard';
+  const ANNOUNCE_DELAY_MS = 100;
 
   let editActive = false;
   let styleEl = null;
@@ -41,12 +142,132 @@
   // ── Capture original HTML source BEFORE any JS modifies the DOM ──
   let originalHTML = null;
 
+  // Parsed sources by document (the page and same-origin frames) and the
+  // element -> source range map for this session.
+  let sourceIndexes = new WeakMap();
+  let sourceAnchors = new WeakMap();
+  let sourceAnchorsReady = false;
+  let decoderEl = null;
+  let decodedView = null;
+
+  // Formatting mode: blocks promoted to inline-markup editing, with their baselines.
+  let formatActive = false;
+  let richBlocks = new WeakMap();
+
+  // Attribute editing: element -> { attr: value before this session }.
+  let attrBaselines = new Map();
+  let tagAnchors = new Map();
+  let popoverEl = null;
+  let popoverTarget = null;
+
+  // Replaced images: data URI -> file name to bundle it under, and the
+  // element a file is being dragged over.
+  let imageNames = new Map();
+  let imageDropTarget = null;
+
+  // Page settings: head metadata as the session started, the page's JSON-LD
+  // <script> elements (the last one a spare that is added to <head> once it
+  // is filled in) and the open panel.
+  let pageBaseline = null;
+  let pageScripts = [];
+  let pagePanelEl = null;
+
+  // Repeatable blocks: container -> { items, texts } as the session
+  // started, copies -> the element they were copied from, and ids that
+  // history states use to name items.
+  let repeatBaselines = new Map();
+  let repeatOrigins = new WeakMap();
+  let repeatIds = new WeakMap();
+  let repeatElements = new Map();
+  let repeatControlsEl = null;
+  let repeatControlsItem = null;
+
+  // Session history: each entry is a list of steps { kind, target, before, after }.
+  let undoStack = [];
+  let redoStack = [];
+  let lastStates = new WeakMap();
+  let lastEditTarget = null;
+
+  // Autosave: the draft found in localStorage that the user has not restored
+  // yet, and the restored draft's edits that found no target, kept in the
+  // draft until the user discards them.
+  let pendingDraft = null;
+  let skippedDraftEdits = [];
+  let autosaveTimer = null;
+
+  let reviewEl = null;
+
+  // Accessibility: the open confirm dialog and its answer callback, headings
+  // that skipped a level when the session started, the current issues and
+  // the element the last keyboard jump went to.
+  let confirmEl = null;
+  let confirmResolve = null;
+  let headingSkips = null;
+  let a11yIssues = [];
+  let jumpTarget = null;
+
+  // Suggestion mode: changed targets recorded as suggestions (target ->
+  // { id, author, createdAt }) and comments attached to page elements.
+  let suggestMode = false;
+  let suggestions = new Map();
+  let comments = [];
+  let commentPicking = false;
+
+  // Live counter for the focused element with constraints.
+  let constraintHintEl = null;
+  let constraintHintHost = null;
+
+  // Translations: the source-language page's texts by key, the keys of this
+  // page's texts by source offset, and the hint showing the source text.
+  let sourceLanguage = null;
+  let pageEntries = null;
+  let sourceHintEl = null;
+
+  // Live collaboration: the relay connection, peers by id, element locks
+  // (key -> user id) and the last state seen or sent for each element key.
+  let collabSocket = null;
+  let collabReady = false;
+  let collabBlocked = false;
+  let collabUser = null;
+  let collabPeers = new Map();
+  let collabLocks = new Map();
+  let collabKnown = new Map();
+  let collabSeqs = new Map();
+  let collabOwnLock = null;
+  let collabLayerEl = null;
+  let collabSyncTimer = null;
+  let collabSelectionTimer = null;
+  let collabRetryTimer = null;
+  let collabRetryDelay = 1000;
+
+  // Dynamic content: prepares editable elements the page adds while edit mode is on.
+  let contentObserver = null;
+
+  // Shadow roots and frames: the roots edit mode works in (cached while
+  // active), the ones already set up, the documents with listeners, the
+  // style copies added to them and frame sources by page path.
+  let contentRoots = null;
+  let attachedRoots = [];
+  let listenedDocuments = new WeakSet();
+  let watchedFrames = new WeakSet();
+  let adoptedStyles = [];
+  let frameSources = new Map();
+  let frameFileHandles = new Map();
+
+  // Save adapters: the chosen adapter and a granted file handle.
+  let activeSaveAdapter = config.saveAdapter || (config.saveUrl ? 'post' : 'download');
+  let fileHandle = null;
+  let saveStatusTimer = null;
+
+  // Handlers registered through window.EditMode.on().
+  const eventHandlers = { change: [], beforeSave: [], afterSave: [] };
+
   /**
    * Snapshot original text for every editable element so we can detect
    * what the user changed later.
    */
   function snapshotOriginalTexts() {
-    document.querySelectorAll(EDITABLE_SELECTORS).forEach(el => {
+    queryAllDeep(EDITABLE_SELECTORS).forEach(el => {
       if (!isEditableTarget(el)) return;
       // Always refresh baseline for the current edit session.
       el.setAttribute('data-edit-orig', el.textContent);
@@ -55,6 +276,114 @@
 
   // ── Helpers ──────────────────────────────────────────────
 
+  /**
+   * Options come from data attributes on the edit-mode <script> tag and
+   * from window.EditModeConfig (which wins), on top of DEFAULT_CONFIG.
+   */
+  function readConfig() {
+    const script = document.currentScript ||
+      Array.from(document.querySelectorAll('script[src]')).find(s => s.src.includes('edit-mode'));
+    const data = script ? script.dataset : {};
+    const fromScript = {
+      selectors: data.selectors,
+      include: data.include,
+      exclude: data.exclude,
+      strict: parseBooleanOption(data.strict),
+      validation: data.validation,
+      observe: parseBooleanOption(data.observe),
+      locale: data.locale,
+      sourcePage: data.sourcePage,
+      bundleFormat: data.bundleFormat,
+      suggest: parseBooleanOption(data.suggest),
+      author: data.author,
+      collabUrl: data.collabUrl,
+      collabRoom: data.collabRoom,
+      removeScriptOnSave: parseBooleanOption(data.removeScript),
+      publishFormat: data.publishFormat,
+      imageMode: data.imageMode,
+      imageFolder: data.imageFolder,
+      imageMaxSize: data.imageMaxSize,
+      imageMaxBytes: data.imageMaxBytes,
+      debug: parseBooleanOption(data.debug),
+      filename: data.filename,
+      toolbarPosition: data.toolbarPosition,
+      shortcut: data.shortcut,
+      saveAdapter: data.saveAdapter,
+      saveUrl: data.saveUrl,
+      saveFormat: data.saveFormat
+    };
+    const fromWindow = window.EditModeConfig && typeof window.EditModeConfig === 'object' ? window.EditModeConfig : {};
+
+    const result = Object.assign({}, DEFAULT_CONFIG);
+    [fromScript, fromWindow].forEach(source => {
+      Object.keys(DEFAULT_CONFIG).forEach(key => {
+        if (source[key] !== undefined && source[key] !== '') result[key] = source[key];
+      });
+    });
+
+    if (Array.isArray(result.selectors)) result.selectors = result.selectors.join(',');
+    if (Array.isArray(result.include)) result.include = result.include.join(',');
+    if (Array.isArray(result.exclude)) result.exclude = result.exclude.join(',');
+    if (typeof result.shortcut === 'string') result.shortcut = result.shortcut.split(',');
+    result.shortcut = (result.shortcut || []).map(combo => String(combo).trim().toLowerCase()).filter(Boolean);
+    if (!TOOLBAR_POSITIONS[result.toolbarPosition]) result.toolbarPosition = DEFAULT_CONFIG.toolbarPosition;
+    result.saveFormat = result.saveFormat === 'changes' ? 'changes' : 'html';
+    result.strict = !!result.strict;
+    result.validation = result.validation === 'warn' ? 'warn' : 'block';
+    result.observe = !!result.observe;
+    result.locale = result.locale || document.documentElement.getAttribute('lang') || null;
+    result.bundleFormat = result.bundleFormat === 'xliff' ? 'xliff' : 'json';
+    result.suggest = !!result.suggest;
+    result.author = result.author ? String(result.author) : null;
+    result.removeScriptOnSave = !!result.removeScriptOnSave;
+    result.publishFormat = result.publishFormat === 'zip' ? 'zip' : 'html';
+    result.imageMode = result.imageMode === 'bundle' ? 'bundle' : 'inline';
+    result.imageMaxSize = Number(result.imageMaxSize) > 0 ? Number(result.imageMaxSize) : DEFAULT_CONFIG.imageMaxSize;
+    result.imageMaxBytes = Number(result.imageMaxBytes) > 0 ? Number(result.imageMaxBytes) : DEFAULT_CONFIG.imageMaxBytes;
+    result.debug = !!result.debug;
+    return result;
+  }
+
+  function parseBooleanOption(value) {
+    if (value === undefined) return undefined;
+    return value === '' || value === 'true';
+  }
+
+  /**
+   * True if the key event matches a combo like "mod+e" or "ctrl+shift+e"
+   * ("mod" is Ctrl or Cmd). Modifiers not named in the combo must be up.
+   */
+  function matchesShortcut(e, combo) {
+    const parts = combo.split('+');
+    const key = parts.pop();
+    const wants = name => parts.includes(name);
+    if (wants('mod') ? !(e.ctrlKey || e.metaKey) : (wants('ctrl') !== e.ctrlKey || wants('meta') !== e.metaKey)) return false;
+    if (wants('alt') !== e.altKey || wants('shift') !== e.shiftKey) return false;
+    return (e.key || '').toLowerCase() === key || e.code === 'Key' + key.toUpperCase() || e.code === 'Digit' + key;
+  }
+
+  function describeShortcut(combo) {
+    return combo.split('+').map(part => {
+      if (part === 'mod' || part === 'ctrl') return 'Ctrl';
+      if (part === 'meta') return 'Cmd';
+      return part.length === 1 ? part.toUpperCase() : part.charAt(0).toUpperCase() + part.slice(1);
+    }).join('+');
+  }
+
+  /**
+   * The nearest data-edit="on"/"off" marker decides; without one the
+   * include/exclude options apply. In strict mode only marked regions
+   * are editable.
+   */
+  function isInEditableRegion(el) {
+    const marker = composedClosest(el, '[' + EDIT_MARKER_ATTR + '="on"],[' + EDIT_MARKER_ATTR + '="off"]');
+    if (marker) return marker.getAttribute(EDIT_MARKER_ATTR) === 'on';
+    if (config.strict) return false;
+    if (config.exclude && composedClosest(el, config.exclude)) return false;
+    if (config.include && !composedClosest(el, config.include)) return false;
+    return true;
+  }
+
   function isTextNode(el) {
     for (const node of el.childNodes) {
       if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) return true;
@@ -69,9 +398,11 @@
     return false;
   }
 
-  function wrapDirectTextNodes() {
-    document.querySelectorAll(EDITABLE_SELECTORS).forEach(el => {
-      if (el.closest('#' + TOOLBAR_ID)) return;
+  function wrapDirectTextNodes(root) {
+    const scope = root ? [root].concat(Array.from(root.querySelectorAll(EDITABLE_SELECTORS))) : queryAllDeep(EDITABLE_SELECTORS);
+    scope.forEach(el => {
+      if (!el.matches(EDITABLE_SELECTORS)) return;
+      if (isEditModeUI(el) || !isInEditableRegion(el)) return;
       if (!hasElementChildren(el)) return;
 
       const children = Array.from(el.childNodes);
@@ -79,7 +410,7 @@
         if (node.nodeType !== Node.TEXT_NODE) return;
         if (!node.textContent || !node.textContent.trim()) return;
 
-        const span = document.createElement('span');
+        const span = el.ownerDocument.createElement('span');
         span.setAttribute(DIRECT_TEXT_ATTR, 'true');
         span.textContent = node.textContent;
         if (node.parentNode) node.parentNode.replaceChild(span, node);
@@ -87,9 +418,10 @@
     });
   }
 
-  function unwrapDirectTextNodes() {
-    document.querySelectorAll('span[' + DIRECT_TEXT_ATTR + ']').forEach(span => {
-      const textNode = document.createTextNode(span.textContent || '');
+  function unwrapDirectTextNodes(root) {
+    const spans = root ? root.querySelectorAll('span[' + DIRECT_TEXT_ATTR + ']') : queryAllDeep('span[' + DIRECT_TEXT_ATTR + ']');
+    spans.forEach(span => {
+      const textNode = span.ownerDocument.createTextNode(span.textContent || '');
       if (span.parentNode) span.parentNode.replaceChild(textNode, span);
     });
   }
@@ -99,7 +431,7 @@
     const descendants = el.querySelectorAll(EDITABLE_SELECTORS);
     for (const child of descendants) {
       if (child === el) continue;
-      if (child.closest('#' + TOOLBAR_ID)) continue;
+      if (isEditModeUI(child)) continue;
       if (isTextNode(child)) return true;
     }
     return false;
@@ -107,15 +439,39 @@
 
   function isEditableTarget(el) {
     if (!el || !el.matches || !el.matches(EDITABLE_SELECTORS)) return false;
-    if (el.closest('#' + TOOLBAR_ID)) return false;
+    if (isEditModeUI(el) || !isInEditableRegion(el)) return false;
     if (!isTextNode(el)) return false;
     // Prefer leaf editable nodes to avoid overlapping parent/child edits.
     if (hasEditableDescendant(el)) return false;
     return true;
   }
 
+  function isEditModeUI(node) {
+    const el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    return !!(el && el.closest('#' + TOOLBAR_ID + ',[' + UI_ATTR + ']'));
+  }
+
   function preventNav(e) { e.preventDefault(); }
 
+  function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function decodeEntities(raw) {
+    if (raw.indexOf('&') === -1) return raw;
+    // A detached textarea parses its content as RCDATA: entities decode, tags stay inert.
+    if (!decoderEl) decoderEl = document.createElement('textarea');
+    decoderEl.innerHTML = raw;
+    return decoderEl.value;
+  }
+
+  /**
+   * Character references as the patcher sees them. References without the
+   * trailing semicolon are left alone, so text using them is matched by
+   * anchor only.
+   */
+  const ENTITY_PATTERN = /&(?:#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi;
+
   function escapeRegex(str) {
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
@@ -126,6 +482,452 @@
     return bodyOpen.index + bodyOpen[0].length;
   }
 
+  // ── Source anchors ──────────────────────────────────────
+
+  /**
+   * Find the index just past the closing '>' of the tag starting at `start`.
+   * Quoted attribute values may contain '>' and are skipped as a whole.
+   */
+  function findTagEnd(html, start) {
+    let quote = null;
+    let prev = '';
+    for (let i = start + 1; i < html.length; i += 1) {
+      const c = html.charAt(i);
+      if (quote) {
+        if (c === quote) quote = null;
+        continue;
+      }
+      if ((c === '"' || c === "'") && prev === '=') {
+        quote = c;
+        continue;
+      }
+      if (c === '>') return i + 1;
+      if (!/\s/.test(c)) prev = c;
+    }
+    return html.length;
+  }
+
+  /**
+   * A declarative shadow root (<template shadowrootmode="open">) holds the
+   * markup of the shadow tree, which is editable like any other.
+   */
+  function isShadowRootTemplate(html, token) {
+    return token.name === 'template' && /\sshadowroot(?:mode)?\s*=/i.test(html.slice(token.start, token.end));
+  }
+
+  /**
+   * Split an HTML string into text, tag, comment and raw-text tokens with
+   * their source offsets. This is a lenient scanner, not a full parser:
+   * it only needs to find where text runs and tags start and end.
+   */
+  function tokenizeSource(html) {
+    const tokens = [];
+    const len = html.length;
+    let pos = 0;
+    let textStart = 0;
+
+    function pushText(end) {
+      if (end > textStart) tokens.push({ type: 'text', start: textStart, end, raw: html.slice(textStart, end) });
+    }
+
+    while (pos < len) {
+      const lt = html.indexOf('<', pos);
+      if (lt === -1) break;
+      const next = html.charAt(lt + 1);
+      let token = null;
+
+      if (html.startsWith('<!--', lt)) {
+        const close = html.indexOf('-->', lt + 4);
+        token = { type: 'comment', start: lt, end: close === -1 ? len : close + 3 };
+      } else if (next === '!' || next === '?') {
+        const close = html.indexOf('>', lt);
+        token = { type: 'declaration', start: lt, end: close === -1 ? len : close + 1 };
+      } else if (/[a-z]/i.test(next) || (next === '/' && /[a-z]/i.test(html.charAt(lt + 2)))) {
+        const end = findTagEnd(html, lt);
+        const closing = next === '/';
+        const nameMatch = html.slice(lt + (closing ? 2 : 1), end).match(/^[^\s/>]+/);
+        token = {
+          type: closing ? 'close' : 'open',
+          start: lt,
+          end,
+          name: nameMatch ? nameMatch[0].toLowerCase() : '',
+          selfClosing: !closing && html.charAt(end - 2) === '/'
+        };
+      }
+
+      if (!token) {
+        // A literal '<' inside text.
+        pos = lt + 1;
+        continue;
+      }
+
+      pushText(lt);
+      tokens.push(token);
+      pos = token.end;
+      textStart = pos;
+
+      if (token.type === 'open' && !token.selfClosing && RAW_TEXT_TAGS.includes(token.name) && !isShadowRootTemplate(html, token)) {
+        const closeRegex = new RegExp('</' + token.name + '\\b', 'ig');
+        closeRegex.lastIndex = pos;
+        const closeMatch = closeRegex.exec(html);
+        const rawEnd = closeMatch ? closeMatch.index : len;
+        if (rawEnd > pos) tokens.push({ type: 'raw', start: pos, end: rawEnd, raw: html.slice(pos, rawEnd) });
+        pos = rawEnd;
+        textStart = pos;
+      }
+    }
+
+    textStart = Math.min(textStart, len);
+    pushText(len);
+    return tokens;
+  }
+
+  /**
+   * Pair open tags with their closing tags (or the point where the parser
+   * would close them implicitly) and record each token's parent open tag.
+   * Open tags get `innerStart`/`innerEnd` offsets of their content.
+   */
+  function linkSourceTree(tokens, length) {
+    const stack = [];
+
+    function closeAt(stackIndex, position) {
+      while (stack.length > stackIndex) {
+        const open = tokens[stack.pop()];
+        if (open.innerEnd == null) open.innerEnd = position;
+      }
+    }
+
+    function closeImplied(name, position) {
+      const top = stack.length ? tokens[stack[stack.length - 1]] : null;
+      if (!top) return;
+      const implied = IMPLIED_END_TAGS[name];
+      if (implied && implied.includes(top.name)) closeAt(stack.length - 1, position);
+      else if (top.name === 'p' && P_CLOSING_TAGS.includes(name)) closeAt(stack.length - 1, position);
+    }
+
+    tokens.forEach((token, i) => {
+      if (token.type === 'open') {
+        closeImplied(token.name, token.start);
+        token.parent = stack.length ? stack[stack.length - 1] : null;
+        token.innerStart = token.end;
+        if (token.selfClosing || VOID_TAGS.includes(token.name)) {
+          token.innerEnd = token.end;
+          return;
+        }
+        stack.push(i);
+        return;
+      }
+      if (token.type === 'close') {
+        for (let k = stack.length - 1; k >= 0; k -= 1) {
+          if (tokens[stack[k]].name !== token.name) continue;
+          closeAt(k + 1, token.start);
+          tokens[stack[k]].innerEnd = token.start;
+          tokens[stack[k]].close = i;
+          stack.length = k;
+          break;
+        }
+        return;
+      }
+      token.parent = stack.length ? stack[stack.length - 1] : null;
+    });
+
+    closeAt(0, length);
+  }
+
+  /**
+   * Tokenize the source of `doc` (the page by default) once and keep the
+   * non-blank body text tokens, each with its trimmed source range and
+   * decoded, normalized text.
+   */
+  function getSourceIndex(doc) {
+    const owner = doc || document;
+    const html = getDocumentSource(owner);
+    if (!html) return null;
+    const cached = sourceIndexes.get(owner);
+    if (cached && cached.html === html) return cached;
+
+    const bodyStart = getBodyContentStartIndex(html);
+    const tokens = tokenizeSource(html);
+    const textTokens = [];
+    linkSourceTree(tokens, html.length);
+
+    tokens.forEach((token, i) => {
+      if (token.type !== 'text' || token.start < bodyStart) return;
+      const leading = token.raw.match(/^\s*/)[0].length;
+      const trailing = token.raw.match(/\s*$/)[0].length;
+      if (leading === token.raw.length) return;
+      textTokens.push({
+        start: token.start + leading,
+        end: token.end - trailing,
+        text: normalizeText(decodeEntities(token.raw)),
+        tokenIndex: i
+      });
+    });
+
+    const index = { html, tokens, textTokens };
+    sourceIndexes.set(owner, index);
+    return index;
+  }
+
+  /**
+   * Walk up from a text token to the enclosing source element named `name`.
+   * `depth` counts same-named ancestors, so nested elements of one tag
+   * resolve to the right level even when the DOM has extra wrappers (tbody).
+   */
+  function findSourceElement(index, tokenIndex, name, depth) {
+    let count = 0;
+    let p = index.tokens[tokenIndex].parent;
+    while (p != null) {
+      const open = index.tokens[p];
+      if (open.name === name) {
+        count += 1;
+        if (count === depth) return open.innerEnd == null ? null : { start: open.innerStart, end: open.innerEnd, token: p };
+      }
+      p = open.parent;
+    }
+    return null;
+  }
+
+  /**
+   * Child nodes of `node` as they are in the source. In a repeatable block
+   * these are its items as the session started, removed ones included and
+   * copies left out, so moving items around does not throw off alignment.
+   */
+  function getSourceOrderChildren(node) {
+    const baseline = repeatBaselines.get(node);
+    if (!baseline) return Array.from(node.childNodes);
+    const children = [];
+    let placed = false;
+    node.childNodes.forEach(child => {
+      if (baseline.items.includes(child) || repeatOrigins.has(child)) {
+        if (!placed) children.push.apply(children, baseline.items);
+        placed = true;
+        return;
+      }
+      children.push(child);
+    });
+    if (!placed) children.push.apply(children, baseline.items);
+    return children;
+  }
+
+  /**
+   * Walk the body in document order and list text units to align with the
+   * source. Editable elements contribute their baseline text (so alignment
+   * still works after the user has typed); other text nodes their live text.
+   */
+  function collectDomTextUnits(root, units) {
+    for (const node of getSourceOrderChildren(root)) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = normalizeText(node.textContent);
+        if (text) units.push({ el: null, text });
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (isEditModeUI(node)) continue;
+      if (RAW_TEXT_TAGS.includes(node.localName)) continue;
+
+      if (richBlocks.has(node)) {
+        richBlocks.get(node).units.forEach((text, i) => {
+          units.push({ el: node, text, rich: i === 0 });
+        });
+        continue;
+      }
+      if (node.hasAttribute('data-edit-orig')) {
+        const text = normalizeText(node.getAttribute('data-edit-orig'));
+        if (text) units.push({ el: node, text });
+        continue;
+      }
+      // Declarative shadow roots come first in the source, before the light children.
+      if (node.shadowRoot) collectDomTextUnits(node.shadowRoot, units);
+      collectDomTextUnits(node, units);
+    }
+    return units;
+  }
+
+  /**
+   * Tie each editable element to the exact source range of its text by
+   * aligning DOM text with source text tokens in document order. Repeated
+   * phrases resolve to the right occurrence because alignment is sequential.
+   * Text that was injected at runtime simply stays unanchored. Frames are
+   * aligned with their own source.
+   */
+  function buildSourceAnchors() {
+    sourceAnchors = new WeakMap();
+    sourceAnchorsReady = false;
+    if (!getSourceIndex(document)) return;
+
+    getSourceDocuments().forEach(doc => {
+      const index = getSourceIndex(doc);
+      if (!doc.body) return;
+      const units = collectDomTextUnits(doc.body, []);
+      const tokens = index.textTokens;
+      let cursor = 0;
+
+      units.forEach(unit => {
+        const limit = Math.min(tokens.length, cursor + ANCHOR_LOOKAHEAD);
+        for (let j = cursor; j < limit; j += 1) {
+          if (tokens[j].text !== unit.text) continue;
+          if (unit.rich) {
+            // Rich blocks are anchored to the inner range of their element.
+            const block = richBlocks.get(unit.el);
+            const range = findSourceElement(index, tokens[j].tokenIndex, unit.el.localName, block.depth);
+            if (range) sourceAnchors.set(unit.el, range);
+          } else if (unit.el && !richBlocks.has(unit.el)) {
+            sourceAnchors.set(unit.el, { start: tokens[j].start, end: tokens[j].end, token: j });
+          }
+          cursor = j + 1;
+          return;
+        }
+      });
+    });
+
+    sourceAnchorsReady = true;
+  }
+
+  function getSourceAnchor(el) {
+    if (!sourceAnchorsReady) buildSourceAnchors();
+    return sourceAnchors.get(el) || null;
+  }
+
+  function resetSourceAnchors() {
+    sourceAnchors = new WeakMap();
+    sourceAnchorsReady = false;
+    tagAnchors = new Map();
+  }
+
+  /**
+   * Parse the attributes of the open tag token at `token` with absolute
+   * offsets of each attribute and of its value (without quotes), and the
+   * decoded value.
+   */
+  function parseSourceAttributes(html, token) {
+    const attrs = [];
+    const raw = html.slice(token.start, token.end);
+    const nameMatch = raw.match(/^<[^\s/>]+/);
+    const regex = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    regex.lastIndex = nameMatch ? nameMatch[0].length : 1;
+
+    let match;
+    while ((match = regex.exec(raw)) !== null) {
+      const quote = match[2] != null ? '"' : match[3] != null ? "'" : '';
+      const value = match[2] != null ? match[2] : match[3] != null ? match[3] : match[4];
+      const start = token.start + match.index;
+      const attr = { name: match[1].toLowerCase(), quote, value: null, start, end: start + match[0].length, valueStart: -1, valueEnd: -1 };
+      if (value != null) {
+        const valueEnd = token.start + match.index + match[0].length - quote.length;
+        attr.valueStart = valueEnd - value.length;
+        attr.valueEnd = valueEnd;
+        attr.value = decodeEntities(value);
+      }
+      attrs.push(attr);
+    }
+    return attrs;
+  }
+
+  function getSourceAttribute(html, token, name) {
+    return parseSourceAttributes(html, token).find(attr => attr.name === name) || null;
+  }
+
+  function getBaselineAttribute(el, name) {
+    const baseline = attrBaselines.get(el);
+    if (baseline && Object.prototype.hasOwnProperty.call(baseline, name)) return baseline[name];
+    return el.getAttribute(name);
+  }
+
+  /**
+   * Body elements named `name` in source order: an element, then its
+   * (declarative) shadow tree, then its light children.
+   */
+  function collectSourceOrderElements(root, name, list) {
+    for (const el of getSourceOrderChildren(root)) {
+      if (el.nodeType !== Node.ELEMENT_NODE || isEditModeUI(el)) continue;
+      if (el.localName === name) list.push(el);
+      if (el.shadowRoot) collectSourceOrderElements(el.shadowRoot, name, list);
+      collectSourceOrderElements(el, name, list);
+    }
+    return list;
+  }
+
+  /**
+   * Align body elements of one tag with the source open tags of that tag,
+   * in document order, checking ATTR_SIGNATURE values where the tag has one.
+   * Returns a map of element -> open tag range.
+   */
+  function buildTagAnchors(name) {
+    const anchors = new WeakMap();
+    getSourceDocuments().forEach(doc => {
+      const index = getSourceIndex(doc);
+      if (!doc.body) return;
+
+      const bodyStart = getBodyContentStartIndex(index.html);
+      const opens = [];
+      index.tokens.forEach((token, i) => {
+        if (token.type === 'open' && token.name === name && token.start >= bodyStart) opens.push(i);
+      });
+
+      const signature = ATTR_SIGNATURE[name];
+      let cursor = 0;
+      collectSourceOrderElements(doc.body, name, []).forEach(el => {
+        const expected = signature ? getBaselineAttribute(el, signature) : null;
+        const limit = Math.min(opens.length, cursor + ANCHOR_LOOKAHEAD);
+        for (let j = cursor; j < limit; j += 1) {
+          const token = index.tokens[opens[j]];
+          if (signature) {
+            const attr = getSourceAttribute(index.html, token, signature);
+            if ((attr ? attr.value : null) !== expected) continue;
+          }
+          anchors.set(el, { start: token.start, end: token.end, token: opens[j] });
+          cursor = j + 1;
+          return;
+        }
+      });
+    });
+    return anchors;
+  }
+
+  function getTagAnchor(el) {
+    const name = el.localName;
+    if (!tagAnchors.has(name)) tagAnchors.set(name, buildTagAnchors(name));
+    return tagAnchors.get(name).get(el) || null;
+  }
+
+  /**
+   * Locate the <title> content and the <meta> tags (by lowercase name or
+   * property) in the head of the source, and the trimmed content of every
+   * JSON-LD <script> in the page.
+   */
+  function getHeadAnchors() {
+    const index = getSourceIndex();
+    if (!index) return {};
+    const bodyStart = getBodyContentStartIndex(index.html);
+    const result = { meta: {}, jsonld: [] };
+
+    index.tokens.forEach((token, i) => {
+      if (token.type !== 'open') return;
+      if (token.name === 'script' && token.innerEnd != null) {
+        const type = getSourceAttribute(index.html, token, 'type');
+        if (!type || String(type.value).trim().toLowerCase() !== JSON_LD_TYPE) return;
+        const range = trimSourceRange(index.html, token.innerStart, token.innerEnd) || { start: token.innerEnd, end: token.innerEnd };
+        result.jsonld.push({ start: range.start, end: range.end, token: i, text: index.html.slice(range.start, range.end) });
+        return;
+      }
+      if (token.start >= bodyStart) return;
+      if (token.name === 'title' && !result.title && token.innerEnd != null) {
+        const inner = index.html.slice(token.innerStart, token.innerEnd);
+        const leading = inner.match(/^\s*/)[0].length;
+        const trailing = inner.length > leading ? inner.match(/\s*$/)[0].length : 0;
+        result.title = { start: token.innerStart + leading, end: token.innerEnd - trailing, token: i };
+      }
+      if (token.name === 'meta') {
+        const named = getSourceAttribute(index.html, token, 'property') || getSourceAttribute(index.html, token, 'name');
+        const key = named ? String(named.value).toLowerCase() : '';
+        if (key && !result.meta[key]) result.meta[key] = { start: token.start, end: token.end, token: i };
+      }
+      if (token.name === 'head') result.head = { start: token.innerStart, end: token.innerEnd, token: i };
+    });
+    return result;
+  }
+
   function isDebugEnabled() {
     return DEBUG_LOGS;
   }
@@ -201,233 +1003,5669 @@
     return hash === '#edit' || params.get('edit') === 'true';
   }
 
-  // ── Enable / Disable ────────────────────────────────────
-
-  function enableEdit() {
-    if (editActive) return;
-    editActive = true;
-    wrapDirectTextNodes();
-    snapshotOriginalTexts();
-
-    document.querySelectorAll(EDITABLE_SELECTORS).forEach(el => {
-      if (!isEditableTarget(el)) return;
-
-      el.setAttribute('contenteditable', 'true');
-      el.classList.add(EDIT_CLASS);
-    });
-
-    // Prevent ALL links from navigating/scrolling
-    document.querySelectorAll('a').forEach(el => {
-      if (el.closest('#' + TOOLBAR_ID)) return;
-      el.addEventListener('click', preventNav);
-      el.dataset.editBlocked = 'true';
-    });
+  // ── Formatting mode ─────────────────────────────────────
 
-    ensureToolbar();
-    if (toolbarEl) toolbarEl.style.display = 'block';
+  function escapeHTMLText(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\u00a0/g, '&nbsp;');
   }
 
-  function disableEdit() {
-    if (!editActive) return;
-    editActive = false;
+  function escapeHTMLAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  }
 
-    document.querySelectorAll('[contenteditable]').forEach(el => {
-      el.removeAttribute('contenteditable');
-      el.classList.remove(EDIT_CLASS);
-    });
+  /**
+   * Serialize the children of `root` using only RICH_INLINE_TAGS and their
+   * allowed attributes. Other elements are unwrapped to their contents,
+   * scripts and empty formatting elements are dropped and script URLs are
+   * removed.
+   */
+  function sanitizeInlineHTML(root) {
+    let out = '';
+    root.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        out += escapeHTMLText(node.textContent);
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
 
-    // Prevent stale baselines from leaking into later edit sessions.
-    document.querySelectorAll('[data-edit-orig]').forEach(el => {
-      el.removeAttribute('data-edit-orig');
-    });
+      const name = node.localName;
+      if (RAW_TEXT_TAGS.includes(name)) return;
+      if (!RICH_INLINE_TAGS.includes(name) || node.hasAttribute(DIRECT_TEXT_ATTR)) {
+        out += sanitizeInlineHTML(node);
+        return;
+      }
+      if (name === 'br') {
+        out += '<br>';
+        return;
+      }
 
-    unwrapDirectTextNodes();
+      const inner = sanitizeInlineHTML(node);
+      if (!inner) return;
 
-    document.querySelectorAll('a[data-edit-blocked]').forEach(el => {
-      el.removeEventListener('click', preventNav);
-      delete el.dataset.editBlocked;
+      const allowed = RICH_ATTRS['*'].concat(RICH_ATTRS[name] || []);
+      let attrs = '';
+      allowed.forEach(attr => {
+        if (!node.hasAttribute(attr)) return;
+        const value = node.getAttribute(attr);
+        if (attr === 'class') {
+          const classes = value.split(/\s+/).filter(c => c && c !== EDIT_CLASS).join(' ');
+          if (classes) attrs += ' class="' + escapeHTMLAttr(classes) + '"';
+          return;
+        }
+        if (attr === 'href' && isScriptURL(value)) return;
+        attrs += ' ' + attr + '="' + escapeHTMLAttr(value) + '"';
+      });
+      out += '<' + name + attrs + '>' + inner + '</' + name + '>';
     });
-
-    if (toolbarEl) toolbarEl.style.display = 'none';
-    clearEditFlagsFromURL();
+    return out;
   }
 
-  // ── Save (source-patching approach) ─────────────────────
+  /**
+   * Sanitize markup that comes from outside the page (a peer's state, an
+   * imported change set or review) before it goes into a rich block. It is
+   * parsed in an inert template, so nothing in it loads or runs while it
+   * is cleaned.
+   */
+  function sanitizeReceivedHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    return sanitizeInlineHTML(template.content);
+  }
 
   /**
-   * Collect text edits: elements where current text differs from snapshot.
+   * Whether following `value` could run script: a javascript:, vbscript:
+   * or data: URL. Browsers ignore whitespace and control characters in the
+   * scheme, so this does too.
    */
-  function collectEdits() {
-    const edits = [];
-    document.querySelectorAll('[data-edit-orig]').forEach(el => {
-      if (!isEditableTarget(el)) return;
-      const oldText = (el.getAttribute('data-edit-orig') || '').trim();
-      const newText = (el.textContent || '').trim();
-      if (oldText !== newText) {
-        edits.push({ oldText, newText });
-      }
-    });
-    return edits;
+  function isScriptURL(value) {
+    return /^(javascript|vbscript|data):/i.test(String(value).replace(/[\u0000-\u0020]/g, ''));
   }
 
   /**
-   * Apply text edits to the original HTML source string.
-   * Searches for old text (with flexible whitespace) and replaces it.
-   * Preserves all original formatting, tags, and whitespace.
+   * Whether a tracked attribute value from outside the page could run
+   * script. Image sources may be data: images: replaced images are kept
+   * that way until they are saved.
    */
-  function applyEditsToSource(html, edits) {
-    let result = html;
-    let appliedCount = 0;
-    let cursor = getBodyContentStartIndex(result);
-    const unmatchedEdits = [];
-    const bodyStart = getBodyContentStartIndex(result);
+  function isScriptAttr(attr, value) {
+    if (attr === 'href') return isScriptURL(value);
+    if (attr !== 'src' && attr !== 'srcset') return false;
+    return isScriptURL(value) && !/^data:image\//i.test(String(value).replace(/[\u0000-\u0020]/g, ''));
+  }
 
-    for (let idx = 0; idx < edits.length; idx += 1) {
-      const edit = edits[idx];
-      if (edit.oldText == null || edit.newText == null || edit.oldText === edit.newText) continue;
+  function isRichCandidate(el) {
+    if (!el.matches(RICH_BLOCK_SELECTORS) || isEditModeUI(el) || !isInEditableRegion(el)) return false;
+    if (!normalizeText(el.textContent)) return false;
+    for (const child of el.querySelectorAll('*')) {
+      if (!RICH_INLINE_TAGS.includes(child.localName)) return false;
+    }
+    return true;
+  }
 
-      const words = edit.oldText.split(/\s+/).filter(Boolean);
-      if (words.length === 0) continue;
+  function countSameNameDepth(node, root) {
+    let depth = 0;
+    for (let el = node.parentElement; el; el = el.parentElement) {
+      if (el.localName === root.localName) depth += 1;
+      if (el === root) break;
+    }
+    return depth;
+  }
 
-      const pattern = words.map(escapeRegex).join('[\\s\\n]+');
-      const regex = new RegExp(pattern, 'g');
+  /**
+   * Baseline of a rich block from a detached copy of it: sanitized markup,
+   * text, the text units used for source alignment and the same-name depth
+   * of its first text node.
+   */
+  function computeRichBaseline(baseline) {
+    unwrapDirectTextNodes(baseline);
+    baseline.normalize();
 
-      // Replace in source order (from body onward) to reduce wrong matches.
-      regex.lastIndex = cursor;
-      let match = regex.exec(result);
-      if (!match) {
-        // Retry from body start in case edits were applied out of expected order.
-        regex.lastIndex = getBodyContentStartIndex(result);
-        match = regex.exec(result);
+    const textNodes = [];
+    const walker = document.createTreeWalker(baseline, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      if (normalizeText(walker.currentNode.textContent)) textNodes.push(walker.currentNode);
+    }
+
+    return {
+      html: sanitizeInlineHTML(baseline),
+      text: baseline.textContent,
+      units: textNodes.map(node => normalizeText(node.textContent)),
+      depth: textNodes.length ? countSameNameDepth(textNodes[0], baseline) : 1
+    };
+  }
+
+  /**
+   * Turn a block into one contenteditable region for inline formatting.
+   * The baseline is the block as it was before any edits in this session,
+   * rebuilt from the text baselines of its (formerly editable) children.
+   */
+  function promoteToRichBlock(block) {
+    if (richBlocks.has(block)) return;
+
+    const baseline = block.cloneNode(true);
+    if (baseline.hasAttribute('data-edit-orig')) {
+      baseline.textContent = baseline.getAttribute('data-edit-orig');
+    }
+    baseline.querySelectorAll('[data-edit-orig]').forEach(el => {
+      el.textContent = el.getAttribute('data-edit-orig');
+    });
+    richBlocks.set(block, computeRichBaseline(baseline));
+
+    block.querySelectorAll('[contenteditable]').forEach(el => {
+      el.removeAttribute('contenteditable');
+      el.classList.remove(EDIT_CLASS);
+    });
+    block.querySelectorAll('[data-edit-orig]').forEach(el => el.removeAttribute('data-edit-orig'));
+    block.removeAttribute('data-edit-orig');
+    unwrapDirectTextNodes(block);
+    block.normalize();
+
+    block.setAttribute('contenteditable', 'true');
+    block.setAttribute(RICH_ATTR, 'true');
+    block.classList.add(EDIT_CLASS);
+    resetSourceAnchors();
+  }
+
+  /**
+   * Return an unchanged rich block to plain text editing. Changed blocks
+   * stay rich so their markup edits are not lost.
+   */
+  function demoteRichBlock(block) {
+    const baseline = richBlocks.get(block);
+    if (!baseline || sanitizeInlineHTML(block) !== baseline.html) return;
+
+    richBlocks.delete(block);
+    block.removeAttribute(RICH_ATTR);
+    block.removeAttribute('contenteditable');
+    block.classList.remove(EDIT_CLASS);
+
+    wrapDirectTextNodes(block);
+    [block].concat(Array.from(block.querySelectorAll(EDITABLE_SELECTORS))).forEach(el => {
+      if (!isEditableTarget(el)) return;
+      el.setAttribute('data-edit-orig', el.textContent);
+      el.setAttribute('contenteditable', 'true');
+      el.classList.add(EDIT_CLASS);
+    });
+    resetSourceAnchors();
+  }
+
+  function setFormatMode(active) {
+    if (!editActive) return;
+    formatActive = !!active;
+
+    if (formatActive) {
+      document.execCommand('styleWithCSS', false, false);
+      // Promote outermost candidates only; a block nested in another candidate is covered by it.
+      document.querySelectorAll(RICH_BLOCK_SELECTORS).forEach(el => {
+        if (!isRichCandidate(el)) return;
+        const outer = el.parentElement && el.parentElement.closest(RICH_BLOCK_SELECTORS);
+        if (outer && isRichCandidate(outer)) return;
+        promoteToRichBlock(el);
+      });
+    } else {
+      document.querySelectorAll('[' + RICH_ATTR + ']').forEach(demoteRichBlock);
+    }
+    // Promotion replaces the editable elements, so earlier history entries no longer apply.
+    resetHistory();
+    lastEditTarget = null;
+    updateFormatControls();
+    notifyChange();
+  }
+
+  function getActiveRichBlock() {
+    const selection = window.getSelection();
+    const node = selection && selection.rangeCount ? selection.anchorNode : null;
+    const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    return el ? el.closest('[' + RICH_ATTR + ']') : null;
+  }
+
+  function blockNewLinks(root) {
+    root.querySelectorAll('a:not([data-edit-blocked])').forEach(el => {
+      el.addEventListener('click', preventNav);
+      el.dataset.editBlocked = 'true';
+    });
+  }
+
+  /**
+   * Create, edit or remove the link around the current selection.
+   * An empty URL removes an existing link.
+   */
+  function editLink() {
+    const block = getActiveRichBlock();
+    if (!block) return;
+
+    const selection = window.getSelection();
+    const anchorEl = selection.anchorNode && selection.anchorNode.parentElement;
+    const existing = anchorEl ? anchorEl.closest('a') : null;
+    const current = existing && block.contains(existing) ? existing.getAttribute('href') : '';
+
+    const range = selection.getRangeAt(0).cloneRange();
+    const href = prompt('Link URL (leave empty to remove the link):', current || 'https://');
+    if (href == null) return;
+
+    selection.removeAllRanges();
+    selection.addRange(range);
+    if (!href.trim()) {
+      if (existing) {
+        const r = document.createRange();
+        r.selectNodeContents(existing);
+        selection.removeAllRanges();
+        selection.addRange(r);
+      }
+      document.execCommand('unlink');
+    } else if (existing && block.contains(existing)) {
+      // Changing an href fires no input event, so record it here.
+      const before = captureState('content', block);
+      existing.setAttribute('href', href.trim());
+      const after = captureState('content', block);
+      lastStates.set(block, after);
+      pushHistory([{ kind: 'content', target: block, before, after }], false);
+    } else {
+      if (range.collapsed) return;
+      document.execCommand('createLink', false, href.trim());
+    }
+    blockNewLinks(block);
+  }
+
+  function runFormatCommand(command) {
+    if (!getActiveRichBlock()) return;
+    if (command === 'link') {
+      editLink();
+      return;
+    }
+    document.execCommand(command);
+  }
+
+  function handleFormatKeydown(e) {
+    if (!editActive || !formatActive) return;
+    const block = getActiveRichBlock();
+    if (!block) return;
+
+    if (e.key === 'Enter') {
+      // Keep the block a single element: Enter inserts a line break, not a new block.
+      e.preventDefault();
+      const host = getConstraintHost(block);
+      if (host && readConstraints(host).singleLine) return;
+      if (!document.execCommand('insertLineBreak')) document.execCommand('insertHTML', false, '<br>');
+      return;
+    }
+
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+    const key = (e.key || '').toLowerCase();
+    const commands = { b: 'bold', i: 'italic', k: 'link' };
+    if (!commands[key]) return;
+    e.preventDefault();
+    runFormatCommand(commands[key]);
+  }
+
+  function updateFormatControls() {
+    const btn = document.getElementById('edit-format-btn');
+    const tools = document.getElementById('edit-format-tools');
+    if (btn) btn.setAttribute('aria-pressed', formatActive ? 'true' : 'false');
+    if (tools) tools.style.display = formatActive ? 'flex' : 'none';
+  }
+
+  // ── Attribute editing ───────────────────────────────────
+
+  function setTrackedAttribute(el, name, value) {
+    if (!attrBaselines.has(el)) attrBaselines.set(el, {});
+    const baseline = attrBaselines.get(el);
+    if (!Object.prototype.hasOwnProperty.call(baseline, name)) baseline[name] = el.getAttribute(name);
+
+    // Never add an empty attribute the element did not have before; null removes it.
+    if (value == null || (value === '' && baseline[name] == null)) el.removeAttribute(name);
+    else el.setAttribute(name, value);
+  }
+
+  function getPopoverFields(target) {
+    return (ATTR_FIELDS[target.localName] || []).map(attr => ({
+      key: attr,
+      label: attr,
+      value: target.getAttribute(attr) || ''
+    }));
+  }
+
+  function applyPopoverFields(target, values) {
+    Object.keys(values).forEach(key => {
+      if (values[key] !== (target.getAttribute(key) || '')) setTrackedAttribute(target, key, values[key]);
+    });
+  }
+
+  function closeAttrPopover() {
+    if (popoverEl) popoverEl.remove();
+    popoverEl = null;
+    popoverTarget = null;
+  }
+
+  /**
+   * Show a small form for the whitelisted attributes of an image or link,
+   * with a button to replace the image of an image target.
+   */
+  function openAttrPopover(target) {
+    closeAttrPopover();
+    const fields = getPopoverFields(target);
+    const image = isImageTarget(target);
+    if (fields.length === 0 && !image) return;
+
+    popoverEl = document.createElement('div');
+    popoverTarget = target;
+    popoverEl.id = 'edit-attr-popover';
+    popoverEl.setAttribute(UI_ATTR, 'true');
+    popoverEl.setAttribute('role', 'dialog');
+    popoverEl.setAttribute('aria-label', '<' + target.localName + '> ' + (fields.length > 0 ? 'attributes' : 'background image'));
+
+    const title = '&lt;' + target.localName + '&gt; ' + (fields.length > 0 ? 'attributes' : 'background image');
+    popoverEl.innerHTML = `
+      <div style="font-weight:600;font-size:13px;margin-bottom:8px;color:#fff;">${title}</div>
+      ${fields.map(field => `
+        <label style="display:block;margin-bottom:8px;font-size:11px;color:rgba(255,255,255,.6);">
+          ${field.label}
+          ${field.multiline
+            ? `<textarea data-edit-field="${field.key}" rows="3"></textarea>`
+            : `<input type="text" data-edit-field="${field.key}">`}
+        </label>`).join('')}
+      ${image ? `
+        <div style="margin-bottom:8px;font-size:11px;color:rgba(255,255,255,.6);">
+          <button type="button" data-edit-popover="image">Replace image\u2026</button>
+          or drop an image file on it
+        </div>` : ''}
+      <div style="display:flex;gap:8px;justify-content:flex-end;">
+        <button type="button" data-edit-popover="cancel">Cancel</button>
+        ${fields.length > 0 ? '<button type="button" data-edit-popover="apply">Apply</button>' : ''}
+      </div>`;
+
+    fields.forEach(field => {
+      popoverEl.querySelector('[data-edit-field="' + field.key + '"]').value = field.value;
+    });
+
+    popoverEl.querySelector('[data-edit-popover="cancel"]').addEventListener('click', closeAttrPopover);
+    if (image) {
+      popoverEl.querySelector('[data-edit-popover="image"]').addEventListener('click', () => {
+        closeAttrPopover();
+        pickImageFile(target);
+      });
+    }
+    if (fields.length > 0) {
+      popoverEl.querySelector('[data-edit-popover="apply"]').addEventListener('click', () => {
+        const values = {};
+        popoverEl.querySelectorAll('[data-edit-field]').forEach(input => {
+          values[input.getAttribute('data-edit-field')] = input.value;
+        });
+        const before = captureState('attrs', target);
+        applyPopoverFields(target, values);
+        lastEditTarget = target;
+        pushHistory([{ kind: 'attrs', target, before, after: captureState('attrs', target) }], false);
+        closeAttrPopover();
+      });
+    }
+    popoverEl.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeAttrPopover();
+    });
+
+    document.body.appendChild(popoverEl);
+    positionPopover(target);
+  }
+
+  function positionPopover(anchorEl) {
+    if (!popoverEl) return;
+    const rect = anchorEl ? getViewportRect(anchorEl) : { left: 16, top: 16, bottom: 16 };
+    const width = popoverEl.offsetWidth || 300;
+    const height = popoverEl.offsetHeight || 200;
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+    let top = rect.bottom + 8;
+    if (top + height > window.innerHeight - 8) top = Math.max(8, rect.top - height - 8);
+    popoverEl.style.left = left + 'px';
+    popoverEl.style.top = top + 'px';
+  }
+
+  function handleAttrClick(e) {
+    if (!editActive) return;
+    const clicked = getEventTarget(e);
+    if (!clicked || !clicked.closest || isEditModeUI(clicked)) return;
+    // A background image opens on a click on the marked element itself, not on its content.
+    const target = clicked.closest('img,a') || (clicked.hasAttribute(IMAGE_ATTR) ? clicked : null);
+    if (!target || !isInEditableRegion(target)) {
+      closeAttrPopover();
+      return;
+    }
+    if (target !== popoverTarget) openAttrPopover(target);
+  }
+
+  /**
+   * Attribute edits for images and links.
+   */
+  function collectAttrEdits() {
+    const edits = [];
+
+    attrBaselines.forEach((baseline, el) => {
+      Object.keys(baseline).forEach(attr => {
+        const oldValue = baseline[attr];
+        const newValue = el.getAttribute(attr);
+        if (oldValue === newValue) return;
+        edits.push({
+          type: 'attr',
+          tag: el.localName,
+          attr,
+          oldValue,
+          newValue,
+          oldText: oldValue || '',
+          newText: newValue || '',
+          anchor: getTagAnchor(getRepeatOrigin(el)),
+          el
+        });
+      });
+    });
+
+    return edits;
+  }
+
+  /**
+   * Resolve an attribute edit to the value range inside its open tag.
+   * The original quote style is kept; a missing attribute is appended to
+   * the tag and a missing head <meta> is added at the end of <head>.
+   */
+  function resolveAttrEdit(html, edit) {
+    const anchor = edit.anchor;
+    const newValue = edit.newValue == null ? '' : edit.newValue;
+
+    if (!anchor) {
+      if (edit.tag !== 'meta' || !edit.insertInto || edit.insertInto.end == null) return null;
+      const key = edit.meta || 'description';
+      const point = getHeadInsertPoint(html, edit.insertInto);
+      const tag = '<meta ' + getMetaNameAttr(key) + '="' + escapeHTMLAttr(key) + '" content="' + escapeHTMLAttr(newValue) + '">';
+      return { start: point.at, end: point.at, text: '\n' + point.indent + tag };
+    }
+
+    if (anchor.end > html.length) return null;
+    const token = { start: anchor.start, end: anchor.end };
+    if (!new RegExp('^<' + edit.tag + '\\b', 'i').test(html.slice(anchor.start, anchor.end))) return null;
+
+    const attr = getSourceAttribute(html, token, edit.attr);
+    if (edit.newValue == null && edit.oldValue != null) {
+      // The attribute was removed: cut it with the whitespace before it.
+      if (!attr || (attr.value == null ? '' : attr.value) !== edit.oldValue) return null;
+      return { start: html.slice(0, attr.start).replace(/\s+$/, '').length, end: attr.end, text: '' };
+    }
+    if (!attr) {
+      if (edit.oldValue != null) return null;
+      const closeAt = html.charAt(anchor.end - 2) === '/' ? anchor.end - 2 : anchor.end - 1;
+      const insertAt = html.slice(anchor.start, closeAt).replace(/\s*$/, '').length + anchor.start;
+      return { start: insertAt, end: insertAt, text: ' ' + edit.attr + '="' + escapeHTMLAttr(newValue) + '"' };
+    }
+    if ((attr.value == null ? '' : attr.value) !== (edit.oldValue || '')) return null;
+
+    const quote = attr.quote || '"';
+    const escaped = quote === "'"
+      ? String(newValue).replace(/&/g, '&amp;').replace(/'/g, '&#39;')
+      : escapeHTMLAttr(newValue);
+    if (attr.valueStart < 0) {
+      // Attribute without a value (e.g. `alt`): give it one.
+      const nameEnd = attr.start + attr.name.length;
+      return { start: nameEnd, end: nameEnd, text: '=' + quote + escaped + quote };
+    }
+    if (!attr.quote) return { start: attr.valueStart, end: attr.valueEnd, text: '"' + escapeHTMLAttr(newValue) + '"' };
+    return { start: attr.valueStart, end: attr.valueEnd, text: escaped };
+  }
+
+  // ── Images ──────────────────────────────────────────────
+
+  function isImageTarget(el) {
+    return el.localName === 'img' || el.hasAttribute(IMAGE_ATTR);
+  }
+
+  /**
+   * Attributes recorded for undo and saved for an image or link: the
+   * popover fields, plus what replacing an image changes (`srcset` of an
+   * <img>, `style` of an element marked data-edit-image).
+   */
+  function getTrackedAttributes(el) {
+    const attrs = (ATTR_FIELDS[el.localName] || []).slice();
+    if (el.localName === 'img') attrs.push('srcset');
+    else if (el.hasAttribute(IMAGE_ATTR)) attrs.push('style');
+    return attrs;
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+  }
+
+  function getDataURISize(dataUri) {
+    const data = dataUri.slice(dataUri.indexOf(',') + 1);
+    return Math.floor(data.length * 3 / 4) - (data.match(/=*$/)[0].length);
+  }
+
+  /**
+   * Text for the review panel: data URIs shortened to their type and size.
+   */
+  function abbreviateDataURIs(text) {
+    return String(text || '').replace(DATA_URI_PATTERN, dataUri =>
+      '[' + dataUri.slice(5, dataUri.indexOf(';')) + ' image, ' + formatBytes(getDataURISize(dataUri)) + ']');
+  }
+
+  function readFileAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result));
+      reader.onerror = () => reject(new Error('The file could not be read.'));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The image could not be decoded.'));
+      img.src = url;
+    });
+  }
+
+  function drawScaled(img, width, height, background) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    if (background) {
+      context.fillStyle = background;
+      context.fillRect(0, 0, width, height);
+    }
+    context.drawImage(img, 0, 0, width, height);
+    return canvas;
+  }
+
+  function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+  }
+
+  /**
+   * File name for a bundled image: the dropped file's name, lowercased and
+   * reduced to safe characters, with the extension of the saved format.
+   */
+  function getImageFileName(fileName, type) {
+    const base = String(fileName || '').replace(/\.[^.]*$/, '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'image';
+    const ext = IMAGE_EXTENSIONS[type] || (String(fileName).match(/\.([a-z0-9]+)$/i) || [null, 'img'])[1].toLowerCase();
+    return base + '.' + ext;
+  }
+
+  /**
+   * Turn a dropped or picked file into { dataUri, name }. JPEG, PNG and
+   * WebP images larger than `imageMaxSize` pixels are scaled down; when
+   * the result is still over `imageMaxBytes`, it is tried as JPEG at
+   * falling quality. Other formats (SVG, GIF) are kept as they are and
+   * only checked against the size limit.
+   */
+  function prepareImage(file) {
+    if (!file || !/^image\//.test(file.type)) return Promise.reject(new Error('not an image file.'));
+    const limit = config.imageMaxBytes;
+    const tooLarge = size => new Error(formatBytes(size) + ' is over the limit of ' + formatBytes(limit) + '.');
+
+    if (!RESIZABLE_IMAGE_TYPES.includes(file.type)) {
+      if (file.size > limit) return Promise.reject(tooLarge(file.size));
+      return readFileAsDataURL(file).then(dataUri => ({ dataUri, name: getImageFileName(file.name, file.type) }));
+    }
+
+    const url = URL.createObjectURL(file);
+    return loadImage(url).then(img => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, config.imageMaxSize / Math.max(img.naturalWidth, img.naturalHeight, 1));
+      if (scale === 1 && file.size <= limit) return { blob: file, type: file.type };
+
+      const width = Math.max(1, Math.round(img.naturalWidth * scale));
+      const height = Math.max(1, Math.round(img.naturalHeight * scale));
+      // JPEG has no transparency: flatten onto white for the fallback.
+      const attempts = [[file.type, 0.9], ['image/jpeg', 0.85], ['image/jpeg', 0.7], ['image/jpeg', 0.55]];
+      const canvases = {};
+      const attempt = (index, smallest) => {
+        if (index >= attempts.length) return Promise.reject(tooLarge(smallest));
+        const [type, quality] = attempts[index];
+        const flatten = type === 'image/jpeg' && file.type !== 'image/jpeg';
+        const key = flatten ? 'flat' : 'plain';
+        if (!canvases[key]) canvases[key] = drawScaled(img, width, height, flatten ? '#fff' : null);
+        return canvasToBlob(canvases[key], type, quality).then(blob => {
+          if (blob && blob.size <= limit) return { blob, type };
+          return attempt(index + 1, blob ? Math.min(smallest, blob.size) : smallest);
+        });
+      };
+      return attempt(0, file.size);
+    }, err => {
+      URL.revokeObjectURL(url);
+      throw err;
+    }).then(result => readFileAsDataURL(result.blob).then(dataUri => ({ dataUri, name: getImageFileName(file.name, result.type) })));
+  }
+
+  /**
+   * The inline style with its background-image set to `url`, keeping the
+   * other declarations as written.
+   */
+  function setBackgroundImage(style, url) {
+    const declaration = "background-image: url('" + url + "')";
+    const current = String(style || '');
+    const pattern = /background-image\s*:(?:\s*url\((?:"[^"]*"|'[^']*'|[^)]*)\)|[^;])*/i;
+    if (pattern.test(current)) return current.replace(pattern, declaration);
+    const trimmed = current.trim();
+    return trimmed ? trimmed.replace(/;?$/, '; ') + declaration : declaration;
+  }
+
+  /**
+   * Show `file` in place of the image of `target` (an <img>, or the
+   * background of an element marked data-edit-image), as one undo step.
+   * The `srcset` of an <img> is dropped: it would keep showing the old one.
+   */
+  function replaceImage(target, file) {
+    setSaveStatus('Preparing image\u2026', 'busy');
+    return prepareImage(file).then(image => {
+      if (!editActive || !target.isConnected) return null;
+      imageNames.set(image.dataUri, image.name);
+      const before = captureState('attrs', target);
+      if (target.localName === 'img') {
+        setTrackedAttribute(target, 'src', image.dataUri);
+        if (target.hasAttribute('srcset')) setTrackedAttribute(target, 'srcset', null);
+      } else {
+        setTrackedAttribute(target, 'style', setBackgroundImage(target.getAttribute('style'), image.dataUri));
+      }
+      lastEditTarget = target;
+      pushHistory([{ kind: 'attrs', target, before, after: captureState('attrs', target) }], false);
+      setSaveStatus('Image replaced (' + formatBytes(getDataURISize(image.dataUri)) + ')', 'ok');
+      return image;
+    }).catch(err => {
+      setSaveStatus('Image not replaced: ' + err.message, 'error');
+      return null;
+    });
+  }
+
+  function pickImageFile(target) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/*';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (file) replaceImage(target, file);
+    });
+    input.click();
+  }
+
+  function getImageDropTarget(e) {
+    if (!editActive || !e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return null;
+    const el = getEventTarget(e);
+    if (!el || !el.closest || isEditModeUI(el)) return null;
+    const target = el.localName === 'img' ? el : el.closest('[' + IMAGE_ATTR + ']');
+    return target && isInEditableRegion(target) ? target : null;
+  }
+
+  function setImageDropTarget(target) {
+    if (imageDropTarget === target) return;
+    if (imageDropTarget) imageDropTarget.classList.remove(IMAGE_DROP_CLASS);
+    imageDropTarget = target;
+    if (target) target.classList.add(IMAGE_DROP_CLASS);
+  }
+
+  function handleImageDragOver(e) {
+    const target = getImageDropTarget(e);
+    setImageDropTarget(target);
+    if (!target) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }
+
+  function handleImageDragLeave(e) {
+    if (imageDropTarget && !(e.relatedTarget && imageDropTarget.contains(e.relatedTarget))) setImageDropTarget(null);
+  }
+
+  function handleImageDrop(e) {
+    const target = getImageDropTarget(e);
+    setImageDropTarget(null);
+    if (!target) return;
+    e.preventDefault();
+    const file = Array.from(e.dataTransfer.files || []).find(item => /^image\//.test(item.type));
+    if (file) replaceImage(target, file);
+    else setSaveStatus('Image not replaced: not an image file.', 'error');
+  }
+
+  function decodeDataURI(dataUri) {
+    const binary = atob(dataUri.slice(dataUri.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  /**
+   * Move the images added as data URIs in attribute edits out into files:
+   * returns the edits with paths under `imageFolder` instead, and the
+   * files as { name, data }. Data URIs already in the source stay.
+   */
+  function bundleImageEdits(edits) {
+    const folder = String(config.imageFolder || '').replace(/^\/+|\/+$/g, '');
+    const names = new Map();
+    const used = new Set();
+    const nameFor = dataUri => {
+      if (names.has(dataUri)) return names.get(dataUri);
+      const file = imageNames.get(dataUri) || getImageFileName('image-' + hashString(dataUri).slice(0, 8), dataUri.slice(5, dataUri.indexOf(';')));
+      let name = (folder ? folder + '/' : '') + file;
+      for (let n = 2; used.has(name); n += 1) name = (folder ? folder + '/' : '') + file.replace(/(\.[^.]*)?$/, '-' + n + '$1');
+      used.add(name);
+      names.set(dataUri, name);
+      return name;
+    };
+
+    const bundled = edits.map(edit => {
+      if (edit.type !== 'attr' || !edit.newValue) return edit;
+      const value = edit.newValue.replace(DATA_URI_PATTERN, dataUri => (edit.oldValue && edit.oldValue.includes(dataUri) ? dataUri : nameFor(dataUri)));
+      return value === edit.newValue ? edit : Object.assign({}, edit, { newValue: value, newText: value });
+    });
+    return { edits: bundled, assets: Array.from(names, ([dataUri, name]) => ({ name, data: decodeDataURI(dataUri) })) };
+  }
+
+  // ── Page settings ───────────────────────────────────────
+
+  /**
+   * Open Graph tags are named by `property`, the others by `name`.
+   */
+  function getMetaNameAttr(key) {
+    return /^og:/.test(key) ? 'property' : 'name';
+  }
+
+  function getHeadMeta(key) {
+    return Array.from(document.head ? document.head.querySelectorAll('meta[name], meta[property]') : [])
+      .find(el => String(el.getAttribute('property') || el.getAttribute('name')).toLowerCase() === key) || null;
+  }
+
+  function getJsonLdScripts() {
+    return Array.from(document.querySelectorAll('script[type]'))
+      .filter(el => el.getAttribute('type').trim().toLowerCase() === JSON_LD_TYPE && !isEditModeUI(el));
+  }
+
+  /**
+   * Keep JSON from closing its <script> early (`\/` is a valid JSON escape).
+   */
+  function escapeScriptText(text) {
+    return String(text).replace(/<\/(script)/gi, '<\\/$1');
+  }
+
+  function snapshotPageBaseline() {
+    const spare = document.createElement('script');
+    spare.setAttribute('type', JSON_LD_TYPE);
+    pageScripts = getJsonLdScripts().concat(spare);
+    pageBaseline = getPageState();
+  }
+
+  /**
+   * The page title, the PAGE_FIELDS <meta> values (null when missing) and
+   * the text of each JSON-LD script in `pageScripts` (null when not in the page).
+   */
+  function getPageState() {
+    const meta = {};
+    PAGE_FIELDS.forEach(field => {
+      if (field.key === 'title') return;
+      const el = getHeadMeta(field.key);
+      meta[field.key] = el ? el.getAttribute('content') : null;
+    });
+    return {
+      title: document.title,
+      meta,
+      jsonld: pageScripts.map(el => (el.isConnected ? el.textContent : null))
+    };
+  }
+
+  function setHeadMeta(key, value) {
+    let meta = getHeadMeta(key);
+    if (value == null) {
+      if (meta) meta.removeAttribute('content');
+      return;
+    }
+    if (!meta) {
+      meta = document.createElement('meta');
+      meta.setAttribute(getMetaNameAttr(key), key);
+      document.head.appendChild(meta);
+    }
+    if (meta.getAttribute('content') !== value) meta.setAttribute('content', value);
+  }
+
+  function setPageState(state) {
+    if (document.title !== state.title) document.title = state.title;
+    Object.keys(state.meta).forEach(key => setHeadMeta(key, state.meta[key]));
+    state.jsonld.forEach((text, i) => {
+      const script = pageScripts[i];
+      if (!script) return;
+      if (text == null) {
+        script.remove();
+        return;
+      }
+      if (!script.isConnected) document.head.appendChild(script);
+      if (script.textContent !== text) script.textContent = text;
+    });
+  }
+
+  /**
+   * Title, <meta> and JSON-LD edits. Head metadata is patched at its source
+   * anchor; missing <meta> tags and new JSON-LD blocks are added at the end
+   * of <head>.
+   */
+  function collectPageEdits() {
+    if (!pageBaseline) return [];
+    const current = getPageState();
+    const head = getHeadAnchors();
+    const edits = [];
+
+    if (current.title !== pageBaseline.title) {
+      edits.push({
+        type: 'title',
+        oldText: pageBaseline.title,
+        newText: current.title,
+        anchor: head.title || null
+      });
+    }
+    Object.keys(current.meta).forEach(key => {
+      const oldValue = pageBaseline.meta[key];
+      const newValue = current.meta[key];
+      if (oldValue === newValue) return;
+      edits.push({
+        type: 'attr',
+        tag: 'meta',
+        attr: 'content',
+        meta: key,
+        oldValue,
+        newValue,
+        oldText: oldValue || '',
+        newText: newValue || '',
+        anchor: (head.meta || {})[key] || null,
+        insertInto: head.head || null
+      });
+    });
+
+    const claimed = [];
+    current.jsonld.forEach((text, i) => {
+      const old = pageBaseline.jsonld[i];
+      if (text == null || (old != null && text.trim() === old.trim())) return;
+      const oldText = old == null ? '' : old.trim();
+      const found = old == null ? null
+        : (head.jsonld || []).find(entry => !claimed.includes(entry) && entry.text === oldText) || null;
+      if (found) claimed.push(found);
+      edits.push({
+        type: 'jsonld',
+        oldText,
+        newText: text.trim(),
+        anchor: found ? { start: found.start, end: found.end, token: found.token } : null,
+        insertInto: old == null ? head.head || null : null
+      });
+    });
+    return edits;
+  }
+
+  /**
+   * Where to add a tag at the end of <head>: after its last content, on a
+   * new line with the same indentation.
+   */
+  function getHeadInsertPoint(html, head) {
+    const at = html.slice(head.start, head.end).replace(/\s*$/, '').length + head.start;
+    const lineStart = html.lastIndexOf('\n', at - 1) + 1;
+    return { at, indent: html.slice(lineStart, at).match(/^[ \t]*/)[0] };
+  }
+
+  /**
+   * Resolve a JSON-LD edit to the trimmed content of its <script>, or add
+   * a new block at the end of <head>.
+   */
+  function resolveJsonLdEdit(html, edit) {
+    const text = escapeScriptText(String(edit.newText).trim());
+    if (!edit.oldText) {
+      if (!edit.insertInto || edit.insertInto.end == null) return null;
+      const point = getHeadInsertPoint(html, edit.insertInto);
+      const tag = '<script type="' + JSON_LD_TYPE + '">\n' + text + '\n' + point.indent + '</script>';
+      return { start: point.at, end: point.at, text: '\n' + point.indent + tag };
+    }
+    const anchor = edit.anchor;
+    if (!anchor || anchor.end > html.length) return null;
+    if (html.slice(anchor.start, anchor.end).trim() !== String(edit.oldText).trim()) return null;
+    return { start: anchor.start, end: anchor.end, text };
+  }
+
+  /**
+   * The script a JSON-LD edit from a draft or change set applies to: the
+   * one still holding its old text, or the spare for a new block.
+   */
+  function findPageScript(edit) {
+    if (!edit.oldText) {
+      const spare = pageScripts[pageScripts.length - 1];
+      return spare && !spare.isConnected ? spare : null;
+    }
+    const oldText = String(edit.oldText).trim();
+    return pageScripts.find(el => el.isConnected && el.textContent.trim() === oldText) || null;
+  }
+
+  /**
+   * Put a page-level edit on the head. Returns false when a JSON-LD edit
+   * has no script left to apply to, e.g. an earlier edit took it.
+   */
+  function applyPageEdit(edit) {
+    if (edit.type === 'title') {
+      document.title = edit.newText;
+    } else if (edit.type === 'jsonld') {
+      const index = pageScripts.indexOf(findPageScript(edit));
+      if (index < 0) return false;
+      const state = getPageState();
+      state.jsonld[index] = escapeScriptText(String(edit.newText).trim());
+      setPageState(state);
+    } else {
+      // Edits from before Page settings have no `meta` key: they are the description.
+      setHeadMeta(edit.meta || 'description', edit.newValue);
+    }
+    return true;
+  }
+
+  // Panel
+
+  /**
+   * A Page settings value, or what readers see in its place when it is
+   * empty: Open Graph falls back to the page title and description, and
+   * Twitter to Open Graph.
+   */
+  function getPageValue(state, key) {
+    const value = key === 'title' ? state.title : state.meta[key];
+    if (value) return value;
+    const field = PAGE_FIELDS.find(item => item.key === key);
+    return field && field.fallback ? getPageValue(state, field.fallback) : '';
+  }
+
+  /**
+   * Problems with one value as { level: 'error' | 'warning', message }, or
+   * null. Only errors keep the panel from applying.
+   */
+  function checkPageField(field, value) {
+    if (field.key === 'title' && !value.trim()) {
+      return { level: 'warning', message: 'Search results need a page title.' };
+    }
+    if (field.max && value.length > field.max) {
+      return { level: 'warning', message: 'Longer than ' + field.max + ' characters: it will be cut off.' };
+    }
+    if (field.url && value && !/^https?:\/\//i.test(value)) {
+      return { level: 'warning', message: 'Use an absolute URL (https://...) so that social networks can load it.' };
+    }
+    if (field.options && value && !field.options.includes(value)) {
+      return { level: 'warning', message: 'Usually one of: ' + field.options.join(', ') + '.' };
+    }
+    return null;
+  }
+
+  function checkJsonLd(value, original) {
+    const text = value.trim();
+    if (!text && !(original || '').trim()) return null;
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { level: 'error', message: 'Invalid JSON: ' + err.message };
+    }
+    const items = Array.isArray(data) ? data : [data];
+    if (items.length === 0 || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+      return { level: 'error', message: 'Structured data must be a JSON object or a list of objects.' };
+    }
+    if (items.some(item => !item['@context'])) {
+      return { level: 'warning', message: 'Missing "@context" (usually "https://schema.org").' };
+    }
+    if (items.some(item => !item['@type'] && !item['@graph'])) {
+      return { level: 'warning', message: 'Missing "@type".' };
+    }
+    return null;
+  }
+
+  function clipText(text, max) {
+    return text.length > max ? text.slice(0, max - 1).trimEnd() + '\u2026' : text;
+  }
+
+  /**
+   * How the page shows up in search results and as a shared link.
+   */
+  function renderPagePreview(state) {
+    const url = state.meta['og:url'] || window.location.href.split('#')[0];
+    let host = url;
+    try {
+      host = new URL(url, window.location.href).host || url;
+    } catch (_) {
+      // Keep the URL as typed.
+    }
+    const image = getPageValue(state, 'og:image');
+    const large = state.meta['twitter:card'] !== 'summary';
+    return `
+      <div class="edit-page-search">
+        <div class="edit-page-url">${escapeHTMLText(clipText(url, 70))}</div>
+        <div class="edit-page-title">${escapeHTMLText(clipText(state.title, 60)) || '<em>(no title)</em>'}</div>
+        <div>${escapeHTMLText(clipText(state.meta.description || '', 160))}</div>
+      </div>
+      <div class="edit-page-card${large ? ' edit-page-card-large' : ''}">
+        ${image ? `<img src="${escapeHTMLAttr(image)}" alt="">` : ''}
+        <div>
+          <div class="edit-page-url">${escapeHTMLText(host)}</div>
+          <div class="edit-page-title">${escapeHTMLText(clipText(getPageValue(state, 'og:title'), 90))}</div>
+          <div>${escapeHTMLText(clipText(getPageValue(state, 'og:description'), 200))}</div>
+        </div>
+      </div>`;
+  }
+
+  function renderPageField(field) {
+    const list = field.options ? 'edit-page-' + field.key.replace(':', '-') : '';
+    const attrs = 'data-edit-field="' + field.key + '"' + (list ? ' list="' + list + '"' : '');
+    return `
+      <label class="edit-page-field">
+        ${field.label}${field.key === 'title' ? '' : ' <code>' + field.key + '</code>'}
+        ${field.multiline ? `<textarea ${attrs} rows="2"></textarea>` : `<input type="text" ${attrs}>`}
+        ${list ? `<datalist id="${list}">${field.options.map(option => `<option value="${option}">`).join('')}</datalist>` : ''}
+        <span class="edit-page-hint" data-edit-hint="${field.key}"></span>
+      </label>`;
+  }
+
+  /**
+   * The state the panel's form describes. Empty fields do not add tags the
+   * page did not have; JSON-LD keeps the whitespace around its script text.
+   */
+  function readPagePanel(base) {
+    const value = key => pagePanelEl.querySelector('[data-edit-field="' + key + '"]').value;
+    const state = { title: value('title'), meta: {}, jsonld: [] };
+    PAGE_FIELDS.forEach(field => {
+      if (field.key === 'title') return;
+      const text = value(field.key);
+      state.meta[field.key] = text === '' && base.meta[field.key] == null ? null : text;
+    });
+    state.jsonld = base.jsonld.map((text, i) => {
+      const json = escapeScriptText(pagePanelEl.querySelector('[data-edit-jsonld="' + i + '"]').value.trim());
+      if (text == null) return json ? '\n' + json + '\n' : null;
+      if (json === text.trim()) return text;
+      return text.match(/^\s*/)[0] + json + (text.trim() ? text.match(/\s*$/)[0] : '');
+    });
+    return state;
+  }
+
+  function updatePagePanel() {
+    if (!pagePanelEl) return;
+    const base = captureState('page');
+    const state = readPagePanel(base);
+    let errors = 0;
+    const showHint = (key, text, problem) => {
+      const hint = pagePanelEl.querySelector('[data-edit-hint="' + key + '"]');
+      hint.textContent = [text, problem ? problem.message : ''].filter(Boolean).join(' \u00b7 ');
+      hint.setAttribute('data-state', problem ? problem.level : '');
+      if (problem && problem.level === 'error') errors += 1;
+    };
+
+    PAGE_FIELDS.forEach(field => {
+      const input = pagePanelEl.querySelector('[data-edit-field="' + field.key + '"]');
+      if (field.fallback) input.placeholder = getPageValue(state, field.fallback);
+      showHint(field.key, field.max ? input.value.length + '/' + field.max : '', checkPageField(field, input.value));
+    });
+    base.jsonld.forEach((text, i) => {
+      showHint('jsonld-' + i, '', checkJsonLd(pagePanelEl.querySelector('[data-edit-jsonld="' + i + '"]').value, text));
+    });
+    pagePanelEl.querySelector('[data-edit-page="apply"]').disabled = errors > 0;
+    pagePanelEl.querySelector('.edit-page-preview').innerHTML = renderPagePreview(state);
+  }
+
+  function applyPagePanel() {
+    const before = captureState('page');
+    setPageState(readPagePanel(before));
+    lastEditTarget = 'page';
+    pushHistory([{ kind: 'page', target: 'page', before, after: captureState('page') }], false);
+    closePagePanel();
+  }
+
+  /**
+   * Show the head metadata as a form with length and JSON-LD checks and a
+   * search result / social card preview. Applying is one undoable step.
+   */
+  function togglePagePanel() {
+    if (pagePanelEl) {
+      closePagePanel();
+      return;
+    }
+    closeAttrPopover();
+    const state = captureState('page');
+    const groups = [];
+    PAGE_FIELDS.forEach(field => {
+      if (!groups.includes(field.group)) groups.push(field.group);
+    });
+
+    pagePanelEl = document.createElement('div');
+    pagePanelEl.id = 'edit-page-panel';
+    pagePanelEl.setAttribute(UI_ATTR, 'true');
+    pagePanelEl.setAttribute('role', 'dialog');
+    pagePanelEl.setAttribute('aria-label', 'Page settings');
+    pagePanelEl.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
+        <strong style="font-size:14px;">Page settings</strong>
+        <button type="button" class="edit-icon-btn" data-edit-page="close" title="Close" aria-label="Close">\u2715</button>
+      </div>
+      ${groups.map(group => `
+        <div class="edit-page-group">${group}</div>
+        ${PAGE_FIELDS.filter(field => field.group === group).map(renderPageField).join('')}`).join('')}
+      <div class="edit-page-group">Structured data (JSON-LD)</div>
+      ${state.jsonld.map((text, i) => `
+        <label class="edit-page-field">
+          ${text == null ? 'New block' : 'Block ' + (i + 1)}
+          <textarea data-edit-jsonld="${i}" rows="${text == null ? 3 : 8}" spellcheck="false"></textarea>
+          <span class="edit-page-hint" data-edit-hint="jsonld-${i}"></span>
+        </label>`).join('')}
+      <div class="edit-page-group">Preview</div>
+      <div class="edit-page-preview"></div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:12px;">
+        <button type="button" class="edit-tool-btn" data-edit-page="cancel">Cancel</button>
+        <button type="button" class="edit-tool-btn" data-edit-page="apply">Apply</button>
+      </div>`;
+
+    pagePanelEl.querySelector('[data-edit-field="title"]').value = state.title;
+    Object.keys(state.meta).forEach(key => {
+      pagePanelEl.querySelector('[data-edit-field="' + key + '"]').value = state.meta[key] || '';
+    });
+    state.jsonld.forEach((text, i) => {
+      pagePanelEl.querySelector('[data-edit-jsonld="' + i + '"]').value = (text || '').trim();
+    });
+
+    pagePanelEl.querySelector('[data-edit-page="close"]').addEventListener('click', closePagePanel);
+    pagePanelEl.querySelector('[data-edit-page="cancel"]').addEventListener('click', closePagePanel);
+    pagePanelEl.querySelector('[data-edit-page="apply"]').addEventListener('click', applyPagePanel);
+    pagePanelEl.addEventListener('input', updatePagePanel);
+    pagePanelEl.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closePagePanel();
+    });
+    document.body.appendChild(pagePanelEl);
+    updatePagePanel();
+    pagePanelEl.querySelector('[data-edit-field="title"]').focus();
+  }
+
+  function closePagePanel() {
+    returnPanelFocus(pagePanelEl, 'edit-page-btn');
+    if (pagePanelEl) pagePanelEl.remove();
+    pagePanelEl = null;
+  }
+
+  // ── Repeatable blocks ───────────────────────────────────
+
+  /**
+   * The items of a repeatable block: its element children, or the ones
+   * matching the selector given as the data-edit-repeat value.
+   */
+  function getRepeatItems(container) {
+    const selector = container.getAttribute(REPEAT_ATTR);
+    return Array.from(container.children).filter(el => {
+      if (isEditModeUI(el)) return false;
+      if (!selector) return true;
+      try {
+        return el.matches(selector);
+      } catch (_) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Record the items of the repeatable blocks in and under `roots` (all
+   * content roots by default) that have no baseline yet. Blocks inside
+   * copies share the baseline of the block they were copied from.
+   */
+  function snapshotRepeatContainers(roots) {
+    (roots || getContentRoots()).forEach(root => {
+      const found = Array.from(root.querySelectorAll('[' + REPEAT_ATTR + ']'));
+      if (root.matches && root.matches('[' + REPEAT_ATTR + ']')) found.unshift(root);
+      found.forEach(container => {
+        if (repeatBaselines.has(container) || repeatOrigins.has(container)) return;
+        if (isEditModeUI(container) || !isInEditableRegion(container)) return;
+        const items = getRepeatItems(container);
+        repeatBaselines.set(container, { items, texts: items.map(item => normalizeText(item.textContent)) });
+      });
+    });
+  }
+
+  /**
+   * The element `el` was copied from, or `el` itself when it is no copy.
+   */
+  function getRepeatOrigin(el) {
+    return repeatOrigins.get(el) || el;
+  }
+
+  function getRepeatId(el) {
+    if (!repeatIds.has(el)) {
+      const id = String(repeatElements.size + 1);
+      repeatIds.set(el, id);
+      repeatElements.set(id, el);
+    }
+    return repeatIds.get(el);
+  }
+
+  /**
+   * The innermost repeatable item `node` is in, across shadow roots.
+   */
+  function findRepeatItem(node) {
+    let el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    while (el) {
+      const parent = el.parentElement;
+      if (parent && repeatBaselines.has(parent) && getRepeatItems(parent).includes(el)) return el;
+      el = parent || (el.parentNode && el.parentNode.host) || null;
+    }
+    return null;
+  }
+
+  /**
+   * The current items that stand for items of the baseline (those items
+   * or copies of them), in order. Items the page added at runtime have
+   * nothing in the source and are left out.
+   */
+  function getSourceRepeatItems(container) {
+    const baseline = repeatBaselines.get(container);
+    return getRepeatItems(container).filter(item => baseline.items.includes(getRepeatOrigin(item)));
+  }
+
+  /**
+   * A block changed when the originals its items stand for are not the
+   * baseline items in baseline order. A copy in place of its deleted
+   * original is no change: it saves the same source.
+   */
+  function isRepeatChanged(container) {
+    const baseline = repeatBaselines.get(container);
+    if (!baseline) return false;
+    const items = getSourceRepeatItems(container);
+    return items.length !== baseline.items.length ||
+      items.some((item, i) => getRepeatOrigin(item) !== baseline.items[i]);
+  }
+
+  /**
+   * Copy an item. The copy and everything in it remember the elements
+   * they were copied from, whose source they are saved from; marks that
+   * belong to the original (suggestions, comments, problems) stay behind.
+   */
+  function cloneRepeatItem(item) {
+    const copy = item.cloneNode(true);
+    const sources = [item].concat(Array.from(item.querySelectorAll('*')));
+    [copy].concat(Array.from(copy.querySelectorAll('*'))).forEach((el, i) => {
+      const source = sources[i];
+      repeatOrigins.set(el, getRepeatOrigin(source));
+      if (repeatBaselines.has(source)) repeatBaselines.set(el, repeatBaselines.get(source));
+      if (richBlocks.has(source)) richBlocks.set(el, richBlocks.get(source));
+      el.classList.remove(SUGGESTED_CLASS, COMMENTED_CLASS, INVALID_CLASS, REPEAT_ACTIVE_CLASS, 'edit-flash');
+      el.removeAttribute('aria-invalid');
+      if (el.dataset.editBlocked) delete el.dataset.editBlocked;
+    });
+    blockLinkNavigation(copy);
+    return copy;
+  }
+
+  /**
+   * Put a block's items in the order of `items` as one undoable step.
+   */
+  function setRepeatItems(container, items) {
+    const before = captureState('structure', container);
+    const after = { items: items.map(getRepeatId) };
+    restoreState('structure', container, after);
+    lastEditTarget = container;
+    pushHistory([{ kind: 'structure', target: container, before, after }], false);
+  }
+
+  function runRepeatAction(action, item) {
+    const container = item.parentElement;
+    const items = container ? getRepeatItems(container) : [];
+    const at = items.indexOf(item);
+    if (at < 0) return;
+    if (action === 'duplicate') {
+      items.splice(at + 1, 0, cloneRepeatItem(item));
+    } else if (action === 'delete') {
+      // A block keeps at least one item to copy from.
+      if (items.length < 2) return;
+      items.splice(at, 1);
+    } else {
+      const to = at + (action === 'up' ? -1 : 1);
+      if (to < 0 || to >= items.length) return;
+      items.splice(at, 1);
+      items.splice(to, 0, item);
+    }
+    setRepeatItems(container, items);
+  }
+
+  /**
+   * Lay out a block's items from original item indexes (as in a change
+   * set): an original still in the block is used the first time, every
+   * other use is a copy. Returns the items by index, null where an index
+   * names no original.
+   */
+  function buildRepeatItems(container, froms) {
+    const baseline = repeatBaselines.get(container);
+    const current = getRepeatItems(container);
+    const used = new Set();
+    const items = froms.map(from => {
+      const original = baseline.items[from];
+      if (!original) return null;
+      const item = current.includes(original) && !used.has(original) ? original : cloneRepeatItem(original);
+      used.add(original);
+      return item;
+    });
+    restoreState('structure', container, { items: items.filter(Boolean).map(getRepeatId) });
+    return items;
+  }
+
+  /**
+   * Source range of a repeatable item from its open tag through its
+   * closing tag, or through its content when the closing tag is implied
+   * (<li> without </li>), with the text found there.
+   */
+  function getRepeatSourceRange(item) {
+    const anchor = getTagAnchor(item);
+    const index = anchor && getSourceIndex(item.ownerDocument);
+    if (!index) return null;
+    const token = index.tokens[anchor.token];
+    let end = token.end;
+    if (token.close != null) {
+      end = index.tokens[token.close].end;
+    } else if (token.innerEnd != null) {
+      end = token.innerStart + index.html.slice(token.innerStart, token.innerEnd).replace(/\s*$/, '').length;
+    }
+    return { start: token.start, end, text: sourceSliceText(index.html.slice(token.start, end)) };
+  }
+
+  /**
+   * The source ranges of a block's baseline items and the range they
+   * span, or null when any of them cannot be told apart in the source.
+   */
+  function getRepeatSource(container) {
+    const baseline = repeatBaselines.get(container);
+    if (!baseline || baseline.items.length === 0) return null;
+    const originals = baseline.items.map(getRepeatSourceRange);
+    if (originals.some((range, i) => !range || range.text !== baseline.texts[i])) return null;
+    return { start: originals[0].start, end: originals[originals.length - 1].end, originals };
+  }
+
+  /**
+   * Structure edits for the blocks whose items were added, moved or
+   * removed: the source range and text of every original item, and for
+   * each item now the index of the original it is a copy of (`from`).
+   * Edits inside the items are folded in by foldRepeatEdits().
+   */
+  function collectRepeatEdits() {
+    const edits = [];
+    repeatBaselines.forEach((baseline, container) => {
+      if (!container.isConnected || !isRepeatChanged(container)) return;
+      const items = getSourceRepeatItems(container);
+      const source = getRepeatSource(container);
+      edits.push({
+        type: 'repeat',
+        tag: container.localName,
+        oldText: baseline.texts.join(' | '),
+        newText: items.map(item => normalizeText(item.textContent)).join(' | '),
+        anchor: source ? { start: source.start, end: source.end } : null,
+        originals: source ? source.originals : [],
+        items: items.map(item => ({ from: baseline.items.indexOf(getRepeatOrigin(item)), edits: [], el: item })),
+        el: container
+      });
+    });
+    return edits;
+  }
+
+  /**
+   * Move the edits made inside the items of a changed block into that
+   * block's edit, each with the position of its element in the item
+   * (`path`): they are patched into the item's copy of the source. Inner
+   * blocks go first so they end up inside the items of outer ones. Open
+   * suggestions and runtime text stay separate.
+   */
+  function foldRepeatEdits(edits) {
+    const depth = el => {
+      let count = 0;
+      for (let node = el; node; node = node.parentNode || node.host) count += 1;
+      return count;
+    };
+    let rest = edits;
+    edits.filter(edit => edit.type === 'repeat')
+      .sort((a, b) => depth(b.el) - depth(a.el))
+      .forEach(repeat => {
+        rest = rest.filter(edit => {
+          if (edit === repeat || !edit.el || edit.suggestion || edit.runtime) return true;
+          const entry = repeat.items.find(item => item.el.contains(edit.el));
+          if (!entry) return true;
+          edit.path = [entry.el].concat(Array.from(entry.el.querySelectorAll('*'))).indexOf(edit.el);
+          entry.edits.push(edit);
+          return false;
+        });
+      });
+    return rest;
+  }
+
+  /**
+   * Resolve a structure edit to the range spanning its original items,
+   * rebuilt from copies of their source: each item is the slice of the
+   * original it came from with the edits made inside it applied, joined
+   * by the whitespace that separated the first two originals.
+   */
+  function resolveRepeatEdit(html, edit) {
+    const originals = edit.originals || [];
+    if (!edit.anchor || originals.length === 0 || !Array.isArray(edit.items)) return null;
+    for (let i = 0; i < originals.length; i += 1) {
+      const range = originals[i];
+      if (range.end > html.length || sourceSliceText(html.slice(range.start, range.end)) !== normalizeText(range.text)) return null;
+      if (i > 0 && (range.start < originals[i - 1].end || /\S/.test(html.slice(originals[i - 1].end, range.start)))) return null;
+    }
+
+    const first = originals[0];
+    const last = originals[originals.length - 1];
+    let joiner = originals.length > 1 ? html.slice(first.end, originals[1].start) : '';
+    if (originals.length === 1) {
+      const indent = html.slice(html.lastIndexOf('\n', first.start - 1) + 1, first.start);
+      joiner = /\S/.test(indent) ? '' : '\n' + indent;
+    }
+
+    const parts = [];
+    for (const item of edit.items) {
+      const range = originals[item.from];
+      const text = range ? patchSourceSlice(html, range, item.edits || []) : null;
+      if (text == null) return null;
+      parts.push(text);
+    }
+    return { start: first.start, end: last.end, text: parts.join(joiner) };
+  }
+
+  /**
+   * The source in `range` with `edits` applied; null unless every edit
+   * resolves at its anchor inside the range.
+   */
+  function patchSourceSlice(html, range, edits) {
+    const ranges = [];
+    for (const edit of edits) {
+      const found = resolveAnchoredEdit(html, edit);
+      if (!found || found.start < range.start || found.end > range.end || rangesOverlap(ranges, found.start, found.end)) return null;
+      ranges.push(found);
+    }
+    let text = html.slice(range.start, range.end);
+    ranges.sort((a, b) => b.start - a.start).forEach(found => {
+      text = text.slice(0, found.start - range.start) + found.text + text.slice(found.end - range.start);
+    });
+    return text;
+  }
+
+  function resolveAnchoredEdit(html, edit) {
+    if (!edit.anchor) return null;
+    const type = edit.type || 'text';
+    if (type === 'text') return resolveTextEdit(html, edit);
+    if (type === 'html') return resolveHTMLEdit(html, edit);
+    if (type === 'attr') return resolveAttrEdit(html, edit);
+    if (type === 'repeat') return resolveRepeatEdit(html, edit);
+    return null;
+  }
+
+  // Per-item controls
+
+  function ensureRepeatControls() {
+    if (repeatControlsEl || !document.body) return;
+    repeatControlsEl = document.createElement('div');
+    repeatControlsEl.id = 'edit-repeat-controls';
+    repeatControlsEl.setAttribute(UI_ATTR, 'true');
+    repeatControlsEl.innerHTML = `
+      <button type="button" class="edit-icon-btn" data-edit-repeat-action="duplicate" title="Duplicate">\u29c9</button>
+      <button type="button" class="edit-icon-btn" data-edit-repeat-action="up" title="Move up">\u2191</button>
+      <button type="button" class="edit-icon-btn" data-edit-repeat-action="down" title="Move down">\u2193</button>
+      <button type="button" class="edit-icon-btn" data-edit-repeat-action="delete" title="Delete">\u2715</button>`;
+    // Keep the caret where it is while clicking the controls.
+    repeatControlsEl.addEventListener('mousedown', e => e.preventDefault());
+    repeatControlsEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-edit-repeat-action]');
+      if (btn && repeatControlsItem) runRepeatAction(btn.getAttribute('data-edit-repeat-action'), repeatControlsItem);
+    });
+    document.body.appendChild(repeatControlsEl);
+  }
+
+  function showRepeatControls(item) {
+    ensureRepeatControls();
+    if (!repeatControlsEl) return;
+    if (repeatControlsItem && repeatControlsItem !== item) repeatControlsItem.classList.remove(REPEAT_ACTIVE_CLASS);
+    repeatControlsItem = item;
+    item.classList.add(REPEAT_ACTIVE_CLASS);
+
+    const items = getRepeatItems(item.parentElement);
+    const at = items.indexOf(item);
+    const disabled = { up: at <= 0, down: at === items.length - 1, delete: items.length < 2 };
+    repeatControlsEl.querySelectorAll('[data-edit-repeat-action]').forEach(btn => {
+      btn.disabled = !!disabled[btn.getAttribute('data-edit-repeat-action')];
+    });
+    repeatControlsEl.style.display = 'flex';
+    positionRepeatControls();
+  }
+
+  function positionRepeatControls() {
+    if (!repeatControlsEl || !repeatControlsItem) return;
+    const rect = getViewportRect(repeatControlsItem);
+    const width = repeatControlsEl.offsetWidth || 130;
+    repeatControlsEl.style.left = Math.max(8, Math.min(rect.right - width, window.innerWidth - width - 8)) + 'px';
+    repeatControlsEl.style.top = Math.max(8, rect.top) + 'px';
+  }
+
+  function hideRepeatControls() {
+    if (repeatControlsItem) repeatControlsItem.classList.remove(REPEAT_ACTIVE_CLASS);
+    repeatControlsItem = null;
+    if (repeatControlsEl) repeatControlsEl.style.display = 'none';
+  }
+
+  /**
+   * After a change: follow the item the controls are on, or hide them
+   * when it left its block.
+   */
+  function updateRepeatControls() {
+    const item = repeatControlsItem;
+    if (!item) return;
+    if (editActive && item.isConnected && findRepeatItem(item) === item) showRepeatControls(item);
+    else hideRepeatControls();
+  }
+
+  function handleRepeatHover(e) {
+    if (!editActive || repeatBaselines.size === 0) return;
+    const target = getEventTarget(e);
+    if (target && target.nodeType === Node.ELEMENT_NODE && isEditModeUI(target)) return;
+    const item = findRepeatItem(target);
+    if (!item) hideRepeatControls();
+    else if (item !== repeatControlsItem) showRepeatControls(item);
+  }
+
+  // ── History ─────────────────────────────────────────────
+
+  const HISTORY_MERGE_MS = 1000;
+  const HISTORY_LIMIT = 200;
+
+  function captureState(kind, target) {
+    if (kind === 'suggestion') return suggestions.has(target) ? Object.assign({}, suggestions.get(target)) : null;
+    if (kind === 'page') return getPageState();
+    if (kind === 'attrs') {
+      const state = {};
+      getTrackedAttributes(target).forEach(attr => { state[attr] = target.getAttribute(attr); });
+      return state;
+    }
+    if (kind === 'structure') return { items: getRepeatItems(target).map(getRepeatId) };
+    return richBlocks.has(target) ? { html: target.innerHTML } : { text: target.textContent };
+  }
+
+  function restoreState(kind, target, state) {
+    if (kind === 'suggestion') {
+      if (state) suggestions.set(target, Object.assign({}, state));
+      else suggestions.delete(target);
+      return;
+    }
+    if (kind === 'page') {
+      setPageState(state);
+      return;
+    }
+    if (kind === 'attrs') {
+      Object.keys(state).forEach(attr => {
+        if (state[attr] == null) target.removeAttribute(attr);
+        else target.setAttribute(attr, state[attr]);
+      });
+      return;
+    }
+    if (kind === 'structure') {
+      // Items leave the block and come back in order, at the place of the current ones.
+      const items = state.items.map(id => repeatElements.get(id)).filter(Boolean);
+      const current = getRepeatItems(target);
+      const next = current.length ? current[current.length - 1].nextSibling : null;
+      current.forEach(item => {
+        if (!items.includes(item)) item.remove();
+      });
+      items.forEach(item => target.insertBefore(item, next));
+      return;
+    }
+    if (state.html != null) {
+      target.innerHTML = state.html;
+      blockNewLinks(target);
+    } else {
+      target.textContent = state.text;
+    }
+    lastStates.set(target, captureState(kind, target));
+  }
+
+  function sameState(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Record a change as one undoable entry. Consecutive typing in the same
+   * element within HISTORY_MERGE_MS is merged into a single entry.
+   */
+  function pushHistory(steps, mergeable) {
+    let changed = steps.filter(step => !sameState(step.before, step.after));
+    if (changed.length === 0) return;
+    if (suggestMode) changed = changed.concat(markSuggestionSteps(changed));
+
+    const now = Date.now();
+    const last = undoStack[undoStack.length - 1];
+    if (mergeable && last && last.mergeable && changed.length === 1 && last.steps.length === 1 &&
+        last.steps[0].target === changed[0].target && now - last.time < HISTORY_MERGE_MS) {
+      last.steps[0].after = changed[0].after;
+      last.time = now;
+    } else {
+      undoStack.push({ steps: changed, time: now, mergeable: !!mergeable });
+      if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    }
+    redoStack = [];
+    notifyChange();
+  }
+
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return;
+    entry.steps.slice().reverse().forEach(step => restoreState(step.kind, step.target, step.before));
+    redoStack.push(entry);
+    focusHistoryTarget(entry);
+    notifyChange();
+  }
+
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return;
+    entry.steps.forEach(step => restoreState(step.kind, step.target, step.after));
+    entry.mergeable = false;
+    undoStack.push(entry);
+    focusHistoryTarget(entry);
+    notifyChange();
+  }
+
+  function focusHistoryTarget(entry) {
+    const target = entry.steps[entry.steps.length - 1].target;
+    if (!target || target === 'page' || !target.isConnected || target.getAttribute('contenteditable') !== 'true') return;
+    target.focus();
+    const selection = getSelectionFor(target);
+    if (!selection) return;
+    const range = target.ownerDocument.createRange();
+    range.selectNodeContents(target);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    lastEditTarget = target;
+  }
+
+  function resetHistory() {
+    undoStack = [];
+    redoStack = [];
+    lastStates = new WeakMap();
+  }
+
+  function getEditableHost(node) {
+    const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    const host = el && el.closest ? el.closest('[contenteditable="true"]') : null;
+    return host && !isEditModeUI(host) ? host : null;
+  }
+
+  function handleHistoryFocus(e) {
+    if (!editActive) return;
+    const host = getEditableHost(getEventTarget(e));
+    if (!host) return;
+    lastEditTarget = host;
+    if (!lastStates.has(host)) lastStates.set(host, captureState('content', host));
+    updateHistoryControls();
+  }
+
+  function handleHistoryInput(e) {
+    if (!editActive) return;
+    const host = getEditableHost(getEventTarget(e));
+    if (!host) return;
+    const before = lastStates.get(host) || captureState('content', host);
+    const after = captureState('content', host);
+    lastStates.set(host, after);
+    lastEditTarget = host;
+    pushHistory([{ kind: 'content', target: host, before, after }], true);
+  }
+
+  function handleHistoryKeydown(e) {
+    if (!editActive || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = getEventTarget(e);
+    if (target && target.closest && isEditModeUI(target) && /^(input|textarea)$/i.test(target.tagName)) return;
+    const key = (e.key || '').toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  function handleHistoryBeforeInput(e) {
+    if (!editActive || !getEditableHost(getEventTarget(e))) return;
+    // Route the browser's own undo/redo (e.g. from the Edit menu) to the session history.
+    if (e.inputType === 'historyUndo') {
+      e.preventDefault();
+      undo();
+    } else if (e.inputType === 'historyRedo') {
+      e.preventDefault();
+      redo();
+    }
+  }
+
+  /**
+   * Every changed target this session: editable elements whose content
+   * differs from the baseline, elements with changed attributes,
+   * repeatable blocks with changed items and 'page'.
+   */
+  function getChangedTargets() {
+    const targets = [];
+    queryAllDeep('[data-edit-orig]').forEach(el => {
+      // Compare first: isEditableTarget() looks at every descendant.
+      if ((el.getAttribute('data-edit-orig') || '').trim() === (el.textContent || '').trim()) return;
+      if (isEditableTarget(el)) targets.push(el);
+    });
+    document.querySelectorAll('[' + RICH_ATTR + ']').forEach(el => {
+      const baseline = richBlocks.get(el);
+      if (baseline && sanitizeInlineHTML(el) !== baseline.html) targets.push(el);
+    });
+    attrBaselines.forEach((baseline, el) => {
+      if (targets.includes(el)) return;
+      if (Object.keys(baseline).some(attr => baseline[attr] !== el.getAttribute(attr))) targets.push(el);
+    });
+    repeatBaselines.forEach((_, container) => {
+      if (container.isConnected && isRepeatChanged(container)) targets.push(container);
+    });
+    if (pageBaseline && !sameState(captureState('page'), pageBaseline)) targets.push('page');
+    return targets;
+  }
+
+  /**
+   * Build the history steps that bring a target back to its baseline.
+   */
+  function getRevertSteps(target) {
+    if (target === 'page') {
+      return pageBaseline ? [{ kind: 'page', target, before: captureState('page'), after: pageBaseline }] : [];
+    }
+    const steps = [];
+    const rich = richBlocks.get(target);
+    if (rich) {
+      steps.push({ kind: 'content', target, before: captureState('content', target), after: { html: rich.html } });
+    } else if (target.hasAttribute('data-edit-orig')) {
+      steps.push({ kind: 'content', target, before: captureState('content', target), after: { text: target.getAttribute('data-edit-orig') } });
+    }
+    const attrs = attrBaselines.get(target);
+    if (attrs) {
+      const before = captureState('attrs', target);
+      steps.push({ kind: 'attrs', target, before, after: Object.assign({}, before, attrs) });
+    }
+    const repeat = repeatBaselines.get(target);
+    if (repeat) {
+      // A block inside a copy gets back one copy of each original item
+      // (the originals belong to the block it was copied from). Items the
+      // page added at runtime stay, after the others.
+      const current = getRepeatItems(target);
+      const items = repeat.items.map(original => (repeatOrigins.has(target)
+        ? current.find(item => getRepeatOrigin(item) === original) : original)).filter(Boolean);
+      const added = current.filter(item => !repeat.items.includes(getRepeatOrigin(item)));
+      steps.push({ kind: 'structure', target, before: captureState('structure', target), after: { items: items.concat(added).map(getRepeatId) } });
+    }
+    return steps;
+  }
+
+  function applyRevertSteps(steps) {
+    steps.forEach(step => restoreState(step.kind, step.target, step.after));
+    pushHistory(steps, false);
+  }
+
+  function revertTarget(target) {
+    if (!editActive || !target) return;
+    applyRevertSteps(getRevertSteps(target));
+  }
+
+  function revertAll() {
+    if (!editActive) return;
+    const steps = [];
+    getChangedTargets().forEach(target => { steps.push.apply(steps, getRevertSteps(target)); });
+    applyRevertSteps(steps);
+  }
+
+  function updateHistoryControls(changedTargets) {
+    if (!toolbarEl) return;
+    const changed = editActive ? changedTargets || getChangedTargets() : [];
+    const count = document.getElementById('edit-change-count');
+    if (count) count.textContent = changed.length + ' changed';
+    const setDisabled = (id, disabled) => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = disabled;
+    };
+    setDisabled('edit-undo-btn', undoStack.length === 0);
+    setDisabled('edit-redo-btn', redoStack.length === 0);
+    setDisabled('edit-revert-btn', !lastEditTarget || !changed.includes(lastEditTarget));
+    setDisabled('edit-revert-all-btn', changed.length === 0);
+  }
+
+  /**
+   * Called after anything in the session changed. The changed targets are
+   * collected once here and handed to everything that needs them, as this
+   * runs on every keystroke.
+   */
+  function notifyChange() {
+    const changed = editActive ? getChangedTargets() : [];
+    updateHistoryControls(changed);
+    updateRepeatControls();
+    scheduleAutosave();
+    if (reviewEl) renderReviewPanel();
+    refreshConstraints(changed);
+    updateA11yState(changed);
+    updateTranslationState();
+    updateSuggestionControls(changed);
+    scheduleCollabSync();
+    if (editActive && eventHandlers.change.length) emitEvent('change', { changedCount: changed.length });
+  }
+
+  // ── Constraints ─────────────────────────────────────────
+
+  /**
+   * Constraints are declared on an editable element or an ancestor:
+   * data-edit-maxlength, data-edit-minlength, data-edit-required,
+   * data-edit-single-line and data-edit-pattern (whole text must match),
+   * with an optional data-edit-message shown when the pattern fails.
+   */
+  function getConstraintHost(node) {
+    const el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    return el && el.closest ? composedClosest(el, CONSTRAINT_SELECTOR) : null;
+  }
+
+  function readConstraints(host) {
+    const number = name => {
+      const value = Number.parseInt(host.getAttribute(name), 10);
+      return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    let pattern = null;
+    if (host.hasAttribute('data-edit-pattern')) {
+      try {
+        pattern = new RegExp('^(?:' + host.getAttribute('data-edit-pattern') + ')$', 'u');
+      } catch (err) {
+        console.warn('[edit-mode] Ignoring invalid data-edit-pattern', host, err);
+      }
+    }
+    return {
+      maxLength: number('data-edit-maxlength'),
+      minLength: number('data-edit-minlength'),
+      required: host.hasAttribute('data-edit-required'),
+      singleLine: host.hasAttribute('data-edit-single-line'),
+      pattern,
+      message: host.getAttribute('data-edit-message')
+    };
+  }
+
+  function getTextLength(host) {
+    return Array.from(normalizeText(host.textContent)).length;
+  }
+
+  function checkConstraints(host) {
+    const rules = readConstraints(host);
+    const text = normalizeText(host.textContent);
+    const length = Array.from(text).length;
+    const problems = [];
+    if (rules.required && !text) problems.push('Required');
+    if (rules.minLength != null && text && length < rules.minLength) problems.push('At least ' + rules.minLength + ' characters');
+    if (rules.maxLength != null && length > rules.maxLength) problems.push('At most ' + rules.maxLength + ' characters');
+    // Source line breaks are just whitespace; only inserted breaks count.
+    if (rules.singleLine && host.querySelector('br,div,p')) problems.push('Single line only');
+    if (rules.pattern && text && !rules.pattern.test(text)) problems.push(rules.message || 'Does not match the required format');
+    return problems;
+  }
+
+  function updateConstraintState(host) {
+    const problems = editActive ? checkConstraints(host) : [];
+    host.classList.toggle(INVALID_CLASS, problems.length > 0);
+    if (problems.length > 0) host.setAttribute('aria-invalid', 'true');
+    else host.removeAttribute('aria-invalid');
+    if (host === constraintHintHost) renderConstraintHint(problems);
+    return problems;
+  }
+
+  function renderConstraintHint(problems) {
+    if (!constraintHintEl || !constraintHintHost) return;
+    const rules = readConstraints(constraintHintHost);
+    const length = getTextLength(constraintHintHost);
+    const counter = rules.maxLength != null ? length + ' / ' + rules.maxLength : length + ' characters';
+    constraintHintEl.textContent = [counter].concat(problems || checkConstraints(constraintHintHost)).join(' \u00b7 ');
+    constraintHintEl.setAttribute('data-state', (problems || []).length > 0 ? 'error' : '');
+
+    placeHint(constraintHintEl, constraintHintHost, false);
+  }
+
+  /**
+   * Put a small floating hint below `host` (or above it with `above`),
+   * flipping to the other side when it would leave the viewport.
+   */
+  function placeHint(hintEl, host, above) {
+    const rect = getViewportRect(host);
+    const height = hintEl.offsetHeight || 24;
+    const below = rect.bottom + 4;
+    const over = rect.top - height - 4;
+    let top = above ? over : below;
+    if (above && top < 8) top = below;
+    else if (!above && top + height > window.innerHeight - 8) top = Math.max(8, over);
+    hintEl.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - (hintEl.offsetWidth || 160) - 8)) + 'px';
+    hintEl.style.top = top + 'px';
+  }
+
+  function showConstraintHint(host) {
+    if (!constraintHintEl) {
+      constraintHintEl = document.createElement('div');
+      constraintHintEl.id = 'edit-constraint-hint';
+      constraintHintEl.setAttribute(UI_ATTR, 'true');
+      constraintHintEl.setAttribute('role', 'status');
+      document.body.appendChild(constraintHintEl);
+    }
+    constraintHintHost = host;
+    constraintHintEl.style.display = 'block';
+    updateConstraintState(host);
+  }
+
+  function hideConstraintHint() {
+    constraintHintHost = null;
+    if (constraintHintEl) constraintHintEl.style.display = 'none';
+  }
+
+  function handleConstraintFocus(e) {
+    if (!editActive) return;
+    const target = getEventTarget(e);
+    const host = getEditableHost(target) && getConstraintHost(target);
+    if (host) showConstraintHint(host);
+    else hideConstraintHint();
+  }
+
+  function handleConstraintBlur(e) {
+    if (!constraintHintHost) return;
+    if (e.relatedTarget && constraintHintHost.contains(e.relatedTarget)) return;
+    hideConstraintHint();
+  }
+
+  function handleConstraintInput(e) {
+    const target = getEventTarget(e);
+    if (!editActive || !getEditableHost(target)) return;
+    const host = getConstraintHost(target);
+    if (host) updateConstraintState(host);
+  }
+
+  /**
+   * Characters the selection in `host` would free up when replaced.
+   */
+  function getSelectedLength(host) {
+    const selection = getSelectionFor(host);
+    if (!selection || selection.rangeCount === 0 || !host.contains(selection.anchorNode)) return 0;
+    return Array.from(selection.toString()).length;
+  }
+
+  /**
+   * Block typing past data-edit-maxlength and line breaks in single-line
+   * elements before the browser changes the DOM.
+   */
+  function handleConstraintBeforeInput(e) {
+    const target = getEventTarget(e);
+    if (!editActive || !getEditableHost(target)) return;
+    const host = getConstraintHost(target);
+    if (!host) return;
+    const rules = readConstraints(host);
+
+    if (rules.singleLine && (e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak')) {
+      e.preventDefault();
+      return;
+    }
+    if (rules.maxLength != null && e.inputType === 'insertText' && e.data) {
+      const next = getTextLength(host) - getSelectedLength(host) + Array.from(e.data).length;
+      if (next > rules.maxLength) {
+        e.preventDefault();
+        if (constraintHintHost === host) renderConstraintHint(['At most ' + rules.maxLength + ' characters']);
+      }
+    }
+  }
+
+  /**
+   * Paste as plain text on one line, cut to the room data-edit-maxlength
+   * leaves, so no foreign markup or line breaks enter the page.
+   */
+  function handlePaste(e) {
+    const target = getEventTarget(e);
+    const editable = editActive && getEditableHost(target);
+    if (!editable) return;
+    const data = e.clipboardData || window.clipboardData;
+    if (!data) return;
+    e.preventDefault();
+
+    let text = data.getData('text/plain') || data.getData('Text') || '';
+    text = text.replace(/\s*[\r\n]+\s*/g, ' ');
+    const host = getConstraintHost(target);
+    const maxLength = host ? readConstraints(host).maxLength : null;
+    if (maxLength != null) {
+      const room = Math.max(0, maxLength - (getTextLength(host) - getSelectedLength(host)));
+      text = Array.from(text).slice(0, room).join('');
+    }
+    if (!text) return;
+    const doc = editable.ownerDocument;
+    if (!doc.execCommand('insertText', false, text)) {
+      const selection = getSelectionFor(editable);
+      if (!selection || selection.rangeCount === 0) return;
+      const range = selection.getRangeAt(0);
+      range.deleteContents();
+      range.insertNode(doc.createTextNode(text));
+      range.collapse(false);
+      target.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    }
+  }
+
+  /**
+   * Constraint problems of the elements changed this session. Untouched
+   * elements are not checked: text that was already on the page is the
+   * author's call.
+   */
+  function getConstraintViolations() {
+    const hosts = [];
+    getChangedTargets().forEach(target => {
+      if (target === 'page' || !target.hasAttribute) return;
+      if (!target.hasAttribute('data-edit-orig') && !target.hasAttribute(RICH_ATTR)) return;
+      const host = getConstraintHost(target);
+      if (host && !hosts.includes(host)) hosts.push(host);
+    });
+    return hosts
+      .map(host => ({ el: host, problems: updateConstraintState(host) }))
+      .filter(violation => violation.problems.length > 0);
+  }
+
+  function refreshConstraints(changedTargets) {
+    const hosts = new Set(queryAllDeep('.' + INVALID_CLASS));
+    if (editActive) {
+      (changedTargets || getChangedTargets()).forEach(target => {
+        const host = target !== 'page' && getConstraintHost(target);
+        if (host) hosts.add(host);
+      });
+    }
+    if (constraintHintHost) hosts.add(constraintHintHost);
+    hosts.forEach(updateConstraintState);
+  }
+
+  /**
+   * Before saving: with validation "block" stop and point at the first
+   * problem, with "warn" let the user decide. Resolves to whether to go on.
+   */
+  function confirmConstraints() {
+    const violations = getConstraintViolations();
+    if (violations.length === 0) return Promise.resolve(true);
+    const first = violations[0];
+    const summary = violations.length + ' element(s) break their constraints: ' + first.problems.join(', ');
+    if (config.validation === 'warn') {
+      return confirmDialog(summary + '.\n\nSave anyway?', 'Save anyway').then(ok => {
+        if (!ok) flashElement(first.el);
+        return ok;
+      });
+    }
+    setSaveStatus('Cannot save: ' + summary, 'error');
+    flashElement(first.el);
+    return Promise.resolve(false);
+  }
+
+  // ── Drafts (autosave) ───────────────────────────────────
+
+  const DRAFT_KEY_PREFIX = 'edit-mode:draft:';
+  const AUTOSAVE_DELAY_MS = 500;
+
+  /**
+   * Fast 53-bit string hash (cyrb53). Used to recognise the exact source a
+   * draft was made against; it does not need to be cryptographic.
+   */
+  function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i += 1) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+
+  function getSourceHash(page) {
+    const html = page ? (frameSources.get(page) || {}).html : originalHTML;
+    return html ? hashString(html) : null;
+  }
+
+  function getPageKey() {
+    return window.location.href.replace(/#.*$/, '').replace(/\?.*$/, '');
+  }
+
+  function getDraftKey() {
+    return DRAFT_KEY_PREFIX + getPageKey();
+  }
+
+  function readStorage(key) {
+    try {
+      const raw = window.localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      // Storage can be disabled (private mode, file:// in some browsers) or hold invalid JSON.
+      return null;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      if (value == null) window.localStorage.removeItem(key);
+      else window.localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Plain-data copy of an edit, safe to serialize.
+   */
+  function serializeEdit(edit) {
+    const data = serializeValue(edit);
+    if (!data.type) data.type = 'text';
+    return data;
+  }
+
+  /**
+   * Deep copy of plain data, leaving out DOM nodes (the `el` of an edit).
+   */
+  function serializeValue(value) {
+    if (Array.isArray(value)) return value.map(serializeValue);
+    if (value == null || typeof value !== 'object') return value;
+    const data = {};
+    Object.keys(value).forEach(key => {
+      const item = value[key];
+      if (item != null && typeof item === 'object' && item.nodeType) return;
+      data[key] = serializeValue(item);
+    });
+    return data;
+  }
+
+  function scheduleAutosave() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosaveNow, AUTOSAVE_DELAY_MS);
+  }
+
+  /**
+   * Write the current edits to localStorage, or remove the draft when there
+   * are none. Drafts need the source hash, so nothing is stored until the
+   * original source has loaded.
+   */
+  function autosaveNow() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!editActive) return;
+
+    const hash = getSourceHash();
+    if (!hash) return;
+
+    const edits = collectEdits();
+    if ((edits.length > 0 || comments.length > 0) && pendingDraft) {
+      // The user kept editing instead of restoring; the new draft replaces the old one.
+      hideDraftOffer();
+    }
+    if (edits.length === 0 && comments.length === 0 && skippedDraftEdits.length === 0) {
+      if (!pendingDraft) writeStorage(getDraftKey(), null);
+      return;
+    }
+    writeDraft(edits.map(serializeEdit), comments.map(serializeComment));
+  }
+
+  function writeDraft(edits, draftComments) {
+    writeStorage(getDraftKey(), {
+      url: getPageKey(),
+      hash: getSourceHash(),
+      savedAt: new Date().toISOString(),
+      edits: edits.concat(skippedDraftEdits),
+      comments: draftComments
+    });
+  }
+
+  /**
+   * After a save: the draft is no longer needed, except for restored edits
+   * that found no target, which were not saved either.
+   */
+  function clearDraft() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (skippedDraftEdits.length > 0 && getSourceHash()) {
+      writeDraft([], []);
+      return;
+    }
+    writeStorage(getDraftKey(), null);
+    hideDraftOffer();
+  }
+
+  /**
+   * Look for a stored draft of this page. Drafts made against a different
+   * version of the source are discarded.
+   */
+  function checkForDraft() {
+    const hash = getSourceHash();
+    if (!hash || pendingDraft) return;
+
+    const draft = readStorage(getDraftKey());
+    if (!draft || !Array.isArray(draft.edits)) return;
+    const count = draft.edits.length + (Array.isArray(draft.comments) ? draft.comments.length : 0);
+    if (count === 0) return;
+    if (draft.hash !== hash) {
+      writeStorage(getDraftKey(), null);
+      return;
+    }
+    if (collectEdits().length > 0 || comments.length > 0) return;
+
+    pendingDraft = draft;
+    showDraftOffer(count);
+  }
+
+  function showDraftOffer(count) {
+    const group = document.getElementById('edit-draft-offer');
+    const btn = document.getElementById('edit-draft-restore-btn');
+    if (!group || !btn) return;
+    setButtonLabel(btn, '\u21bb Restore ' + count + ' unsaved change' + (count === 1 ? '' : 's'));
+    btn.disabled = false;
+    btn.title = 'Restore edits from your last session';
+    group.style.display = 'flex';
+  }
+
+  /**
+   * After a partial restore: say how many changes are still only in the
+   * draft, next to the button that discards them.
+   */
+  function showSkippedDraft(count) {
+    const group = document.getElementById('edit-draft-offer');
+    const btn = document.getElementById('edit-draft-restore-btn');
+    if (!group || !btn) return;
+    setButtonLabel(btn, '\u26a0 ' + count + ' change' + (count === 1 ? '' : 's') + ' not restored');
+    btn.disabled = true;
+    btn.title = 'These changes from your last session no longer match the page. They stay in the draft until you discard them.';
+    group.style.display = 'flex';
+  }
+
+  function hideDraftOffer() {
+    pendingDraft = null;
+    skippedDraftEdits = [];
+    const group = document.getElementById('edit-draft-offer');
+    if (group) group.style.display = 'none';
+  }
+
+  function discardDraft() {
+    writeStorage(getDraftKey(), null);
+    hideDraftOffer();
+    // Edits made in this session are still drafted.
+    autosaveNow();
+  }
+
+  function findElementByAnchor(elements, anchor, getAnchor) {
+    if (!anchor) return null;
+    return Array.from(elements).find(el => {
+      const current = getAnchor(el);
+      return current && current.start === anchor.start && current.end === anchor.end;
+    }) || null;
+  }
+
+  /**
+   * Find the live target an edit applies to: by source anchor first, then
+   * by its old text or value. Returns { kind, target } or null. Edits with
+   * a `page` belong to the frame showing that page.
+   */
+  function findEditTarget(edit) {
+    if (edit.type === 'title' || (edit.type === 'attr' && edit.tag === 'meta')) return { kind: 'page', target: 'page' };
+    if (edit.type === 'jsonld') return findPageScript(edit) ? { kind: 'page', target: 'page' } : null;
+
+    if (edit.type === 'attr') {
+      const elements = queryAllDeep(edit.tag).filter(el => !isEditModeUI(el) && isInPage(el, edit.page));
+      const target = findElementByAnchor(elements, edit.anchor, getTagAnchor) ||
+        elements.find(el => el.getAttribute(edit.attr) === edit.oldValue);
+      return target ? { kind: 'attrs', target } : null;
+    }
+
+    if (edit.type === 'repeat') {
+      const containers = Array.from(repeatBaselines.keys()).filter(el =>
+        el.isConnected && !repeatOrigins.has(el) && el.localName === edit.tag && isInPage(el, edit.page) && !isRepeatChanged(el));
+      const target = findElementByAnchor(containers, edit.anchor, getRepeatSource) ||
+        containers.find(el => repeatBaselines.get(el).texts.join(' | ') === edit.oldText);
+      return target ? { kind: 'structure', target } : null;
+    }
+
+    if (edit.type === 'html') {
+      const blocks = document.querySelectorAll('[' + RICH_ATTR + ']');
+      const target = findElementByAnchor(blocks, edit.anchor, getSourceAnchor) ||
+        Array.from(blocks).find(el => {
+          const baseline = richBlocks.get(el);
+          return baseline && normalizeText(baseline.text) === normalizeText(edit.oldText) &&
+            sanitizeInlineHTML(el) === baseline.html;
+        });
+      return target ? { kind: 'content', target } : null;
+    }
+
+    const elements = queryAllDeep('[data-edit-orig]').filter(el => isEditableTarget(el) && isInPage(el, edit.page));
+    const target = findElementByAnchor(elements, edit.anchor, getSourceAnchor) ||
+      elements.find(el => {
+        const orig = normalizeText(el.getAttribute('data-edit-orig'));
+        return orig === normalizeText(edit.oldText) && orig === normalizeText(el.textContent);
+      });
+    return target ? { kind: 'content', target } : null;
+  }
+
+  /**
+   * Put one edit on its target. A structure edit returns the items it laid
+   * out; an edit that cannot be applied returns false. Edits come from
+   * files, so markup is sanitized and only tracked attributes change, never
+   * to script URLs.
+   */
+  function applyEditToTarget(edit, found) {
+    if (edit.type === 'repeat') return buildRepeatItems(found.target, edit.items.map(item => item.from));
+    if (found.target === 'page') {
+      if (!applyPageEdit(edit)) return false;
+    } else if (edit.type === 'attr') {
+      const value = edit.newValue == null ? '' : String(edit.newValue);
+      if (!getTrackedAttributes(found.target).includes(edit.attr) || isScriptAttr(edit.attr, value)) return false;
+      setTrackedAttribute(found.target, edit.attr, value);
+    } else if (edit.type === 'html') {
+      found.target.innerHTML = sanitizeReceivedHTML(edit.newHTML);
+      blockNewLinks(found.target);
+    } else {
+      found.target.textContent = edit.newText;
+    }
+    return null;
+  }
+
+  function getEditKind(edit) {
+    if (edit.type === 'repeat') return 'structure';
+    return edit.type === 'attr' ? 'attrs' : 'content';
+  }
+
+  function hasMarkupEdits(edits) {
+    return edits.some(edit => edit.type === 'html' ||
+      (edit.type === 'repeat' && (edit.items || []).some(item => hasMarkupEdits(item.edits || []))));
+  }
+
+  /**
+   * Apply serialized edits to the live page as one undoable history entry.
+   * Edits inside the items of a structure edit apply to the items it lays
+   * out, found by their `path`. Returns the number of edits that found
+   * their target; the others are added to `skipped` when it is given.
+   */
+  function applyEditsToPage(edits, skipped) {
+    if (!editActive) return 0;
+    if (hasMarkupEdits(edits) && !formatActive) setFormatMode(true);
+
+    const steps = [];
+    const marks = new Map();
+    const apply = (edit, found) => {
+      let step = steps.find(s => s.kind === found.kind && s.target === found.target);
+      if (!step) {
+        step = { kind: found.kind, target: found.target, before: captureState(found.kind, found.target) };
+        steps.push(step);
+      }
+      const items = applyEditToTarget(edit, found);
+      if (items === false) return false;
+      if (edit.suggestion) marks.set(found.target, edit.suggestion);
+      if (!items) return true;
+      edit.items.forEach((entry, i) => {
+        if (!items[i]) return;
+        const nodes = [items[i]].concat(Array.from(items[i].querySelectorAll('*')));
+        (entry.edits || []).forEach(nested => {
+          const target = nodes[nested.path];
+          if (target) apply(nested, { kind: getEditKind(nested), target });
+        });
+      });
+      return true;
+    };
+    let applied = 0;
+    edits.forEach(edit => {
+      const found = findEditTarget(edit);
+      if (!found || !apply(edit, found)) {
+        if (skipped) skipped.push(edit);
+        return;
+      }
+      applied += 1;
+    });
+    steps.forEach(step => {
+      step.after = captureState(step.kind, step.target);
+      if (step.kind === 'content') lastStates.set(step.target, step.after);
+    });
+    // Suggestions stay suggestions: mark their targets in the same undoable entry.
+    marks.forEach((meta, target) => {
+      const before = captureState('suggestion', target);
+      suggestions.set(target, Object.assign({}, meta));
+      steps.push({ kind: 'suggestion', target, before, after: captureState('suggestion', target) });
+    });
+    pushHistory(steps, false);
+    return applied;
+  }
+
+  function restoreDraft() {
+    const draft = pendingDraft;
+    if (!draft) return;
+    hideDraftOffer();
+    const skipped = [];
+    const applied = applyEditsToPage(draft.edits, skipped);
+    if (Array.isArray(draft.comments)) addComments(draft.comments, true);
+    if (skipped.length > 0) {
+      // Matched by text from now on: the page may be saved in between.
+      skippedDraftEdits = skipped.map(edit => Object.assign({}, edit, { anchor: null }));
+      showSkippedDraft(skipped.length);
+      const rest = skipped.length === 1
+        ? '1 no longer matches the page and stays in the draft until you discard it.'
+        : skipped.length + ' no longer match the page and stay in the draft until you discard them.';
+      setSaveStatus('Restored ' + applied + ' of ' + draft.edits.length + ' unsaved changes. ' + rest, 'error');
+    } else if (draft.edits.length > 0) {
+      setSaveStatus('Restored ' + applied + ' unsaved change' + (applied === 1 ? '' : 's') + '.', 'ok');
+    }
+    autosaveNow();
+  }
+
+  // ── Review panel ────────────────────────────────────────
+
+  const DIFF_MAX_CELLS = 250000;
+
+  /**
+   * Word-level diff of two strings (LCS over words and whitespace runs).
+   * Returns [{ type: 'same' | 'del' | 'ins', text }]. Very long inputs
+   * degrade to a single delete + insert.
+   */
+  function diffWords(a, b) {
+    const x = String(a).split(/(\s+)/).filter(Boolean);
+    const y = String(b).split(/(\s+)/).filter(Boolean);
+    if (x.length * y.length > DIFF_MAX_CELLS) {
+      return [{ type: 'del', text: a }, { type: 'ins', text: b }];
+    }
+
+    const rows = x.length + 1;
+    const cols = y.length + 1;
+    const table = new Uint32Array(rows * cols);
+    for (let i = x.length - 1; i >= 0; i -= 1) {
+      for (let j = y.length - 1; j >= 0; j -= 1) {
+        table[i * cols + j] = x[i] === y[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+      }
+    }
+
+    const ops = [];
+    const push = (type, text) => {
+      const last = ops[ops.length - 1];
+      if (last && last.type === type) last.text += text;
+      else ops.push({ type, text });
+    };
+    let i = 0;
+    let j = 0;
+    while (i < x.length && j < y.length) {
+      if (x[i] === y[j]) {
+        push('same', x[i]);
+        i += 1;
+        j += 1;
+      } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+        push('del', x[i++]);
+      } else {
+        push('ins', y[j++]);
+      }
+    }
+    while (i < x.length) push('del', x[i++]);
+    while (j < y.length) push('ins', y[j++]);
+    return ops;
+  }
+
+  function renderDiffSide(ops, side) {
+    const hidden = side === 'old' ? 'ins' : 'del';
+    const marked = side === 'old' ? 'del' : 'ins';
+    return ops.filter(op => op.type !== hidden).map(op => {
+      const text = escapeHTMLText(op.text);
+      return op.type === marked ? '<' + marked + '>' + text + '</' + marked + '>' : text;
+    }).join('');
+  }
+
+  function describeEdit(edit) {
+    if (edit.type === 'title') return 'Page title';
+    if (edit.type === 'attr' && edit.tag === 'meta') return !edit.meta || edit.meta === 'description' ? 'Meta description' : escapeHTMLText(edit.meta);
+    if (edit.type === 'jsonld') return 'Structured data (JSON-LD)';
+    if (edit.type === 'attr') return '&lt;' + edit.tag + '&gt; ' + edit.attr;
+    const tag = edit.el ? '&lt;' + edit.el.localName + '&gt; ' : '';
+    const page = edit.page ? ' in ' + escapeHTMLText(edit.page) : '';
+    if (edit.type === 'repeat') return '&lt;' + edit.tag + '&gt; items' + page;
+    return tag + (edit.type === 'html' ? 'formatted text' : 'text') + page;
+  }
+
+  function flashElement(el) {
+    if (!el || !el.isConnected) return;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.remove('edit-flash');
+    // Restart the animation when the same element is flashed twice.
+    void el.offsetWidth;
+    el.classList.add('edit-flash');
+    setTimeout(() => el.classList.remove('edit-flash'), 1600);
+  }
+
+  /**
+   * Predict how saving would go: which edits the source patcher cannot
+   * place. Edits in frames are patched into their own page's source.
+   */
+  function previewSave(edits) {
+    const unmatched = new Set();
+    const pages = new Map();
+    edits.forEach((edit, idx) => {
+      const page = edit.page || null;
+      if (!pages.has(page)) pages.set(page, []);
+      pages.get(page).push(idx);
+    });
+    pages.forEach((indexes, page) => {
+      const html = page ? (frameSources.get(page) || {}).html : originalHTML;
+      if (!html) {
+        indexes.forEach(idx => unmatched.add(idx));
+        return;
+      }
+      const patched = applyEditsToSource(html, indexes.map(idx => edits[idx]));
+      patched.unmatchedEdits.forEach(item => unmatched.add(indexes[item.index]));
+    });
+    return { sourceLoaded: !!originalHTML, unmatched };
+  }
+
+  function renderReviewPanel() {
+    if (!reviewEl) return;
+    const edits = editActive ? collectEdits() : [];
+    const preview = previewSave(edits);
+    const list = reviewEl.querySelector('.edit-review-list');
+    const summary = reviewEl.querySelector('.edit-review-summary');
+
+    const open = edits.filter(edit => edit.suggestion).length;
+    const runtime = edits.filter(edit => edit.runtime).length;
+    const unmatched = Array.from(preview.unmatched).filter(idx => !edits[idx].runtime && !edits[idx].page).length;
+    const unmatchedFrames = Array.from(preview.unmatched).filter(idx => !edits[idx].runtime && edits[idx].page).length;
+    let note = edits.length + ' change' + (edits.length === 1 ? '' : 's');
+    if (open > 0) {
+      note += ' (' + open + ' suggested) <button type="button" class="edit-tool-btn" data-edit-review="accept-all">Accept all</button>' +
+        ' <button type="button" class="edit-tool-btn" data-edit-review="reject-all">Reject all</button>';
+    }
+    if (!preview.sourceLoaded && edits.length > 0) {
+      note += ' \u00b7 <span class="edit-review-warn">original source not loaded: saving exports the live page (_fallback_no_source)</span>';
+    } else if (unmatched > 0) {
+      note += ' \u00b7 <span class="edit-review-warn">' + unmatched +
+        ' cannot be matched in the source: saving falls back to a DOM export (_fallback_partial_patch)</span>';
+    }
+    if (unmatchedFrames > 0) {
+      note += ' \u00b7 <span class="edit-review-warn">' + unmatchedFrames + ' in frames cannot be matched in their source: those frames are not saved</span>';
+    }
+    if (runtime > 0) {
+      note += ' \u00b7 <span class="edit-review-warn">' + runtime + ' to text generated at runtime: not saved</span>';
+    }
+    summary.innerHTML = note;
+    summary.querySelectorAll('[data-edit-review$="-all"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        resolveSuggestions(getOpenSuggestions().map(item => item.target), btn.getAttribute('data-edit-review') === 'accept-all');
+      });
+    });
+
+    list.innerHTML = '';
+    edits.forEach((edit, idx) => {
+      const showMarkup = edit.type === 'html' && normalizeText(edit.oldText) === normalizeText(edit.newText);
+      const ops = showMarkup ? diffWords(edit.oldHTML, edit.newHTML) : diffWords(abbreviateDataURIs(edit.oldText), abbreviateDataURIs(edit.newText));
+      const item = document.createElement('div');
+      item.className = 'edit-review-item';
+      item.innerHTML = `
+        <div class="edit-review-label">${edit.suggestion ? 'Suggested by ' + escapeHTMLText(edit.suggestion.author || 'a reviewer') + ' \u00b7 ' : ''}${describeEdit(edit)}${showMarkup ? ' (markup)' : ''}</div>
+        ${edit.runtime ? '<div class="edit-review-warn">\u26a0 Generated at runtime: not in the page source, cannot be saved</div>'
+          : preview.sourceLoaded && preview.unmatched.has(idx)
+            ? '<div class="edit-review-warn">\u26a0 Not found in the original source</div>' : ''}
+        <div class="edit-review-cols">
+          <div class="edit-review-old">${renderDiffSide(ops, 'old') || '<em>(empty)</em>'}</div>
+          <div class="edit-review-new">${renderDiffSide(ops, 'new') || '<em>(empty)</em>'}</div>
+        </div>
+        ${edit.suggestion ? `<div class="edit-review-actions">
+          <button type="button" class="edit-tool-btn" data-edit-review="accept">\u2713 Accept</button>
+          <button type="button" class="edit-tool-btn" data-edit-review="reject">\u2715 Reject</button>
+        </div>` : ''}`;
+      if (edit.suggestion) {
+        const target = edit.el || 'page';
+        item.querySelectorAll('[data-edit-review]').forEach(btn => {
+          btn.addEventListener('click', e => {
+            e.stopPropagation();
+            resolveSuggestions([target], btn.getAttribute('data-edit-review') === 'accept');
+          });
+        });
+      }
+      if (edit.el) item.addEventListener('click', () => flashElement(edit.el));
+      list.appendChild(item);
+    });
+
+    comments.forEach(comment => {
+      const item = document.createElement('div');
+      item.className = 'edit-review-item edit-review-comment';
+      item.innerHTML = `
+        <div class="edit-review-label">\ud83d\udcac ${escapeHTMLText(comment.author || 'A reviewer')} on ${describeElement(comment.el)}</div>
+        <div class="edit-review-body"></div>
+        <div class="edit-review-actions">
+          <button type="button" class="edit-tool-btn" data-edit-review="resolve">Resolve</button>
+        </div>`;
+      item.querySelector('.edit-review-body').textContent = comment.body;
+      item.querySelector('[data-edit-review="resolve"]').addEventListener('click', e => {
+        e.stopPropagation();
+        resolveComment(comment.id);
+      });
+      item.addEventListener('click', () => flashElement(comment.el));
+      list.appendChild(item);
+    });
+  }
+
+  function toggleReviewPanel() {
+    if (reviewEl) {
+      closeReviewPanel();
+      return;
+    }
+    reviewEl = document.createElement('div');
+    reviewEl.id = 'edit-review-panel';
+    reviewEl.setAttribute(UI_ATTR, 'true');
+    reviewEl.setAttribute('role', 'dialog');
+    reviewEl.setAttribute('aria-label', 'Review changes');
+    reviewEl.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
+        <strong style="font-size:14px;">Review changes</strong>
+        <button type="button" class="edit-icon-btn" data-edit-review="close" title="Close" aria-label="Close">\u2715</button>
+      </div>
+      <div class="edit-review-actions" style="margin-bottom:8px;">
+        <button type="button" class="edit-tool-btn" data-edit-review="export" title="Download suggestions and comments">\u2b07 Export review</button>
+        <button type="button" class="edit-tool-btn" data-edit-review="import" title="Load suggestions and comments from a review file">\u2b06 Import review</button>
+      </div>
+      <div class="edit-review-summary"></div>
+      <div class="edit-review-list"></div>`;
+    reviewEl.querySelector('[data-edit-review="close"]').addEventListener('click', closeReviewPanel);
+    reviewEl.querySelector('[data-edit-review="export"]').addEventListener('click', downloadReview);
+    reviewEl.querySelector('[data-edit-review="import"]').addEventListener('click', pickReviewFile);
+    reviewEl.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeReviewPanel();
+    });
+    document.body.appendChild(reviewEl);
+    renderReviewPanel();
+    reviewEl.querySelector('[data-edit-review="close"]').focus();
+  }
+
+  function closeReviewPanel() {
+    returnPanelFocus(reviewEl, 'edit-review-btn');
+    if (reviewEl) reviewEl.remove();
+    reviewEl = null;
+  }
+
+  // ── Change sets ─────────────────────────────────────────
+
+  const CHANGESET_FORMAT = 'edit-mode-changeset';
+  const CHANGESET_VERSION = 1;
+
+  /**
+   * Portable description of the session's edits to the page, or with
+   * `page` to the frame showing that page. Anchors are offsets into the
+   * source identified by `sourceHash`.
+   */
+  function buildChangeSet(page) {
+    return {
+      format: CHANGESET_FORMAT,
+      version: CHANGESET_VERSION,
+      url: page ? frameSources.get(page).url : getPageKey(),
+      sourceHash: getSourceHash(page),
+      createdAt: new Date().toISOString(),
+      edits: collectEdits()
+        .filter(edit => !edit.suggestion && !edit.runtime && (edit.page || null) === (page || null))
+        .map(serializeEdit)
+    };
+  }
+
+  function downloadChangeSet() {
+    const changeSet = buildChangeSet();
+    if (changeSet.edits.length === 0) {
+      setSaveStatus(getOpenSuggestions().length > 0 ? 'Only suggestions so far: use Export review in Review.' : 'No text changes detected.', 'info');
+      return;
+    }
+    downloadFile(JSON.stringify(changeSet, null, 2) + '\n', { mode: 'changes' });
+  }
+
+  function parseChangeSet(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== CHANGESET_FORMAT || !Array.isArray(data.edits)) {
+      throw new Error('The file is not an edit-mode change set.');
+    }
+    if (data.version > CHANGESET_VERSION) {
+      throw new Error('The change set was written by a newer version of edit-mode.js.');
+    }
+    return data;
+  }
+
+  /**
+   * Apply a change set to the live page. Anchors are only trusted when the
+   * change set was made against the same source; otherwise edits are
+   * matched by their old text.
+   */
+  function importChangeSet(changeSet) {
+    const hash = getSourceHash();
+    const sameSource = !!hash && changeSet.sourceHash === hash;
+    const confirmed = sameSource
+      ? Promise.resolve(true)
+      : confirmDialog('This change set was made for a different version of the page. Apply the changes by matching text instead?', 'Apply');
+    return confirmed.then(ok => {
+      if (!ok) return;
+      const edits = sameSource ? changeSet.edits : changeSet.edits.map(edit => Object.assign({}, edit, { anchor: null }));
+      const applied = applyEditsToPage(edits);
+      setSaveStatus('Applied ' + applied + ' of ' + edits.length + ' changes.', applied < edits.length ? 'error' : 'ok');
+    });
+  }
+
+  function pickChangeSetFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          importChangeSet(parseChangeSet(String(reader.result)));
+        } catch (err) {
+          setSaveStatus('Could not import changes: ' + err.message, 'error');
+        }
+      };
+      reader.readAsText(file);
+    });
+    input.click();
+  }
+
+  // ── Suggestions and comments ────────────────────────────
+
+  const REVIEW_FORMAT = 'edit-mode-review';
+  const REVIEW_VERSION = 1;
+
+  function createReviewMeta() {
+    return {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+      author: config.author,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * History steps that mark the targets of `steps` as suggestions, for
+   * targets that are not marked yet. Called by pushHistory in suggestion
+   * mode, so undoing a change also undoes its mark.
+   */
+  function markSuggestionSteps(steps) {
+    const marks = [];
+    steps.forEach(step => {
+      if (step.kind === 'suggestion' || suggestions.has(step.target)) return;
+      if (steps.some(s => s.kind === 'suggestion' && s.target === step.target)) return;
+      const meta = createReviewMeta();
+      suggestions.set(step.target, meta);
+      marks.push({ kind: 'suggestion', target: step.target, before: null, after: Object.assign({}, meta) });
+    });
+    return marks;
+  }
+
+  /**
+   * Marked targets that still differ from their baseline, as
+   * [{ target, meta }]. A mark on an unchanged target is kept (a redo can
+   * bring the change back) but is not an open suggestion.
+   */
+  function getOpenSuggestions(changedTargets) {
+    if (suggestions.size === 0) return [];
+    const changed = changedTargets || getChangedTargets();
+    const open = [];
+    suggestions.forEach((meta, target) => {
+      if (changed.includes(target)) open.push({ target, meta });
+    });
+    return open;
+  }
+
+  function setSuggestMode(active) {
+    suggestMode = !!active && editActive;
+    const btn = document.getElementById('edit-suggest-btn');
+    if (btn) btn.setAttribute('aria-pressed', suggestMode ? 'true' : 'false');
+  }
+
+  /**
+   * Accepting keeps the change and drops its mark, so the next save
+   * includes it; rejecting also restores the target's baseline.
+   */
+  function resolveSuggestions(targets, accept) {
+    if (!editActive) return;
+    const steps = [];
+    targets.forEach(target => {
+      const before = captureState('suggestion', target);
+      if (!before) return;
+      if (!accept) {
+        getRevertSteps(target).forEach(step => {
+          restoreState(step.kind, step.target, step.after);
+          steps.push(step);
+        });
+      }
+      suggestions.delete(target);
+      steps.push({ kind: 'suggestion', target, before, after: null });
+    });
+    pushHistory(steps, false);
+  }
+
+  function updateSuggestionControls(changedTargets) {
+    const open = editActive ? getOpenSuggestions(changedTargets) : [];
+    queryAllDeep('.' + SUGGESTED_CLASS).forEach(el => el.classList.remove(SUGGESTED_CLASS));
+    open.forEach(item => {
+      if (item.target !== 'page') item.target.classList.add(SUGGESTED_CLASS);
+    });
+    const count = document.getElementById('edit-review-count');
+    if (!count) return;
+    const parts = [];
+    if (open.length > 0) parts.push(open.length + ' suggested');
+    if (comments.length > 0) parts.push(comments.length + ' comment' + (comments.length === 1 ? '' : 's'));
+    count.textContent = parts.join(' \u00b7 ');
+    count.style.display = parts.length > 0 ? '' : 'none';
+  }
+
+  // Comments
+
+  function describeElement(el) {
+    const text = normalizeText(el.getAttribute('data-edit-orig') || el.textContent || el.getAttribute('alt') || '');
+    return '&lt;' + el.localName + '&gt; ' + (text ? '\u201c' + escapeHTMLText(previewText(text, 40)) + '\u201d' : '');
+  }
+
+  /**
+   * Plain-data copy of a comment. `anchor` is the element's open tag in the
+   * original source and `context` its text, used to find it again.
+   */
+  function serializeComment(comment) {
+    return {
+      id: comment.id,
+      author: comment.author,
+      createdAt: comment.createdAt,
+      body: comment.body,
+      tag: comment.tag,
+      context: comment.context,
+      anchor: comment.anchor ? Object.assign({}, comment.anchor) : null
+    };
+  }
+
+  function getCommentTarget(node) {
+    let el = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    // Direct-text wrappers only exist while editing; comment on their parent.
+    if (el && el.hasAttribute(DIRECT_TEXT_ATTR)) el = el.parentElement;
+    if (!el || isEditModeUI(el) || !document.body.contains(el) || el === document.body) return null;
+    return el;
+  }
+
+  function findCommentTarget(comment, trustAnchors) {
+    const elements = Array.from(document.body.querySelectorAll(comment.tag || '*'))
+      .filter(el => !isEditModeUI(el) && !el.hasAttribute(DIRECT_TEXT_ATTR));
+    const byAnchor = trustAnchors ? findElementByAnchor(elements, comment.anchor, getTagAnchor) : null;
+    if (byAnchor) return byAnchor;
+    const context = normalizeText(comment.context || '');
+    return elements.find(el => normalizeText(el.getAttribute('data-edit-orig') || el.textContent) === context) || null;
+  }
+
+  function addComment(el, body) {
+    const comment = Object.assign(createReviewMeta(), {
+      body,
+      tag: el.localName,
+      context: normalizeText(el.getAttribute('data-edit-orig') || el.textContent || ''),
+      anchor: getTagAnchor(el),
+      el
+    });
+    comments.push(comment);
+    el.classList.add(COMMENTED_CLASS);
+    notifyChange();
+  }
+
+  /**
+   * Attach serialized comments to the page. Returns how many found their
+   * element; the others are dropped.
+   */
+  function addComments(list, trustAnchors) {
+    let added = 0;
+    list.forEach(data => {
+      if (!data || !data.body || comments.some(comment => comment.id === data.id)) return;
+      const el = findCommentTarget(data, trustAnchors);
+      if (!el) return;
+      comments.push(Object.assign(serializeComment(data), { id: data.id || createReviewMeta().id, el }));
+      el.classList.add(COMMENTED_CLASS);
+      added += 1;
+    });
+    notifyChange();
+    return added;
+  }
+
+  function resolveComment(id) {
+    const comment = comments.find(item => item.id === id);
+    if (!comment) return;
+    comments = comments.filter(item => item !== comment);
+    if (!comments.some(item => item.el === comment.el)) comment.el.classList.remove(COMMENTED_CLASS);
+    notifyChange();
+  }
+
+  function startCommentPick() {
+    if (!editActive) return;
+    if (commentPicking) {
+      stopCommentPick();
+      return;
+    }
+    closeAttrPopover();
+    commentPicking = true;
+    document.documentElement.classList.add('edit-picking');
+    setSaveStatus('Click the element to comment on (Esc to cancel).', 'info');
+  }
+
+  function stopCommentPick() {
+    commentPicking = false;
+    document.documentElement.classList.remove('edit-picking');
+  }
+
+  function handleCommentPick(e) {
+    if (!commentPicking || !editActive) return;
+    if (e.type === 'keydown') {
+      if (e.key === 'Escape') {
+        stopCommentPick();
+        setSaveStatus('', '');
+      }
+      return;
+    }
+    if (isEditModeUI(e.target)) return;
+    const el = getCommentTarget(e.target);
+    if (!el) return;
+    e.preventDefault();
+    e.stopPropagation();
+    stopCommentPick();
+    setSaveStatus('', '');
+    openCommentPopover(el);
+  }
+
+  /**
+   * The comment form shares the attribute popover, so only one is open.
+   */
+  function openCommentPopover(el) {
+    closeAttrPopover();
+    popoverEl = document.createElement('div');
+    popoverTarget = el;
+    popoverEl.id = 'edit-attr-popover';
+    popoverEl.setAttribute(UI_ATTR, 'true');
+    popoverEl.setAttribute('role', 'dialog');
+    popoverEl.setAttribute('aria-label', 'Comment');
+    popoverEl.innerHTML = `
+      <div style="font-weight:600;font-size:13px;margin-bottom:8px;color:#fff;">Comment on ${describeElement(el)}</div>
+      <textarea data-edit-field="comment" rows="4" placeholder="Your comment"></textarea>
+      <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:8px;">
+        <button type="button" data-edit-popover="cancel">Cancel</button>
+        <button type="button" data-edit-popover="apply">Add comment</button>
+      </div>`;
+    const field = popoverEl.querySelector('[data-edit-field="comment"]');
+    popoverEl.querySelector('[data-edit-popover="cancel"]').addEventListener('click', closeAttrPopover);
+    popoverEl.querySelector('[data-edit-popover="apply"]').addEventListener('click', () => {
+      const body = field.value.trim();
+      if (body) addComment(el, body);
+      closeAttrPopover();
+    });
+    popoverEl.addEventListener('keydown', e => {
+      if (e.key === 'Escape') closeAttrPopover();
+    });
+    document.body.appendChild(popoverEl);
+    positionPopover(el);
+    field.focus();
+  }
+
+  // Review files
+
+  /**
+   * A stakeholder's review: the open suggestions as edits (see change sets)
+   * and the comments.
+   */
+  function buildReview() {
+    return {
+      format: REVIEW_FORMAT,
+      version: REVIEW_VERSION,
+      url: getPageKey(),
+      sourceHash: getSourceHash(),
+      author: config.author,
+      createdAt: new Date().toISOString(),
+      suggestions: collectEdits().filter(edit => edit.suggestion).map(serializeEdit),
+      comments: comments.map(serializeComment)
+    };
+  }
+
+  function downloadReview() {
+    const review = buildReview();
+    if (review.suggestions.length === 0 && review.comments.length === 0) {
+      setSaveStatus('No suggestions or comments to export.', 'info');
+      return;
+    }
+    downloadFile(JSON.stringify(review, null, 2) + '\n', { mode: 'review' });
+  }
+
+  function parseReview(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== REVIEW_FORMAT || !Array.isArray(data.suggestions) || !Array.isArray(data.comments)) {
+      throw new Error('The file is not an edit-mode review.');
+    }
+    if (data.version > REVIEW_VERSION) {
+      throw new Error('The review was written by a newer version of edit-mode.js.');
+    }
+    return data;
+  }
+
+  /**
+   * Put a review's suggestions (still as suggestions) and comments on the
+   * live page. As with change sets, anchors are only trusted for the same
+   * source.
+   */
+  function importReview(review) {
+    const hash = getSourceHash();
+    const sameSource = !!hash && review.sourceHash === hash;
+    const confirmed = sameSource
+      ? Promise.resolve(true)
+      : confirmDialog('This review was made for a different version of the page. Apply it by matching text instead?', 'Apply');
+    return confirmed.then(ok => {
+      if (ok) applyReview(review, sameSource);
+    });
+  }
+
+  function applyReview(review, sameSource) {
+    const edits = review.suggestions.map(edit => Object.assign({}, edit, {
+      anchor: sameSource ? edit.anchor : null,
+      suggestion: Object.assign({ author: review.author || null }, edit.suggestion || createReviewMeta())
+    }));
+    const applied = applyEditsToPage(edits);
+    const attached = addComments(review.comments, sameSource);
+    if (!reviewEl) toggleReviewPanel();
+    const complete = applied === edits.length && attached === review.comments.length;
+    setSaveStatus('Imported ' + applied + ' of ' + edits.length + ' suggestions and ' + attached + ' of ' + review.comments.length + ' comments.', complete ? 'ok' : 'error');
+  }
+
+  function pickReviewFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          importReview(parseReview(String(reader.result)));
+        } catch (err) {
+          setSaveStatus('Could not import review: ' + err.message, 'error');
+        }
+      };
+      reader.readAsText(file);
+    });
+    input.click();
+  }
+
+  // ── Translations ────────────────────────────────────────
+
+  /**
+   * List the texts of an HTML source under stable keys, as
+   * { key, kind, text, start, end } in source order. Keys come from the
+   * nearest data-edit-key ("hero.title", "hero.title.2" for its second text
+   * run), else from the position among unkeyed body texts ("text.12");
+   * the title and description are "page.title" and "page.description".
+   * Mirrors scripts/lib/text-bundle.js, so bundles from the browser and
+   * the Node script use the same keys.
+   */
+  function extractTextEntries(html) {
+    const tokens = tokenizeSource(html);
+    linkSourceTree(tokens, html.length);
+    const bodyStart = getBodyContentStartIndex(html);
+    const attrCache = new Map();
+    const getAttr = (i, name) => {
+      if (!attrCache.has(i)) attrCache.set(i, parseSourceAttributes(html, tokens[i]));
+      return attrCache.get(i).find(item => item.name === name) || null;
+    };
+
+    const entries = [];
+    const groups = new Map();
+    let unkeyed = 0;
+
+    tokens.forEach((token, i) => {
+      if (token.start < bodyStart) {
+        if (token.type === 'open' && token.name === 'title' && token.innerEnd != null && !entries.some(e => e.kind === 'title')) {
+          const range = trimSourceRange(html, token.innerStart, token.innerEnd);
+          if (range) entries.push({ key: 'page.title', kind: 'title', text: normalizeText(decodeEntities(html.slice(range.start, range.end))), start: range.start, end: range.end });
+        }
+        if (token.type === 'open' && token.name === 'meta' && !entries.some(e => e.kind === 'description')) {
+          const name = getAttr(i, 'name');
+          const content = getAttr(i, 'content');
+          if (name && String(name.value).toLowerCase() === 'description' && content && content.valueStart >= 0) {
+            entries.push({ key: 'page.description', kind: 'description', text: normalizeText(content.value), start: content.valueStart, end: content.valueEnd });
+          }
+        }
+        return;
+      }
+      if (token.type !== 'text') return;
+      const range = trimSourceRange(html, token.start, token.end);
+      if (!range) return;
+
+      let marker = null;
+      let group = null;
+      for (let p = token.parent; p != null && (marker == null || group == null); p = tokens[p].parent) {
+        if (marker == null) {
+          const edit = getAttr(p, EDIT_MARKER_ATTR);
+          if (edit && (edit.value === 'on' || edit.value === 'off')) marker = edit.value;
+        }
+        if (group == null) {
+          const key = getAttr(p, 'data-edit-key');
+          if (key && key.value) group = key.value;
+        }
+      }
+      if (marker === 'off') return;
+
+      const entry = { key: null, kind: 'text', text: normalizeText(decodeEntities(html.slice(range.start, range.end))), start: range.start, end: range.end };
+      if (group != null) {
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(entry);
+      } else {
+        unkeyed += 1;
+        entry.key = 'text.' + unkeyed;
+      }
+      entries.push(entry);
+    });
+
+    groups.forEach((list, name) => {
+      list.forEach((entry, i) => { entry.key = list.length === 1 ? name : name + '.' + (i + 1); });
+    });
+    return entries;
+  }
+
+  function trimSourceRange(html, start, end) {
+    const raw = html.slice(start, end);
+    const leading = raw.match(/^\s*/)[0].length;
+    if (leading === raw.length) return null;
+    return { start: start + leading, end: end - raw.match(/\s*$/)[0].length };
+  }
+
+  function getPageLocale(html) {
+    const tag = tokenizeSource(html).find(token => token.type === 'open' && token.name === 'html');
+    const lang = tag ? getSourceAttribute(html, tag, 'lang') : null;
+    return lang && lang.value ? lang.value : null;
+  }
+
+  /**
+   * Identical to the source language and containing a letter: numbers and
+   * symbols may legitimately stay the same.
+   */
+  function isUntranslated(text, source) {
+    return source != null && text === source && /\p{L}/u.test(text);
+  }
+
+  function buildBundle(entries) {
+    const source = sourceLanguage ? sourceLanguage.texts : null;
+    return {
+      format: BUNDLE_FORMAT,
+      version: 1,
+      page: decodeURIComponent(window.location.pathname.split('/').pop() || 'index.html'),
+      locale: config.locale,
+      sourceLocale: source ? sourceLanguage.locale : null,
+      createdAt: new Date().toISOString(),
+      entries: entries.map(entry => {
+        const item = { key: entry.key, text: entry.text };
+        if (source && source.has(entry.key)) {
+          item.source = source.get(entry.key);
+          if (isUntranslated(item.text, item.source)) item.untranslated = true;
+        }
+        return item;
+      })
+    };
+  }
+
+  function escapeXML(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * XLIFF 1.2: <source> is the source-language text (the page text when
+   * no source page is configured), <target> the page text.
+   */
+  function toXLIFF(bundle) {
+    const hasSource = bundle.entries.some(entry => entry.source != null);
+    const sourceLanguageCode = (hasSource ? bundle.sourceLocale : bundle.locale) || 'und';
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      '  <file original="' + escapeXML(bundle.page) + '" datatype="html" source-language="' + escapeXML(sourceLanguageCode) + '"' +
+        (hasSource && bundle.locale ? ' target-language="' + escapeXML(bundle.locale) + '"' : '') + '>',
+      '    <body>'
+    ];
+    bundle.entries.forEach(entry => {
+      lines.push('      <trans-unit id="' + escapeXML(entry.key) + '">');
+      lines.push('        <source>' + escapeXML(entry.source != null ? entry.source : entry.text) + '</source>');
+      if (entry.source != null) {
+        lines.push('        <target state="' + (entry.untranslated ? 'needs-translation' : 'translated') + '">' + escapeXML(entry.text) + '</target>');
+      }
+      lines.push('      </trans-unit>');
+    });
+    lines.push('    </body>', '  </file>', '</xliff>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Download every text of the page, with the session's edits, as a
+   * translation bundle in the configured format.
+   */
+  function downloadBundle() {
+    if (!originalHTML) {
+      setSaveStatus('Texts can only be exported when the original source is loaded.', 'error');
+      return;
+    }
+    const edits = collectEdits();
+    const patched = applyEditsToSource(originalHTML, edits);
+    const bundle = buildBundle(extractTextEntries(patched.html));
+    const xliff = config.bundleFormat === 'xliff';
+    downloadFile(xliff ? toXLIFF(bundle) : JSON.stringify(bundle, null, 2) + '\n', { mode: 'bundle', format: config.bundleFormat });
+    if (patched.unmatchedEdits.length > 0) {
+      setSaveStatus(patched.unmatchedEdits.length + ' change(s) could not be placed and are missing from the texts.', 'error');
+    }
+  }
+
+  /**
+   * Load the page configured as `sourcePage` (this page in the source
+   * language) to show its texts as hints and flag untranslated ones.
+   */
+  function loadSourceLanguage() {
+    const url = new URL(config.sourcePage, window.location.href).href;
+    const request = window.location.protocol === 'file:'
+      ? new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', url, true);
+        xhr.responseType = 'text';
+        xhr.onload = () => (xhr.status === 0 || xhr.status === 200 ? resolve(xhr.responseText) : reject(new Error('HTTP ' + xhr.status)));
+        xhr.onerror = () => reject(new Error('Request failed'));
+        xhr.send();
+      })
+      : fetch(url, { cache: 'no-store' }).then(r => (r.ok ? r.text() : Promise.reject(new Error('HTTP ' + r.status))));
+
+    request.then(html => {
+      const entries = extractTextEntries(html);
+      sourceLanguage = {
+        locale: getPageLocale(html),
+        texts: new Map(entries.map(entry => [entry.key, entry.text]))
+      };
+      if (editActive) updateTranslationState();
+    }).catch(err => console.warn('[edit-mode] Could not load source-language page ' + url, err));
+  }
+
+  function getSourceLanguageText(el) {
+    if (!sourceLanguage || !originalHTML || el.ownerDocument !== document) return null;
+    if (!pageEntries || pageEntries.html !== originalHTML) {
+      pageEntries = { html: originalHTML, byStart: new Map(extractTextEntries(originalHTML).map(entry => [entry.start, entry])) };
+    }
+    const anchor = getSourceAnchor(el);
+    // Entries start after leading whitespace; anchors cover the whole text token.
+    const start = anchor ? anchor.start + originalHTML.slice(anchor.start, anchor.end).match(/^\s*/)[0].length : -1;
+    const entry = pageEntries.byStart.get(start);
+    return entry && sourceLanguage.texts.has(entry.key) ? sourceLanguage.texts.get(entry.key) : null;
+  }
+
+  /**
+   * Outline editable texts that are still identical to the source language
+   * and show how many there are.
+   */
+  function updateTranslationState() {
+    const count = document.getElementById('edit-untranslated-count');
+    if (!sourceLanguage || !editActive) {
+      if (count) count.style.display = 'none';
+      return;
+    }
+    let untranslated = 0;
+    document.querySelectorAll('[data-edit-orig]').forEach(el => {
+      if (!isEditableTarget(el)) return;
+      const flagged = isUntranslated(normalizeText(el.textContent), getSourceLanguageText(el));
+      el.classList.toggle(UNTRANSLATED_CLASS, flagged);
+      if (flagged) untranslated += 1;
+    });
+    if (count) {
+      count.textContent = untranslated + ' untranslated';
+      count.style.display = '';
+    }
+  }
+
+  function handleSourceHintFocus(e) {
+    if (!editActive || !sourceLanguage) return;
+    const host = getEditableHost(e.target);
+    const text = host ? getSourceLanguageText(host) : null;
+    if (text == null) {
+      hideSourceHint();
+      return;
+    }
+    if (!sourceHintEl) {
+      sourceHintEl = document.createElement('div');
+      sourceHintEl.id = 'edit-source-hint';
+      sourceHintEl.setAttribute(UI_ATTR, 'true');
+      document.body.appendChild(sourceHintEl);
+    }
+    sourceHintEl.textContent = (sourceLanguage.locale || 'Source').toUpperCase() + ': ' + text;
+    sourceHintEl.style.display = 'block';
+    placeHint(sourceHintEl, host, true);
+  }
+
+  function hideSourceHint() {
+    if (sourceHintEl) sourceHintEl.style.display = 'none';
+  }
+
+  // ── Collaboration ───────────────────────────────────────
+
+  const COLLAB_COLORS = ['#f97316', '#22c55e', '#0ea5e9', '#a855f7', '#ec4899', '#eab308', '#14b8a6', '#ef4444'];
+  const COLLAB_SYNC_DELAY_MS = 120;
+  const COLLAB_SELECTION_DELAY_MS = 100;
+  const COLLAB_MAX_RETRY_MS = 15000;
+
+  /**
+   * Key of an element state shared with peers, from the same source anchors
+   * the save path uses: "content:<offset>", "attrs:<offset>" or "page".
+   * Targets without an anchor are not shared, nor are those in frames:
+   * their anchors are offsets into another source.
+   */
+  function getCollabKey(kind, target) {
+    if (kind === 'page') return 'page';
+    // Item layouts stay local: copies have no source position of their own.
+    if (kind === 'structure') return null;
+    if (target.ownerDocument !== document) return null;
+    const anchor = kind === 'attrs' ? getTagAnchor(target) : getSourceAnchor(target);
+    return anchor ? kind + ':' + anchor.start : null;
+  }
+
+  function findCollabTarget(key) {
+    if (key === 'page') return { kind: 'page', target: 'page' };
+    const match = /^(content|attrs):(\d+)$/.exec(key);
+    if (!match) return null;
+    const start = Number(match[2]);
+    if (match[1] === 'attrs') {
+      const target = queryAllDeep(Object.keys(ATTR_FIELDS).concat('[' + IMAGE_ATTR + ']').join(','))
+        .find(el => !isEditModeUI(el) && el.ownerDocument === document && (getTagAnchor(el) || {}).start === start);
+      return target ? { kind: 'attrs', target } : null;
+    }
+    const target = queryAllDeep('[data-edit-orig],[' + RICH_ATTR + ']')
+      .find(el => el.ownerDocument === document && (getSourceAnchor(el) || {}).start === start);
+    return target ? { kind: 'content', target } : null;
+  }
+
+  function sendCollab(message) {
+    if (collabSocket && collabSocket.readyState === 1) collabSocket.send(JSON.stringify(message));
+  }
+
+  function getCollabPeer(id) {
+    return collabPeers.get(id) || { id, name: 'Someone', color: COLLAB_COLORS[0] };
+  }
+
+  /**
+   * Connect to the relay configured as `collabUrl`. Needs the original
+   * source: peers are matched by its hash and elements by its anchors.
+   */
+  function connectCollab() {
+    if (!config.collabUrl || collabSocket || collabBlocked || !editActive || !originalHTML) return;
+    if (!collabUser) {
+      const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+      collabUser = { id, name: config.author || 'Guest', color: COLLAB_COLORS[parseInt(hashString(id).slice(-4), 16) % COLLAB_COLORS.length] };
+    }
+    let socket;
+    try {
+      socket = new WebSocket(config.collabUrl);
+    } catch (err) {
+      console.warn('[edit-mode] Could not connect to ' + config.collabUrl, err);
+      return;
+    }
+    collabSocket = socket;
+    updateCollabStatus();
+    socket.addEventListener('open', () => {
+      sendCollab({ type: 'hello', room: config.collabRoom || getPageKey(), sourceHash: getSourceHash(), user: collabUser });
+    });
+    socket.addEventListener('message', e => {
+      let data;
+      try {
+        data = JSON.parse(e.data);
+      } catch (_) {
+        return;
+      }
+      if (socket === collabSocket) handleCollabMessage(data);
+    });
+    socket.addEventListener('close', () => {
+      if (socket !== collabSocket) return;
+      resetCollabSession();
+      if (editActive && !collabBlocked) {
+        collabRetryTimer = setTimeout(connectCollab, collabRetryDelay);
+        collabRetryDelay = Math.min(collabRetryDelay * 2, COLLAB_MAX_RETRY_MS);
+      }
+      updateCollabStatus();
+    });
+  }
+
+  function disconnectCollab() {
+    if (collabRetryTimer) clearTimeout(collabRetryTimer);
+    collabRetryTimer = null;
+    collabRetryDelay = 1000;
+    collabBlocked = false;
+    const socket = collabSocket;
+    resetCollabSession();
+    if (socket) socket.close();
+    collabKnown = new Map();
+    collabSeqs = new Map();
+    if (collabLayerEl) collabLayerEl.remove();
+    collabLayerEl = null;
+    updateCollabStatus();
+  }
+
+  /**
+   * Forget the connection and what peers hold. Elements locked by others
+   * become editable again; the known states stay, to resume after a
+   * reconnect.
+   */
+  function resetCollabSession() {
+    collabSocket = null;
+    collabReady = false;
+    collabPeers = new Map();
+    releaseCollabLocks();
+    renderCollabLayer();
+  }
+
+  /**
+   * Element states that may need sending: changed targets (per kind, as in
+   * getRevertSteps) and everything shared before, which may have been
+   * changed back.
+   */
+  function getCollabCandidates() {
+    const candidates = new Map();
+    getChangedTargets().forEach(target => {
+      getRevertSteps(target).forEach(step => {
+        if (sameState(step.before, step.after)) return;
+        const key = getCollabKey(step.kind, target);
+        if (key) candidates.set(key, { kind: step.kind, target, state: step.before });
+      });
+    });
+    collabKnown.forEach((known, key) => {
+      if (candidates.has(key)) return;
+      if (known.target !== 'page' && !known.target.isConnected) return;
+      candidates.set(key, { kind: known.kind, target: known.target, state: captureState(known.kind, known.target) });
+    });
+    return candidates;
+  }
+
+  function scheduleCollabSync() {
+    if (!collabReady) return;
+    if (collabSyncTimer) clearTimeout(collabSyncTimer);
+    collabSyncTimer = setTimeout(collabSync, COLLAB_SYNC_DELAY_MS);
+  }
+
+  function collabSync() {
+    if (collabSyncTimer) clearTimeout(collabSyncTimer);
+    collabSyncTimer = null;
+    if (!collabReady) return;
+    getCollabCandidates().forEach((item, key) => {
+      const json = JSON.stringify(item.state);
+      const known = collabKnown.get(key);
+      if (known && known.json === json) return;
+      collabKnown.set(key, { kind: item.kind, target: item.target, json });
+      sendCollab({ type: 'state', key, state: item.state, baseSeq: collabSeqs.get(key) || 0 });
+    });
+    renderCollabLayer();
+  }
+
+  /**
+   * Drop the target's steps from undo/redo: after a peer changed it, local
+   * history no longer describes it.
+   */
+  function forgetHistoryFor(target) {
+    const prune = stack => stack
+      .map(entry => Object.assign(entry, { steps: entry.steps.filter(step => step.target !== target) }))
+      .filter(entry => entry.steps.length > 0);
+    undoStack = prune(undoStack);
+    redoStack = prune(redoStack);
+  }
+
+  /**
+   * Put a peer's state of an element on the page. A state with markup
+   * needs formatting mode, as when applying a change set.
+   */
+  function applyCollabState(key, state) {
+    let found = findCollabTarget(key);
+    if (!found && state && state.html != null && key.startsWith('content:') && !formatActive) {
+      setFormatMode(true);
+      found = findCollabTarget(key);
+    }
+    if (!found || !state) return false;
+
+    const target = found.target;
+    if (found.kind === 'attrs') {
+      // Peers only change the attributes edit mode tracks, never to script URLs.
+      const allowed = getTrackedAttributes(target);
+      Object.keys(state).forEach(attr => {
+        if (!allowed.includes(attr) || (state[attr] != null && isScriptAttr(attr, state[attr]))) return;
+        setTrackedAttribute(target, attr, state[attr] == null ? '' : state[attr]);
+      });
+    } else if (found.kind === 'content' && state.html != null) {
+      if (!richBlocks.has(target)) promoteToRichBlock(target);
+      restoreState(found.kind, target, { html: sanitizeReceivedHTML(state.html) });
+    } else {
+      restoreState(found.kind, target, state);
+    }
+    forgetHistoryFor(target);
+    collabKnown.set(key, { kind: found.kind, target, json: JSON.stringify(captureState(found.kind, target)) });
+    return true;
+  }
+
+  function getBaselineState(key) {
+    const found = findCollabTarget(key);
+    if (!found) return null;
+    const step = getRevertSteps(found.target).find(s => s.kind === found.kind);
+    return step ? step.after : captureState(found.kind, found.target);
+  }
+
+  function handleCollabMessage(data) {
+    if (data.type === 'welcome') {
+      // The relay names this connection; peers know us by that id.
+      collabUser = data.user;
+      collabReady = true;
+      collabRetryDelay = 1000;
+      collabPeers = new Map(data.peers.map(peer => [peer.id, peer]));
+      // Local changes the relay has not seen; a newer state from a peer replaces them.
+      const pending = new Set();
+      getCollabCandidates().forEach((item, key) => {
+        const known = collabKnown.get(key);
+        if (!known || known.json !== JSON.stringify(item.state)) pending.add(key);
+      });
+      let replaced = 0;
+      data.states.forEach(entry => {
+        if (entry.seq <= (collabSeqs.get(entry.key) || 0)) return;
+        collabSeqs.set(entry.key, entry.seq);
+        const found = findCollabTarget(entry.key);
+        if (found && sameState(captureState(found.kind, found.target), entry.state)) {
+          collabKnown.set(entry.key, { kind: found.kind, target: found.target, json: JSON.stringify(entry.state) });
+          return;
+        }
+        if (applyCollabState(entry.key, entry.state) && pending.has(entry.key)) replaced += 1;
+      });
+      data.locks.forEach(lock => {
+        collabLocks.set(lock.key, lock.user);
+        applyCollabLock(lock.key);
+      });
+      if (replaced > 0) setSaveStatus(replaced + ' offline change(s) were replaced by newer changes from others.', 'error');
+      notifyChange();
+      collabSync();
+      relockCollabFocus();
+    } else if (data.type === 'state') {
+      collabSeqs.set(data.key, data.seq);
+      const found = findCollabTarget(data.key);
+      const known = collabKnown.get(data.key);
+      const unsent = found && (known ? known.json : JSON.stringify(getBaselineState(data.key))) !== JSON.stringify(captureState(found.kind, found.target));
+      if (applyCollabState(data.key, data.state)) {
+        if (unsent) setSaveStatus('Your change was replaced: ' + getCollabPeer(data.user).name + ' changed the element first.', 'error');
+        notifyChange();
+      }
+    } else if (data.type === 'ack') {
+      collabSeqs.set(data.key, data.seq);
+    } else if (data.type === 'reject') {
+      // Someone else changed or holds the element: their version wins.
+      if (data.current) collabSeqs.set(data.key, data.current.seq);
+      const by = getCollabPeer(data.lockedBy || (data.current && data.current.user));
+      if (applyCollabState(data.key, data.current ? data.current.state : getBaselineState(data.key))) {
+        setSaveStatus('Your change was replaced: ' + by.name + ' changed the element first.', 'error');
+        notifyChange();
+      }
+    } else if (data.type === 'lock' || data.type === 'lockDenied') {
+      collabLocks.set(data.key, data.user);
+      if (data.type === 'lockDenied' && collabOwnLock === data.key) {
+        collabOwnLock = null;
+        setSaveStatus(getCollabPeer(data.user).name + ' is editing this element.', 'info');
+      }
+      applyCollabLock(data.key);
+    } else if (data.type === 'unlock') {
+      if (collabLocks.get(data.key) === data.user) collabLocks.delete(data.key);
+      applyCollabLock(data.key);
+    } else if (data.type === 'join') {
+      collabPeers.set(data.user.id, data.user);
+    } else if (data.type === 'leave') {
+      collabPeers.delete(data.user);
+      collabLocks.forEach((user, key) => {
+        if (user !== data.user) return;
+        collabLocks.delete(key);
+        applyCollabLock(key);
+      });
+    } else if (data.type === 'selection') {
+      const peer = collabPeers.get(data.user);
+      if (peer) peer.selection = data.key ? { key: data.key, start: data.start, end: data.end } : null;
+    } else if (data.type === 'rebased' && data.sourceHash !== getSourceHash()) {
+      // A peer saved in place; the page already shows what was saved. Follow
+      // only when the source on the server is what the peer says it saved.
+      fetchSourceText(window.location, source => {
+        if (hashString(source) !== data.sourceHash || getSourceHash() === data.sourceHash) return;
+        releaseCollabLocks();
+        rebaseSession(source);
+        announceCollabRebase();
+      });
+    } else if (data.type === 'error') {
+      if (data.code === 'source-mismatch' || data.code === 'room-full') collabBlocked = true;
+      setSaveStatus('Live editing: ' + data.message, 'error');
+    }
+    updateCollabStatus();
+    renderCollabLayer();
+  }
+
+  /**
+   * Move to the saved source on the relay, after saving in place or after
+   * following a peer who did; peers still on the old source are told and
+   * follow. Keys change with the source, so locks are taken again.
+   */
+  function announceCollabRebase() {
+    collabKnown = new Map();
+    collabSeqs = new Map();
+    if (!collabReady) return;
+    sendCollab({ type: 'rebase', sourceHash: getSourceHash() });
+    relockCollabFocus();
+  }
+
+  // Locks and selections
+
+  /**
+   * An element a peer is editing is read-only here until they leave it.
+   */
+  function applyCollabLock(key) {
+    const found = findCollabTarget(key);
+    if (!found || found.kind !== 'content') return;
+    const lockedByPeer = collabLocks.has(key) && (!collabUser || collabLocks.get(key) !== collabUser.id);
+    if (lockedByPeer) {
+      if (found.target === document.activeElement) found.target.blur();
+      found.target.setAttribute('contenteditable', 'false');
+    } else if (editActive && found.target.getAttribute('contenteditable') === 'false') {
+      found.target.setAttribute('contenteditable', 'true');
+    }
+  }
+
+  /**
+   * Forget all locks, ours included. Keys are only valid for the current
+   * source, so call this before rebasing on a new one.
+   */
+  function releaseCollabLocks() {
+    const locked = Array.from(collabLocks.keys());
+    collabLocks = new Map();
+    collabOwnLock = null;
+    locked.forEach(applyCollabLock);
+  }
+
+  function relockCollabFocus() {
+    collabOwnLock = null;
+    const host = getEditableHost(document.activeElement);
+    if (host && collabReady) lockCollabElement(host);
+  }
+
+  function lockCollabElement(host) {
+    const key = getCollabKey('content', host);
+    if (!key || collabOwnLock === key) return;
+    if (collabOwnLock) sendCollab({ type: 'unlock', key: collabOwnLock });
+    collabOwnLock = key;
+    sendCollab({ type: 'lock', key });
+  }
+
+  function handleCollabFocus(e) {
+    if (!collabReady) return;
+    const host = getEditableHost(getEventTarget(e));
+    if (host) lockCollabElement(host);
+  }
+
+  function handleCollabBlur(e) {
+    if (!collabReady || !collabOwnLock) return;
+    if (e.relatedTarget && getEditableHost(e.relatedTarget)) return;
+    // Send the last change before giving the element up.
+    collabSync();
+    sendCollab({ type: 'unlock', key: collabOwnLock });
+    sendCollab({ type: 'selection', key: null });
+    collabOwnLock = null;
+  }
+
+  /**
+   * Character offsets of `node`/`offset` inside the text of `root`.
+   */
+  function getTextOffset(root, node, offset) {
+    if (node.nodeType !== Node.TEXT_NODE) {
+      const range = document.createRange();
+      range.setStart(root, 0);
+      range.setEnd(node, offset);
+      return range.toString().length;
+    }
+    let total = 0;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      if (walker.currentNode === node) return total + offset;
+      total += walker.currentNode.nodeValue.length;
+    }
+    return total;
+  }
+
+  function createRangeFromOffsets(root, start, end) {
+    const range = document.createRange();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let total = 0;
+    let startSet = false;
+    let last = null;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const length = node.nodeValue.length;
+      if (!startSet && start <= total + length) {
+        range.setStart(node, start - total);
+        startSet = true;
+      }
+      if (startSet && end <= total + length) {
+        range.setEnd(node, end - total);
+        return range;
+      }
+      total += length;
+      last = node;
+    }
+    if (!startSet) range.selectNodeContents(root);
+    else if (last) range.setEnd(last, last.nodeValue.length);
+    return range;
+  }
+
+  function handleCollabSelection() {
+    if (!collabReady || !collabOwnLock || collabSelectionTimer) return;
+    collabSelectionTimer = setTimeout(() => {
+      collabSelectionTimer = null;
+      const selection = window.getSelection();
+      const host = selection && selection.rangeCount ? getEditableHost(selection.anchorNode) : null;
+      if (!host || getCollabKey('content', host) !== collabOwnLock) return;
+      const range = selection.getRangeAt(0);
+      if (!host.contains(range.startContainer) || !host.contains(range.endContainer)) return;
+      sendCollab({
+        type: 'selection',
+        key: collabOwnLock,
+        start: getTextOffset(host, range.startContainer, range.startOffset),
+        end: getTextOffset(host, range.endContainer, range.endOffset)
+      });
+    }, COLLAB_SELECTION_DELAY_MS);
+  }
+
+  function addLayerBox(rect, color, className) {
+    const box = document.createElement('div');
+    box.className = className;
+    box.style.cssText = 'left:' + (rect.left + window.scrollX) + 'px;top:' + (rect.top + window.scrollY) + 'px;' +
+      'width:' + Math.max(rect.width, 2) + 'px;height:' + rect.height + 'px;--edit-peer-color:' + color + ';';
+    collabLayerEl.appendChild(box);
+    return box;
+  }
+
+  /**
+   * Outline the elements peers are editing, with their name, and draw their
+   * selection or caret.
+   */
+  function renderCollabLayer() {
+    if (!collabLayerEl) {
+      if (!collabReady) return;
+      collabLayerEl = document.createElement('div');
+      collabLayerEl.id = 'edit-collab-layer';
+      collabLayerEl.setAttribute(UI_ATTR, 'true');
+      document.body.appendChild(collabLayerEl);
+    }
+    collabLayerEl.innerHTML = '';
+    collabLocks.forEach((userId, key) => {
+      if (collabUser && userId === collabUser.id) return;
+      const found = findCollabTarget(key);
+      if (!found || found.target === 'page') return;
+      const peer = getCollabPeer(userId);
+      const box = addLayerBox(found.target.getBoundingClientRect(), peer.color, 'edit-collab-lock');
+      const label = document.createElement('span');
+      label.textContent = peer.name;
+      box.appendChild(label);
+    });
+    collabPeers.forEach(peer => {
+      if (!peer.selection) return;
+      const found = findCollabTarget(peer.selection.key);
+      if (!found || found.kind !== 'content') return;
+      const range = createRangeFromOffsets(found.target, peer.selection.start, peer.selection.end);
+      Array.from(range.getClientRects()).forEach(rect => addLayerBox(rect, peer.color, 'edit-collab-selection'));
+      if (range.collapsed) {
+        const rect = range.getBoundingClientRect();
+        addLayerBox({ left: rect.left, top: rect.top, width: 2, height: rect.height || 16 }, peer.color, 'edit-collab-selection');
+      }
+    });
+  }
+
+  function updateCollabStatus() {
+    const el = document.getElementById('edit-collab-status');
+    if (!el) return;
+    if (!config.collabUrl || !editActive) {
+      el.style.display = 'none';
+      return;
+    }
+    el.style.display = '';
+    el.innerHTML = '';
+    const state = collabReady ? 'Live' : collabSocket ? 'Connecting\u2026' : 'Offline';
+    el.setAttribute('data-state', collabReady ? 'live' : 'offline');
+    collabPeers.forEach(peer => {
+      const dot = document.createElement('span');
+      dot.className = 'edit-collab-peer';
+      dot.style.background = peer.color;
+      dot.textContent = (peer.name || '?').charAt(0).toUpperCase();
+      dot.title = peer.name;
+      el.appendChild(dot);
+    });
+    el.appendChild(document.createTextNode(state + (collabPeers.size ? ' \u00b7 ' + collabPeers.size + ' other' + (collabPeers.size === 1 ? '' : 's') : '')));
+  }
+
+  // ── Shadow roots and frames ─────────────────────────────
+
+  /**
+   * The document of a same-origin frame once it shows a page of its own,
+   * else null (other origins throw on access; about:blank has no source).
+   */
+  function getFrameDocument(frame) {
+    try {
+      const doc = frame.contentDocument;
+      if (!doc || !doc.body || !/^(https?|file):$/.test(doc.location.protocol)) return null;
+      return doc;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * The roots edit mode works in: the page, every open shadow root and the
+   * documents of same-origin frames, nested ones included, in document order.
+   */
+  function getContentRoots() {
+    if (contentRoots) return contentRoots;
+    const roots = [];
+    const visit = root => {
+      roots.push(root);
+      root.querySelectorAll('*').forEach(el => {
+        if (isEditModeUI(el)) return;
+        if (el.shadowRoot) visit(el.shadowRoot);
+        if (el.localName === 'iframe' || el.localName === 'frame') {
+          const doc = getFrameDocument(el);
+          if (doc) visit(doc);
+        }
+      });
+    };
+    visit(document);
+    if (editActive) contentRoots = roots;
+    return roots;
+  }
+
+  /**
+   * document.querySelectorAll() across all content roots.
+   */
+  function queryAllDeep(selector) {
+    const found = [];
+    getContentRoots().forEach(root => {
+      root.querySelectorAll(selector).forEach(el => found.push(el));
+    });
+    return found;
+  }
+
+  /**
+   * Element.closest() that goes on past a shadow root to its host and out
+   * of a frame to the frame element, so markers and include/exclude
+   * selectors on the page also cover embedded content.
+   */
+  function composedClosest(el, selector) {
+    let node = el;
+    while (node) {
+      const found = node.closest(selector);
+      if (found) return found;
+      const root = node.getRootNode();
+      if (root.host) node = root.host;
+      else node = root !== document && root.defaultView ? root.defaultView.frameElement : null;
+    }
+    return null;
+  }
+
+  /**
+   * The element an event happened on. Events from open shadow trees are
+   * retargeted to the host at the document; the composed path is not.
+   */
+  function getEventTarget(e) {
+    const path = typeof e.composedPath === 'function' ? e.composedPath() : [];
+    return path.length > 0 ? path[0] : e.target;
+  }
+
+  /**
+   * The selection that holds `node`: the shadow root's where the browser
+   * has one, else the selection of the node's own window.
+   */
+  function getSelectionFor(node) {
+    const root = node.getRootNode();
+    if (root !== node.ownerDocument && typeof root.getSelection === 'function') return root.getSelection();
+    const view = node.ownerDocument.defaultView || window;
+    return view.getSelection ? view.getSelection() : null;
+  }
+
+  /**
+   * Bounding box of `el` in the viewport of the page, for elements inside
+   * frames too.
+   */
+  function getViewportRect(el) {
+    const rect = el.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    let view = el.ownerDocument.defaultView;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const box = frame.getBoundingClientRect();
+      left += box.left + frame.clientLeft;
+      top += box.top + frame.clientTop;
+      view = frame.ownerDocument.defaultView;
+    }
+    return { left, top, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Frame documents are saved to their own file, named by its path; the
+   * page itself has no page path (null).
+   */
+  function getDocumentPage(doc) {
+    return doc && doc !== document ? doc.location.pathname : null;
+  }
+
+  function isInPage(el, page) {
+    return getDocumentPage(el.ownerDocument) === (page || null);
+  }
+
+  function findPageDocument(page) {
+    if (!page) return document;
+    return getContentRoots().find(root => root.nodeType === Node.DOCUMENT_NODE && getDocumentPage(root) === page) || null;
+  }
+
+  function getDocumentSource(doc) {
+    if (!doc || doc === document) return originalHTML;
+    const entry = frameSources.get(getDocumentPage(doc));
+    return entry ? entry.html : null;
+  }
+
+  /**
+   * The page plus every frame document whose source has loaded.
+   */
+  function getSourceDocuments() {
+    return getContentRoots().filter(root =>
+      root.nodeType === Node.DOCUMENT_NODE && (root === document || !!getDocumentSource(root))
+    );
+  }
+
+  /**
+   * Fetch the source of every frame page not loaded yet. Each one that
+   * arrives can anchor that frame's elements.
+   */
+  function loadFrameSources() {
+    getContentRoots().forEach(root => {
+      const page = getDocumentPage(root.nodeType === Node.DOCUMENT_NODE ? root : null);
+      if (!page || frameSources.has(page)) return;
+      const entry = { url: root.location.href.replace(/#.*$/, '').replace(/\?.*$/, ''), html: null };
+      frameSources.set(page, entry);
+      fetchSourceText(root.location, text => {
+        entry.html = text;
+        if (!editActive) return;
+        sourceAnchorsReady = false;
+        tagAnchors = new Map();
+        updateRuntimeState();
+        if (reviewEl) renderReviewPanel();
+      });
+    });
+  }
+
+  function adoptStyles(root) {
+    if (!styleEl) return;
+    const owner = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+    const style = owner.createElement('style');
+    style.setAttribute(UI_ATTR, 'true');
+    style.textContent = styleEl.textContent;
+    (root.nodeType === Node.DOCUMENT_NODE ? root.head || root.documentElement : root).appendChild(style);
+    adoptedStyles.push(style);
+  }
+
+  function observeRoot(root) {
+    const target = root.nodeType === Node.DOCUMENT_NODE ? root.body : root;
+    if (contentObserver && target) contentObserver.observe(target, { childList: true, subtree: true });
+  }
+
+  /**
+   * Frames edit mode looks into again once they load (a frame that was
+   * still loading, or one that navigated to another page).
+   */
+  function watchFrames() {
+    getContentRoots().forEach(root => {
+      root.querySelectorAll('iframe,frame').forEach(frame => {
+        if (watchedFrames.has(frame) || isEditModeUI(frame)) return;
+        watchedFrames.add(frame);
+        frame.addEventListener('load', handleFrameLoad);
+      });
+    });
+  }
+
+  function handleFrameLoad() {
+    if (!editActive) return;
+    const added = prepareEditableContent(attachContentRoots());
+    if (added.length === 0) return;
+    sourceAnchorsReady = false;
+    updateRuntimeState(added);
+    notifyChange();
+  }
+
+  /**
+   * Set up shadow roots and frame documents edit mode has not seen yet:
+   * edit mode's styles (they do not reach into either), listeners for
+   * frames, whose events stay inside them, and the content observer.
+   * Returns the elements to make editable in the new roots.
+   */
+  function attachContentRoots() {
+    contentRoots = null;
+    const content = [];
+    getContentRoots().forEach(root => {
+      if (root === document || attachedRoots.includes(root)) return;
+      attachedRoots.push(root);
+      adoptStyles(root);
+      if (root.nodeType === Node.DOCUMENT_NODE) {
+        listenForEditing(root);
+        content.push(root.body);
+      } else {
+        Array.from(root.children).forEach(el => {
+          if (!isEditModeUI(el)) content.push(el);
+        });
+      }
+      observeRoot(root);
+    });
+    watchFrames();
+    loadFrameSources();
+    return content;
+  }
+
+  function detachContentRoots() {
+    adoptedStyles.forEach(style => style.remove());
+    adoptedStyles = [];
+    attachedRoots = [];
+    contentRoots = null;
+  }
+
+  // ── Dynamic content ─────────────────────────────────────
+
+  /**
+   * Keep links from navigating while editing, for `root` and the links in it.
+   */
+  function blockLinkNavigation(root) {
+    const links = Array.from(root.querySelectorAll('a'));
+    if (root.matches && root.matches('a')) links.push(root);
+    links.forEach(el => {
+      if (el.closest('#' + TOOLBAR_ID) || el.dataset.editBlocked) return;
+      el.addEventListener('click', preventNav);
+      el.dataset.editBlocked = 'true';
+    });
+  }
+
+  /**
+   * An edit to text the page generated at runtime: its element has no
+   * source anchor and its original text is nowhere in the source, so there
+   * is nothing to patch. Unknown (false) while the source is not loaded.
+   */
+  function isRuntimeEdit(edit) {
+    if (!edit.el || edit.anchor || (edit.type && edit.type !== 'html')) return false;
+    const html = getDocumentSource(edit.el.ownerDocument);
+    if (!html) return false;
+    const found = findTextRange(html, edit.oldText, getBodyContentStartIndex(html), []);
+    return !!found && found.start < 0;
+  }
+
+  /**
+   * Mark editable elements with runtime-generated text, all of them or
+   * just `elements`.
+   */
+  function updateRuntimeState(elements) {
+    const list = elements || queryAllDeep('[data-edit-orig]');
+    list.forEach(el => {
+      const oldText = normalizeText(el.getAttribute('data-edit-orig') || '');
+      el.classList.toggle(RUNTIME_CLASS, editActive && isRuntimeEdit({ el, oldText, anchor: getSourceAnchor(el) }));
+    });
+  }
+
+  function startContentObserver() {
+    if (!config.observe || contentObserver || typeof MutationObserver === 'undefined' || !document.body) return;
+    contentObserver = new MutationObserver(handleContentMutations);
+    getContentRoots().forEach(observeRoot);
+  }
+
+  function stopContentObserver() {
+    if (!contentObserver) return;
+    contentObserver.disconnect();
+    contentObserver = null;
+  }
+
+  /**
+   * Make the editable elements in and under `roots` editable, with their
+   * current text as baseline. Returns the elements that were new.
+   */
+  function prepareEditableContent(roots) {
+    const added = [];
+    roots.forEach(root => {
+      if (!root.isConnected) return;
+      wrapDirectTextNodes(root);
+      snapshotRepeatContainers([root]);
+      [root].concat(Array.from(root.querySelectorAll(EDITABLE_SELECTORS))).forEach(el => {
+        if (el.hasAttribute('data-edit-orig') || !isEditableTarget(el)) return;
+        el.setAttribute('data-edit-orig', el.textContent);
+        el.setAttribute('contenteditable', 'true');
+        el.classList.add(EDIT_CLASS);
+        added.push(el);
+      });
+      blockLinkNavigation(root);
+    });
+    return added;
+  }
+
+  /**
+   * Make editable what scripts added since edit mode started (tabs filled
+   * in, lazy sections, components rendering late). Their text as it
+   * arrived is their baseline. Changes inside elements that are already
+   * editable are typing, undo or remote edits and are left alone.
+   */
+  function handleContentMutations(records) {
+    if (!editActive) return;
+    const roots = new Set();
+    records.forEach(record => {
+      record.addedNodes.forEach(node => {
+        const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (!el || !el.isConnected || isEditModeUI(el)) return;
+        if (el.closest('[data-edit-orig],[' + RICH_ATTR + ']')) return;
+        roots.add(el);
+      });
+    });
+    if (roots.size === 0) return;
+
+    // New content can bring its own shadow roots and frames.
+    const added = prepareEditableContent(Array.from(roots).concat(attachContentRoots()));
+    if (added.length === 0) return;
+
+    // Align again with the new elements in place: late content can still
+    // be text from the source (an accordion rendered from static markup).
+    sourceAnchorsReady = false;
+    updateRuntimeState(added);
+    updateTranslationState();
+    if (reviewEl) renderReviewPanel();
+  }
+
+  // ── Enable / Disable ────────────────────────────────────
+
+  function enableEdit() {
+    if (editActive) return;
+    editActive = true;
+    attachContentRoots();
+    wrapDirectTextNodes();
+    snapshotOriginalTexts();
+    snapshotPageBaseline();
+    snapshotRepeatContainers();
+    snapshotHeadingSkips();
+
+    queryAllDeep(EDITABLE_SELECTORS).forEach(el => {
+      if (!isEditableTarget(el)) return;
+
+      el.setAttribute('contenteditable', 'true');
+      el.classList.add(EDIT_CLASS);
+    });
+
+    // Prevent ALL links from navigating/scrolling
+    getContentRoots().forEach(blockLinkNavigation);
+
+    ensureToolbar();
+    if (toolbarEl) toolbarEl.style.display = 'block';
+    setSuggestMode(config.suggest);
+    checkForDraft();
+    updateRuntimeState();
+    notifyChange();
+    connectCollab();
+    startContentObserver();
+    announce('Edit mode on. ' + describeShortcut(NAV_SHORTCUTS.next) + ' and ' + describeShortcut(NAV_SHORTCUTS.previous) +
+      ' move between editable elements, ' + describeShortcut(NAV_SHORTCUTS.toolbar) + ' goes to the toolbar.');
+  }
+
+  function disableEdit() {
+    if (!editActive) return;
+    autosaveNow();
+    editActive = false;
+    stopContentObserver();
+    hideDraftOffer();
+
+    queryAllDeep('[contenteditable]').forEach(el => {
+      el.removeAttribute('contenteditable');
+      el.classList.remove(EDIT_CLASS);
+    });
+
+    // Prevent stale baselines from leaking into later edit sessions.
+    queryAllDeep('[data-edit-orig]').forEach(el => {
+      el.removeAttribute('data-edit-orig');
+    });
+    document.querySelectorAll('[' + RICH_ATTR + ']').forEach(el => {
+      el.removeAttribute(RICH_ATTR);
+    });
+    richBlocks = new WeakMap();
+    formatActive = false;
+    attrBaselines = new Map();
+    imageNames = new Map();
+    setImageDropTarget(null);
+    pageBaseline = null;
+    pageScripts = [];
+    closePagePanel();
+    hideRepeatControls();
+    repeatBaselines = new Map();
+    repeatOrigins = new WeakMap();
+    repeatIds = new WeakMap();
+    repeatElements = new Map();
+    closeAttrPopover();
+    closeReviewPanel();
+    hideConstraintHint();
+    hideSourceHint();
+    disconnectCollab();
+    stopCommentPick();
+    suggestMode = false;
+    suggestions = new Map();
+    comments = [];
+    queryAllDeep('.' + SUGGESTED_CLASS + ', .' + COMMENTED_CLASS).forEach(el => {
+      el.classList.remove(SUGGESTED_CLASS, COMMENTED_CLASS);
+    });
+    queryAllDeep('.' + UNTRANSLATED_CLASS + ', .' + RUNTIME_CLASS).forEach(el => {
+      el.classList.remove(UNTRANSLATED_CLASS, RUNTIME_CLASS);
+    });
+    updateTranslationState();
+    queryAllDeep('.' + INVALID_CLASS).forEach(el => {
+      el.classList.remove(INVALID_CLASS);
+      el.removeAttribute('aria-invalid');
+    });
+    resetHistory();
+    lastEditTarget = null;
+    resetA11yState();
+    updateFormatControls();
+    resetSourceAnchors();
+
+    unwrapDirectTextNodes();
+
+    queryAllDeep('a[data-edit-blocked]').forEach(el => {
+      el.removeEventListener('click', preventNav);
+      delete el.dataset.editBlocked;
+    });
+    detachContentRoots();
+
+    if (toolbarEl) toolbarEl.style.display = 'none';
+    clearEditFlagsFromURL();
+  }
+
+  // ── Save (source-patching approach) ─────────────────────
+
+  /**
+   * Collect text edits: elements where current text differs from snapshot.
+   * Each edit carries the source range of its element when one is known,
+   * `suggestion` ({ id, author, createdAt }) while it is an open
+   * suggestion, `runtime` when its text was generated at runtime and
+   * cannot be saved into the source, and `page` (the frame's page path)
+   * when it was made inside a frame. Changed repeatable blocks add
+   * structure edits (`type: 'repeat'`) that hold the edits in their items.
+   */
+  function collectEdits() {
+    const edits = [];
+    queryAllDeep('[data-edit-orig]').forEach(el => {
+      if (!isEditableTarget(el)) return;
+      const oldText = (el.getAttribute('data-edit-orig') || '').trim();
+      const newText = (el.textContent || '').trim();
+      if (oldText !== newText) {
+        edits.push({ oldText, newText, anchor: getSourceAnchor(getRepeatOrigin(el)), el });
+      }
+    });
+    document.querySelectorAll('[' + RICH_ATTR + ']').forEach(el => {
+      const baseline = richBlocks.get(el);
+      if (!baseline) return;
+      const newHTML = sanitizeInlineHTML(el);
+      if (newHTML === baseline.html) return;
+      edits.push({
+        type: 'html',
+        oldText: baseline.text.trim(),
+        newText: (el.textContent || '').trim(),
+        oldHTML: baseline.html,
+        newHTML,
+        anchor: getSourceAnchor(getRepeatOrigin(el)),
+        el
+      });
+    });
+    return foldRepeatEdits(edits.concat(collectAttrEdits(), collectPageEdits(), collectRepeatEdits()).map(edit => {
+      const meta = suggestions.get(edit.el || 'page');
+      if (meta) edit.suggestion = Object.assign({}, meta);
+      if (isRuntimeEdit(edit)) edit.runtime = true;
+      const page = edit.el ? getDocumentPage(edit.el.ownerDocument) : null;
+      if (page) edit.page = page;
+      return edit;
+    }));
+  }
+
+  function sourceSliceText(slice) {
+    return normalizeText(decodeEntities(slice.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]*>/g, '')));
+  }
+
+  /**
+   * Resolve a text or title edit at its anchor, if the anchor still holds
+   * the old text.
+   */
+  function resolveTextEdit(html, edit) {
+    const anchor = edit.anchor;
+    if (!anchor || anchor.end > html.length) return null;
+    const raw = html.slice(anchor.start, anchor.end);
+    if (normalizeText(decodeEntities(raw)) !== normalizeText(edit.oldText)) return null;
+    return { start: anchor.start, end: anchor.end, text: encodeTextLike(raw, edit.newText) };
+  }
+
+  /**
+   * Resolve a markup edit to the inner range of its block. The block's
+   * surrounding whitespace in the source is kept; only the markup between
+   * it is replaced with the sanitized HTML.
+   */
+  function resolveHTMLEdit(html, edit) {
+    const anchor = edit.anchor;
+    if (!anchor || anchor.end > html.length) return null;
+    const slice = html.slice(anchor.start, anchor.end);
+    if (sourceSliceText(slice) !== normalizeText(edit.oldText)) return null;
+
+    const leading = slice.match(/^\s*/)[0];
+    const trailing = slice.length > leading.length ? slice.match(/\s*$/)[0] : '';
+    return { start: anchor.start, end: anchor.end, text: leading + edit.newHTML.trim() + trailing };
+  }
+
+  function rangesOverlap(ranges, start, end) {
+    return ranges.some(range => start < range.end && end > range.start);
+  }
+
+  /**
+   * The source with character references decoded, plus the source offset
+   * of every decoded character (and one past the end), so decoded text can
+   * be searched and the match mapped back to the source.
+   */
+  function getDecodedView(html) {
+    if (decodedView && decodedView.html === html) return decodedView;
+    const parts = [];
+    const offsets = [];
+    const regex = new RegExp(ENTITY_PATTERN.source, 'gi');
+    let last = 0;
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      for (let i = last; i < match.index; i += 1) offsets.push(i);
+      const decoded = decodeEntities(match[0]);
+      for (let i = 0; i < decoded.length; i += 1) offsets.push(decoded === match[0] ? match.index + i : match.index);
+      parts.push(html.slice(last, match.index), decoded);
+      last = regex.lastIndex;
+    }
+    for (let i = last; i < html.length; i += 1) offsets.push(i);
+    offsets.push(html.length);
+    parts.push(html.slice(last));
+    decodedView = { html, text: parts.join(''), offsets };
+    return decodedView;
+  }
+
+  function toDecodedIndex(view, sourceIndex) {
+    let lo = 0;
+    let hi = view.offsets.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (view.offsets[mid] < sourceIndex) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Search for unanchored old text (with flexible whitespace) from `cursor`,
+   * skipping matches that overlap ranges already claimed by other edits.
+   * The search runs on decoded text, so "Fish & Chips" finds
+   * "Fish &amp; Chips"; the returned range is in source offsets.
+   */
+  function findTextRange(html, oldText, cursor, claimed) {
+    const words = oldText.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return null;
+
+    const pattern = words.map(escapeRegex).join('[\\s\\n]+');
+    const view = getDecodedView(html);
+    const bodyStart = getBodyContentStartIndex(html);
+    const starts = cursor > bodyStart ? [cursor, bodyStart] : [bodyStart];
+
+    for (const from of starts) {
+      const regex = new RegExp(pattern, 'g');
+      regex.lastIndex = toDecodedIndex(view, from);
+      let match;
+      while ((match = regex.exec(view.text)) !== null) {
+        const start = view.offsets[match.index];
+        const end = view.offsets[match.index + match[0].length];
+        if (!rangesOverlap(claimed, start, end)) return { start, end, pattern };
+        regex.lastIndex = match.index + 1;
+      }
+    }
+    return { start: -1, end: -1, pattern };
+  }
+
+  /**
+   * Source text for `newText` replacing the source slice `raw`: the
+   * unchanged start and end keep their original spelling (entities and
+   * all), only the changed middle is newly escaped.
+   */
+  function encodeTextLike(raw, newText) {
+    const units = [];
+    const pushChars = (from, to) => {
+      for (let i = from; i < to; i += 1) units.push({ raw: raw.charAt(i), text: raw.charAt(i) });
+    };
+    const regex = new RegExp(ENTITY_PATTERN.source, 'gi');
+    let last = 0;
+    let match;
+    while ((match = regex.exec(raw)) !== null) {
+      pushChars(last, match.index);
+      units.push({ raw: match[0], text: decodeEntities(match[0]) });
+      last = regex.lastIndex;
+    }
+    pushChars(last, raw.length);
+
+    let head = 0;
+    let from = 0;
+    while (head < units.length && newText.startsWith(units[head].text, from)) {
+      from += units[head].text.length;
+      head += 1;
+    }
+    let tail = units.length;
+    let to = newText.length;
+    while (tail > head && to - units[tail - 1].text.length >= from && newText.endsWith(units[tail - 1].text, to)) {
+      to -= units[tail - 1].text.length;
+      tail -= 1;
+    }
+    const keep = list => list.map(unit => unit.raw).join('');
+    return keep(units.slice(0, head)) + escapeHTMLText(newText.slice(from, to)) + keep(units.slice(tail));
+  }
+
+  /**
+   * Apply text edits to the original HTML source string.
+   * Anchored edits replace exactly their recorded source range (after
+   * checking it still holds the old text); the rest fall back to searching
+   * for the old text in source order. All replacements are resolved against
+   * the untouched source first and then spliced in from the end, so edit
+   * order does not matter. Everything outside the ranges stays byte-identical.
+   * Markup edits (`type: 'html'`) replace the inner HTML of their block,
+   * attribute, title and JSON-LD edits rewrite just that value and structure edits
+   * (`type: 'repeat'`) rebuild a block's items from copies of their
+   * source; all of these are only applied at their anchor.
+   */
+  function applyEditsToSource(html, edits) {
+    const ranges = [];
+    const pending = [];
+    const unmatchedEdits = [];
+    const bodyStart = getBodyContentStartIndex(html);
+
+    edits.forEach((edit, idx) => {
+      if (edit.type === 'html' || edit.type === 'attr' || edit.type === 'title' || edit.type === 'repeat' || edit.type === 'jsonld') {
+        const range = edit.type === 'html' ? resolveHTMLEdit(html, edit)
+          : edit.type === 'attr' ? resolveAttrEdit(html, edit)
+            : edit.type === 'repeat' ? resolveRepeatEdit(html, edit)
+              : edit.type === 'jsonld' ? resolveJsonLdEdit(html, edit)
+                : resolveTextEdit(html, edit);
+        if (range && !rangesOverlap(ranges, range.start, range.end)) {
+          ranges.push(range);
+        } else {
+          unmatchedEdits.push({
+            index: idx,
+            oldText: previewText(edit.oldText),
+            newText: previewText(edit.newText),
+            oldLength: edit.oldText.length,
+            newLength: edit.newText.length,
+            anchored: !!edit.anchor,
+            bodyMatchCount: 0
+          });
+        }
+        return;
+      }
+      if (edit.oldText == null || edit.newText == null || edit.oldText === edit.newText) return;
+      const range = resolveTextEdit(html, edit);
+      if (range && !rangesOverlap(ranges, range.start, range.end)) {
+        ranges.push(range);
+        return;
+      }
+      pending.push({ edit, idx });
+    });
+
+    // Replace unanchored edits in source order (from body onward) to reduce wrong matches.
+    const view = getDecodedView(html);
+    let cursor = bodyStart;
+    pending.forEach(({ edit, idx }) => {
+      const found = findTextRange(html, edit.oldText, cursor, ranges);
+      if (!found) return;
+      if (found.start < 0) {
+        unmatchedEdits.push({
+          index: idx,
+          oldText: previewText(edit.oldText),
+          newText: previewText(edit.newText),
+          oldLength: edit.oldText.length,
+          newLength: edit.newText.length,
+          anchored: !!edit.anchor,
+          bodyMatchCount: countMatchesFromIndex(view.text, found.pattern, toDecodedIndex(view, bodyStart), 25)
+        });
+        return;
+      }
+      ranges.push({ start: found.start, end: found.end, text: encodeTextLike(html.slice(found.start, found.end), edit.newText) });
+      cursor = found.end;
+    });
+
+    // Ties are tags added at the same point: keep them in edit order.
+    let result = html;
+    ranges.slice().reverse().sort((a, b) => b.start - a.start).forEach(range => {
+      result = result.slice(0, range.start) + range.text + result.slice(range.end);
+    });
+    return { html: result, appliedCount: ranges.length, unmatchedEdits };
+  }
+
+  /**
+   * Whether the <script> open tag `token` (followed by its `raw` content
+   * token, if any) belongs to edit mode: this script by URL or file name,
+   * or an inline script that only sets window.EditModeConfig.
+   */
+  function isEditModeScriptTag(html, token, raw) {
+    const src = getSourceAttribute(html, token, 'src');
+    if (src && src.value) {
+      let url = src.value;
+      try {
+        url = new URL(src.value, document.baseURI).href;
+      } catch (_) {
+        // Keep the attribute value as written.
+      }
+      return url === SELF_SCRIPT_URL || /(^|\/)edit-mode(\.min)?\.js([?#]|$)/i.test(url.split(/[?#]/)[0]);
+    }
+    return !!raw && raw.type === 'raw' && /^\s*(window\.)?EditModeConfig\s*=\s*\{[\s\S]*\}\s*;?\s*$/.test(raw.raw);
+  }
+
+  /**
+   * Widen a range to cover the whitespace in front of it, and its whole
+   * line when nothing else is on that line.
+   */
+  function widenToLine(html, start, end) {
+    let from = start;
+    while (from > 0 && /[ \t]/.test(html.charAt(from - 1))) from -= 1;
+    const rest = html.slice(end).match(/^[ \t]*(\r?\n|$)/);
+    if (rest && (from === 0 || html.charAt(from - 1) === '\n')) return { start: from, end: end + rest[0].length };
+    return { start: from, end };
+  }
+
+  /**
+   * Source ranges of the edit-mode <script> elements and, with
+   * `attributes`, of every `data-edit*` and `contenteditable` attribute.
+   */
+  function findEditArtifacts(html, attributes) {
+    const tokens = tokenizeSource(html);
+    const ranges = [];
+    tokens.forEach((token, i) => {
+      if (token.type === 'raw' && attributes && tokens[i - 1].name === 'template') {
+        // Template contents are raw text to the tokenizer: look inside.
+        findEditArtifacts(token.raw, true).forEach(range => ranges.push({ start: token.start + range.start, end: token.start + range.end }));
+        return;
+      }
+      if (token.type !== 'open') return;
+      if (token.name === 'script' && isEditModeScriptTag(html, token, tokens[i + 1])) {
+        let close = i + 1;
+        while (close < tokens.length && !(tokens[close].type === 'close' && tokens[close].name === 'script')) close += 1;
+        ranges.push(widenToLine(html, token.start, close < tokens.length ? tokens[close].end : token.end));
+        return;
+      }
+      if (!attributes) return;
+      parseSourceAttributes(html, token).forEach(attr => {
+        if (attr.name !== 'contenteditable' && !/^data-edit(-|$)/.test(attr.name)) return;
+        let start = attr.start;
+        while (start > token.start && /\s/.test(html.charAt(start - 1))) start -= 1;
+        ranges.push({ start, end: attr.end });
+      });
+    });
+    return ranges;
+  }
+
+  function cutRanges(html, ranges) {
+    let result = html;
+    ranges.slice().sort((a, b) => b.start - a.start).forEach(range => {
+      result = result.slice(0, range.start) + result.slice(range.end);
+    });
+    return result;
+  }
+
+  /**
+   * Remove the edit-mode <script> tag from the HTML source.
+   */
+  function removeEditModeScript(html) {
+    return cutRanges(html, findEditArtifacts(html, false));
+  }
+
+  function describeRuntimeEdits(count) {
+    return count + ' change(s) to text generated by scripts at runtime cannot be saved: that text is not in the page source.';
+  }
+
+  function saveFile() {
+    // Open suggestions are not part of the page until they are accepted,
+    // and runtime text is not part of the source at all.
+    const all = collectEdits();
+    const edits = all.filter(edit => !edit.suggestion && !edit.runtime);
+    const open = all.filter(edit => edit.suggestion).length;
+    const runtime = all.filter(edit => !edit.suggestion && edit.runtime).length;
+
+    if (edits.length === 0) {
+      if (runtime > 0) setSaveStatus(describeRuntimeEdits(runtime), 'error');
+      else setSaveStatus(open > 0 ? open + ' suggestion(s) still open: accept them in Review to save.' : 'No text changes detected.', 'info');
+      return Promise.resolve(null);
+    }
+
+    return confirmConstraints().then(ok => (ok ? saveEdits(edits, open, runtime) : null));
+  }
+
+  /**
+   * Save the edits once constraints are settled: the page first, then each
+   * frame page with edits.
+   */
+  function saveEdits(edits, open, runtime) {
+    // Edits inside frames go to the frame's own page, after the page itself.
+    const pageEdits = edits.filter(edit => !edit.page);
+    const frameEdits = edits.filter(edit => edit.page);
+    if (open > 0 && pageEdits.length > 0 && (!originalHTML || applyEditsToSource(originalHTML, pageEdits).appliedCount < pageEdits.length)) {
+      // A DOM export would contain the open suggestions as well.
+      setSaveStatus('Saving would need a DOM export, which would include open suggestions. Accept or reject them first.', 'error');
+      return Promise.resolve(null);
+    }
+
+    const saved = pageEdits.length > 0 ? savePage(pageEdits) : Promise.resolve(null);
+    return saved.then(result => {
+      if (frameEdits.length === 0 || (pageEdits.length > 0 && !result)) return result;
+      return saveFrames(frameEdits).then(frameResult => result || frameResult);
+    }).then(result => {
+      if (result && runtime > 0) setSaveStatus('Saved. ' + describeRuntimeEdits(runtime), 'error');
+      return result;
+    });
+  }
+
+  /**
+   * Save edits to the page itself: patched into the original source, or
+   * exported from the DOM when that is not possible.
+   */
+  function savePage(edits) {
+    if (!originalHTML) {
+      logFallbackDetails('no_source', {
+        sourceLoaded: false,
+        editsCount: edits.length,
+        appliedCount: 0,
+        unmatchedCount: edits.length,
+        protocol: window.location.protocol,
+        href: window.location.href
+      });
+      return saveFallback('no_source');
+    }
+
+    // Replaced images go into files next to the page when the save target takes them.
+    const adapter = saveAdapters[getActiveSaveAdapterName()];
+    const bundle = config.imageMode === 'bundle' && adapter && adapter.assets ? bundleImageEdits(edits) : null;
+    const patched = applyEditsToSource(originalHTML, bundle ? bundle.edits : edits);
+    let html = patched.html;
+
+    // If source patching cannot apply all edits, prefer a reliable save over silent data loss.
+    if (patched.appliedCount < edits.length) {
+      logFallbackDetails('partial_patch', {
+        sourceLoaded: true,
+        editsCount: edits.length,
+        appliedCount: patched.appliedCount,
+        unmatchedCount: edits.length - patched.appliedCount,
+        unmatchedEdits: patched.unmatchedEdits
+      });
+      return saveFallback('partial_patch');
+    }
+
+    if (REMOVE_SCRIPT_ON_SAVE) {
+      html = removeEditModeScript(html);
+    }
+
+    const payload = { html, mode: 'patched', changeSet: buildChangeSet() };
+    if (bundle && bundle.assets.length > 0) payload.assets = bundle.assets;
+    return runSave(payload);
+  }
+
+  /**
+   * Save edits made inside frames, one save per frame page, each patched
+   * into that page's source. There is no DOM export for frames: a page
+   * whose source is missing or does not take every edit is left unsaved
+   * and reported. Resolves to the last save result.
+   */
+  function saveFrames(edits) {
+    const pages = [];
+    edits.forEach(edit => {
+      if (!pages.includes(edit.page)) pages.push(edit.page);
+    });
+    const skipped = [];
+    let chain = Promise.resolve(null);
+    pages.forEach(page => {
+      chain = chain.then(last => {
+        const pageEdits = edits.filter(edit => edit.page === page);
+        const source = (frameSources.get(page) || {}).html;
+        const patched = source ? applyEditsToSource(source, pageEdits) : null;
+        if (!patched || patched.appliedCount < pageEdits.length) {
+          if (patched) {
+            logFallbackDetails('partial_patch', {
+              sourceLoaded: true,
+              editsCount: pageEdits.length,
+              appliedCount: patched.appliedCount,
+              unmatchedCount: pageEdits.length - patched.appliedCount,
+              unmatchedEdits: patched.unmatchedEdits
+            });
+          }
+          skipped.push(page);
+          return last;
+        }
+        const html = REMOVE_SCRIPT_ON_SAVE ? removeEditModeScript(patched.html) : patched.html;
+        return runSave({ html, mode: 'patched', page, changeSet: buildChangeSet(page) }).then(result => result || last);
+      });
+    });
+    return chain.then(last => {
+      if (skipped.length > 0) {
+        setSaveStatus('Not saved: the changes in ' + skipped.join(', ') + ' could not be matched in that page\'s source.', 'error');
+      }
+      return last;
+    });
+  }
+
+  /**
+   * Fallback: uses outerHTML (old behavior). Only if source fetch fails.
+   */
+  function saveFallback(reason) {
+    // The session stays as it is: if the save fails or is cancelled, the
+    // edits are still tracked and the draft is kept.
+    const html = exportCleanDOM(REMOVE_SCRIPT_ON_SAVE);
+    return runSave({ html, mode: 'fallback', reason, changeSet: buildChangeSet() });
+  }
+
+  function downloadFile(html, meta) {
+    const info = meta || {};
+    let suffix = '';
+    if (info.mode === 'fallback') {
+      suffix = '_fallback';
+      if (info.reason) {
+        suffix += '_' + String(info.reason).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+      }
+    } else if (info.mode === 'changes') {
+      suffix = '_changes';
+    } else if (info.mode === 'review') {
+      suffix = '_review';
+    } else if (info.mode === 'bundle') {
+      suffix = '_texts';
+    }
+    if (info.assets && info.assets.length > 0) {
+      // The page and its images, at their paths relative to the page.
+      const files = [{ name: getPageFileName(), data: new TextEncoder().encode(html) }].concat(info.assets);
+      downloadBlob(buildZip(files), buildDownloadBasename(info.page) + suffix + '.zip');
+      return;
+    }
+    const xliff = info.mode === 'bundle' && info.format === 'xliff';
+    const json = info.mode === 'changes' || info.mode === 'review' || (info.mode === 'bundle' && !xliff);
+    const extension = xliff ? '.xlf' : json ? '.json' : '.html';
+    const type = xliff ? 'application/xliff+xml' : json ? 'application/json' : 'text/html';
+    downloadBlob(new Blob([html], { type }), buildDownloadBasename(info.page) + suffix + extension);
+  }
+
+  /**
+   * File name from the `filename` pattern. Placeholders: {title} (page
+   * title), {page} (file name from the URL), {date} (YYYYMMDD), {time} (HHMM).
+   * With `page` the names come from that frame page.
+   */
+  function buildDownloadBasename(page) {
+    const doc = findPageDocument(page) || document;
+    const now = new Date();
+    const slug = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
+    const values = {
+      title: slug(doc.title) || 'page',
+      page: slug(decodeURIComponent((page || window.location.pathname).split('/').pop() || '').replace(/\.[^.]*$/, '')) || 'index',
+      date: now.toISOString().slice(0, 10).replace(/-/g, ''),
+      time: now.toTimeString().slice(0, 5).replace(':', '')
+    };
+    const name = String(config.filename).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    return name.replace(/[\\/:*?"<>|]+/g, '_') || 'page';
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // ── Save adapters ───────────────────────────────────────
+
+  /**
+   * A save adapter receives the save payload { html, mode, reason, changeSet }
+   * and returns a promise for { message, inPlace }. `inPlace` means the
+   * adapter replaced the original source, so the session is rebased on the
+   * saved HTML. Payloads for a frame's page also carry `page`, its path.
+   * Adapters with `assets: true` may also get `assets`, the replaced images
+   * as [{ name, data }] files (see the imageMode option).
+   */
+  const saveAdapters = {
+    download: {
+      label: 'Download',
+      buttonLabel: '\ud83d\udcbe Save as new file',
+      isAvailable: () => true,
+      assets: true,
+      save(payload) {
+        downloadFile(payload.html, { mode: payload.mode, reason: payload.reason, page: payload.page, assets: payload.assets });
+        const images = payload.assets ? ' with ' + payload.assets.length + ' image(s)' : '';
+        return Promise.resolve({ message: 'Downloaded' + images + describeSaveMode(payload) });
+      }
+    },
+    post: {
+      label: 'Server',
+      buttonLabel: '\ud83d\udcbe Save to server',
+      isAvailable: () => !!config.saveUrl,
+      save(payload) {
+        const body = {
+          url: payload.page ? frameSources.get(payload.page).url : getPageKey(),
+          page: payload.page || window.location.pathname,
+          sourceHash: getSourceHash(payload.page),
+          mode: payload.mode,
+          reason: payload.reason || null
+        };
+        // A fallback save is the page itself: its edits already failed to patch.
+        if (config.saveFormat === 'changes' && payload.mode !== 'fallback') body.changeSet = payload.changeSet;
+        else body.html = payload.html;
+
+        return fetch(config.saveUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }).then(response => response.text().then(text => {
+          let data = null;
+          try {
+            data = text ? JSON.parse(text) : null;
+          } catch (_) {
+            // Plain-text responses are fine; they are shown as the error message.
+          }
+          if (!response.ok) {
+            throw new Error((data && data.error) || text || 'HTTP ' + response.status);
+          }
+          return {
+            message: 'Saved to server' + describeSaveMode(payload),
+            inPlace: true,
+            source: data && typeof data.html === 'string' ? data.html : body.html != null ? body.html : null
+          };
+        }));
+      }
+    },
+    filesystem: {
+      label: 'File',
+      buttonLabel: '\ud83d\udcbe Save to file',
+      isAvailable: () => typeof window.showSaveFilePicker === 'function',
+      save(payload) {
+        // The picker must open within the click, so no awaiting before it.
+        // Frame pages get a file handle of their own.
+        const page = payload.page || null;
+        const known = page ? frameFileHandles.get(page) : fileHandle;
+        const handle = known ? Promise.resolve(known) : window.showSaveFilePicker({
+          suggestedName: decodeURIComponent((page || window.location.pathname).split('/').pop() || 'index.html'),
+          types: [{ description: 'HTML page', accept: { 'text/html': ['.html', '.htm'] } }]
+        }).then(picked => {
+          if (page) frameFileHandles.set(page, picked);
+          else fileHandle = picked;
+          return picked;
+        });
+
+        return handle.then(h => h.createWritable()
+          .then(writable => writable.write(payload.html).then(() => writable.close()))
+          .then(() => ({ message: 'Saved to ' + h.name + describeSaveMode(payload), inPlace: true, source: payload.html })));
+      }
+    }
+  };
+
+  function describeSaveMode(payload) {
+    return payload.mode === 'fallback' ? ' (fallback: ' + payload.reason + ')' : '';
+  }
+
+  function registerSaveAdapter(name, adapter) {
+    if (!name || !adapter || typeof adapter.save !== 'function') {
+      throw new Error('A save adapter needs a name and a save(payload) function.');
+    }
+    saveAdapters[name] = Object.assign({ label: name, buttonLabel: '\ud83d\udcbe Save', isAvailable: () => true }, adapter);
+    updateSaveControls();
+  }
+
+  function getAvailableSaveAdapters() {
+    return Object.keys(saveAdapters).filter(name => {
+      try {
+        return saveAdapters[name].isAvailable();
+      } catch (_) {
+        return false;
+      }
+    });
+  }
+
+  function getActiveSaveAdapterName() {
+    const available = getAvailableSaveAdapters();
+    return available.includes(activeSaveAdapter) ? activeSaveAdapter : 'download';
+  }
+
+  function runSave(payload) {
+    const name = getActiveSaveAdapterName();
+    const adapter = saveAdapters[name];
+    // beforeSave handlers may change payload.html or cancel the save.
+    if (emitEvent('beforeSave', { adapter: name, payload }).defaultPrevented) {
+      setSaveStatus('Save cancelled', 'info');
+      return Promise.resolve(null);
+    }
+    setSaveStatus('Saving\u2026', 'busy');
+    setSaveBusy(true);
+
+    let pending;
+    try {
+      pending = Promise.resolve(adapter.save(payload));
+    } catch (err) {
+      pending = Promise.reject(err);
+    }
+
+    return pending.then(result => {
+      const info = result || {};
+      if (info.inPlace && payload.page) {
+        const rebase = source => rebaseFrame(payload.page, source);
+        const doc = findPageDocument(payload.page);
+        if (typeof info.source === 'string') rebase(info.source);
+        else if (doc) fetchSourceText(doc.location, rebase);
+      } else if (info.inPlace) {
+        const rebase = source => {
+          releaseCollabLocks();
+          rebaseSession(source);
+          announceCollabRebase();
+        };
+        if (typeof info.source === 'string') rebase(info.source);
+        else fetchOriginalSource(rebase);
+      }
+      clearDraft();
+      setSaveStatus(info.message || 'Saved', 'ok');
+      showSaveFeedback();
+      emitEvent('afterSave', { adapter: name, payload, ok: true, result: info });
+      return info;
+    }).catch(err => {
+      const message = err && err.name === 'AbortError' ? 'Save cancelled' : 'Save failed: ' + (err && err.message ? err.message : err);
+      console.error('[edit-mode] ' + message, err);
+      setSaveStatus(message, err && err.name === 'AbortError' ? 'info' : 'error');
+      emitEvent('afterSave', { adapter: name, payload, ok: false, error: err });
+      return null;
+    }).then(result => {
+      setSaveBusy(false);
+      return result;
+    });
+  }
+
+  /**
+   * After an in-place save the saved HTML is the new original: patch
+   * against it from now on and treat the current page as the baseline.
+   */
+  function rebaseSession(source) {
+    if (typeof source === 'string') originalHTML = source;
+    if (!editActive) return;
+
+    // Open suggestions were not saved: take them out of the new baseline
+    // and put them back as suggestions afterwards.
+    const open = collectEdits().filter(edit => edit.suggestion).map(edit => Object.assign(serializeEdit(edit), { anchor: null }));
+    getOpenSuggestions().forEach(item => {
+      getRevertSteps(item.target).forEach(step => restoreState(step.kind, step.target, step.after));
+    });
+    suggestions = new Map();
+
+    queryAllDeep('[data-edit-orig]').forEach(el => {
+      if (el.ownerDocument === document) el.setAttribute('data-edit-orig', el.textContent);
+    });
+    document.querySelectorAll('[' + RICH_ATTR + ']').forEach(el => {
+      if (richBlocks.has(el)) richBlocks.set(el, computeRichBaseline(el.cloneNode(true)));
+    });
+    attrBaselines.forEach((_, el) => {
+      if (el.ownerDocument === document) attrBaselines.delete(el);
+    });
+    rebaseRepeatContainers(null);
+    snapshotPageBaseline();
+    snapshotHeadingSkips();
+    resetSourceAnchors();
+    if (open.length > 0) applyEditsToPage(open);
+    resetHistory();
+    updateRuntimeState();
+    notifyChange();
+  }
+
+  /**
+   * After an in-place save of a frame page: the same as rebaseSession(),
+   * for the elements of the frames showing that page. Open suggestions
+   * there keep their baselines, as their text was not saved.
+   */
+  function rebaseFrame(page, source) {
+    const entry = frameSources.get(page);
+    if (entry && typeof source === 'string') entry.html = source;
+    if (!editActive) return;
+
+    queryAllDeep('[data-edit-orig]').forEach(el => {
+      if (isInPage(el, page) && !suggestions.has(el)) el.setAttribute('data-edit-orig', el.textContent);
+    });
+    attrBaselines.forEach((_, el) => {
+      if (isInPage(el, page) && !suggestions.has(el)) attrBaselines.delete(el);
+    });
+    rebaseRepeatContainers(page);
+    resetSourceAnchors();
+    resetHistory();
+    updateRuntimeState();
+    notifyChange();
+  }
+
+  /**
+   * After an in-place save: the items of the blocks in `page` as they are
+   * now are the originals, copies included. Blocks with open suggestions
+   * keep their baselines.
+   */
+  function rebaseRepeatContainers(page) {
+    repeatBaselines.forEach((_, container) => {
+      if (!isInPage(container, page) || suggestions.has(container)) return;
+      if (!container.isConnected) {
+        repeatBaselines.delete(container);
+        return;
+      }
+      const items = getRepeatItems(container);
+      items.forEach(item => {
+        [item].concat(Array.from(item.querySelectorAll('*'))).forEach(el => repeatOrigins.delete(el));
+      });
+      repeatBaselines.set(container, { items, texts: items.map(item => normalizeText(item.textContent)) });
+    });
+  }
+
+  function setSaveStatus(message, state) {
+    const el = document.getElementById('edit-save-status');
+    if (!el) return;
+    el.textContent = message || '';
+    el.setAttribute('data-state', state || '');
+    announce(message, state === 'error');
+    if (saveStatusTimer) clearTimeout(saveStatusTimer);
+    saveStatusTimer = null;
+    if (state === 'ok' || state === 'info') {
+      saveStatusTimer = setTimeout(() => setSaveStatus('', ''), 4000);
+    }
+  }
+
+  function setSaveBusy(busy) {
+    const btn = document.getElementById('edit-save-btn');
+    if (btn) btn.disabled = !!busy;
+  }
+
+  function updateSaveControls() {
+    const select = document.getElementById('edit-save-target');
+    const btn = document.getElementById('edit-save-btn');
+    if (!select || !btn) return;
+
+    const available = getAvailableSaveAdapters();
+    const active = getActiveSaveAdapterName();
+    select.innerHTML = available.map(name =>
+      '<option value="' + escapeHTMLAttr(name) + '">' + escapeHTMLText(saveAdapters[name].label) + '</option>'
+    ).join('');
+    select.value = active;
+    select.style.display = available.length > 1 ? '' : 'none';
+    setButtonLabel(btn, saveAdapters[active].buttonLabel);
+  }
+
+  function showSaveFeedback() {
+    const btn = document.getElementById('edit-save-btn');
+    if (btn) {
+      const orig = btn.innerHTML;
+      setButtonLabel(btn, '\u2705 Saved!');
+      setTimeout(() => (btn.innerHTML = orig), 2000);
+    }
+  }
+
+  // ── Publish ─────────────────────────────────────────────
+
+  const EDIT_MODE_CLASSES = [EDIT_CLASS, INVALID_CLASS, UNTRANSLATED_CLASS, SUGGESTED_CLASS, COMMENTED_CLASS, RUNTIME_CLASS, REPEAT_ACTIVE_CLASS, IMAGE_DROP_CLASS, A11Y_CLASS, KEYBOARD_CLASS, 'edit-flash', 'edit-picking'];
+  const ZIP_UTF8_FLAG = 0x0800;
+  let crcTable = null;
+
+  /**
+   * The live page as HTML without edit mode's own elements, text wrappers,
+   * classes and the attributes it adds while editing, for saving or
+   * publishing when the source cannot take the edits. Works on a copy, so
+   * the session keeps its baselines. The author's data-edit markers stay;
+   * publishing removes them with stripEditArtifacts().
+   */
+  function exportCleanDOM(removeScript) {
+    const root = document.documentElement.cloneNode(true);
+    root.querySelectorAll('#' + TOOLBAR_ID + ', #edit-mode-styles, [' + UI_ATTR + ']').forEach(el => el.remove());
+    if (removeScript) root.querySelectorAll('script[src*="edit-mode"]').forEach(el => el.remove());
+    unwrapDirectTextNodes(root);
+    root.querySelectorAll('.' + INVALID_CLASS).forEach(el => el.removeAttribute('aria-invalid'));
+    root.querySelectorAll('[contenteditable], [data-edit-orig], [' + RICH_ATTR + '], [data-edit-blocked]').forEach(el => {
+      ['contenteditable', 'data-edit-orig', RICH_ATTR, 'data-edit-blocked'].forEach(attr => el.removeAttribute(attr));
+    });
+    [root].concat(Array.from(root.querySelectorAll('[class]'))).forEach(el => {
+      if (!el.hasAttribute('class')) return;
+      el.classList.remove.apply(el.classList, EDIT_MODE_CLASSES);
+      if (!el.getAttribute('class').trim()) el.removeAttribute('class');
+    });
+    return '<!DOCTYPE html>\n' + root.outerHTML;
+  }
+
+  /**
+   * The HTML without edit-mode scripts, `data-edit*` and `contenteditable`
+   * attributes. Everything else stays byte-identical.
+   */
+  function stripEditArtifacts(html) {
+    return cutRanges(html, findEditArtifacts(html, true));
+  }
+
+  /**
+   * Parse published HTML again and list what edit mode left in it.
+   */
+  function checkPublishedHTML(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const elements = [];
+    const collect = root => root.querySelectorAll('*').forEach(el => {
+      elements.push(el);
+      if (el.localName === 'template') collect(el.content);
+    });
+    collect(doc);
+
+    const problems = [];
+    const attrs = new Set();
+    elements.forEach(el => Array.from(el.attributes).forEach(attr => {
+      if (attr.name === 'contenteditable' || /^data-edit(-|$)/.test(attr.name)) attrs.add(attr.name);
+    }));
+    if (attrs.size > 0) problems.push('attributes ' + Array.from(attrs).join(', '));
+    const scripts = elements.filter(el => el.localName === 'script').filter(el => {
+      const src = el.getAttribute('src');
+      if (!src) return /^\s*(window\.)?EditModeConfig\s*=\s*\{[\s\S]*\}\s*;?\s*$/.test(el.textContent);
+      let url = src;
+      try {
+        url = new URL(src, document.baseURI).href;
+      } catch (_) {
+        // Keep the attribute value as written.
       }
-      if (!match || match.index == null) {
-        unmatchedEdits.push({
-          index: idx,
-          oldText: previewText(edit.oldText),
-          newText: previewText(edit.newText),
-          oldLength: edit.oldText.length,
-          newLength: edit.newText.length,
-          bodyMatchCount: countMatchesFromIndex(result, pattern, bodyStart, 25)
-        });
-        continue;
+      return url === SELF_SCRIPT_URL || /(^|\/)edit-mode(\.min)?\.js$/i.test(url.split(/[?#]/)[0]);
+    });
+    if (scripts.length > 0) problems.push('the edit-mode script');
+    if (doc.getElementById(TOOLBAR_ID) || doc.getElementById('edit-mode-styles')) problems.push('the toolbar or its styles');
+    return problems;
+  }
+
+  /**
+   * Files for the publish zip besides the page: the images whose `src`
+   * was changed this session, fetched from the page's folder (or below it)
+   * on the same server. Data URIs stay in the page; other images are
+   * listed in `missing`.
+   */
+  function collectPublishAssets() {
+    const folder = new URL('.', window.location.href);
+    const wanted = new Map();
+    const missing = [];
+    attrBaselines.forEach((baseline, el) => {
+      if (el.localName !== 'img' || el.ownerDocument !== document || suggestions.has(el)) return;
+      const src = el.getAttribute('src');
+      if (!Object.prototype.hasOwnProperty.call(baseline, 'src') || !src || src === baseline.src || /^data:/i.test(src)) return;
+      let url = null;
+      try {
+        url = new URL(src, document.baseURI);
+      } catch (_) {
+        // Not a URL at all: reported as missing below.
       }
+      if (!url || url.origin !== folder.origin || !url.pathname.startsWith(folder.pathname)) {
+        missing.push(src);
+        return;
+      }
+      wanted.set(decodeURIComponent(url.pathname.slice(folder.pathname.length)), url.href);
+    });
+
+    return Promise.all(Array.from(wanted, ([name, url]) => fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.arrayBuffer();
+      })
+      .then(buffer => ({ name, data: new Uint8Array(buffer) }))
+      .catch(() => {
+        missing.push(name);
+        return null;
+      })))
+      .then(files => ({ files: files.filter(Boolean), missing }));
+  }
 
-      const start = match.index;
-      const end = start + match[0].length;
-      result = result.slice(0, start) + edit.newText + result.slice(end);
-      cursor = start + edit.newText.length;
-      appliedCount += 1;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
     }
-    return { html: result, appliedCount, unmatchedEdits };
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
   }
 
   /**
-   * Remove the edit-mode <script> tag from the HTML source.
+   * A zip archive of { name, data } files (data as Uint8Array), stored
+   * without compression: images are compressed already and pages are small.
    */
-  function removeEditModeScript(html) {
-    return html.replace(/\s*<script[^>]*edit-mode[^>]*><\/script>\s*/gi, '\n');
+  function buildZip(files) {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    let centralSize = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, ZIP_UTF8_FLAG, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local.buffer, name, file.data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, ZIP_UTF8_FLAG, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + file.data.length;
+      centralSize += 46 + name.length;
+    });
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob(parts.concat(central, [end.buffer]), { type: 'application/zip' });
   }
 
-  function saveFile() {
-    const edits = collectEdits();
+  function getPageFileName() {
+    const name = decodeURIComponent(window.location.pathname.split('/').pop() || '');
+    return /\.html?$/i.test(name) ? name : 'index.html';
+  }
 
-    if (edits.length === 0) {
-      alert('No text changes detected.');
-      return;
+  /**
+   * Download a copy of the page that is ready to deploy: the saved HTML
+   * (patched source, or a DOM export when the source cannot take the
+   * edits) without edit mode's script, attributes and classes, checked by
+   * parsing it again. With format 'zip' the changed images come along.
+   * Resolves to { html, files } or null.
+   */
+  function publish(options) {
+    const format = options && options.format ? options.format : config.publishFormat;
+    const all = collectEdits();
+    const edits = all.filter(edit => !edit.suggestion && !edit.runtime && !edit.page);
+    const open = all.filter(edit => edit.suggestion).length;
+    const runtime = all.filter(edit => !edit.suggestion && edit.runtime).length;
+    const frames = all.some(edit => edit.page);
+    return confirmConstraints().then(ok => (ok ? publishEdits(edits, { format, open, runtime, frames }) : null));
+  }
+
+  /**
+   * Build, check and download the published page once constraints are
+   * settled. `info` carries the format and what was left out of `edits`.
+   */
+  function publishEdits(edits, info) {
+    const { format, open, runtime, frames } = info;
+    // A zip carries replaced images as files; a single page keeps them inline.
+    const bundle = format === 'zip' ? bundleImageEdits(edits) : { edits, assets: [] };
+    const patched = originalHTML ? applyEditsToSource(originalHTML, bundle.edits) : null;
+    let html;
+    let assets = [];
+    if (patched && patched.appliedCount === edits.length) {
+      html = patched.html;
+      assets = bundle.assets;
+    } else if (open > 0) {
+      setSaveStatus('Publishing would need a DOM export, which would include open suggestions. Accept or reject them first.', 'error');
+      return Promise.resolve(null);
+    } else {
+      html = exportCleanDOM();
     }
+    html = stripEditArtifacts(html);
 
-    if (!originalHTML) {
-      logFallbackDetails('no_source', {
-        sourceLoaded: false,
-        editsCount: edits.length,
-        appliedCount: 0,
-        unmatchedCount: edits.length,
-        protocol: window.location.protocol,
-        href: window.location.href
-      });
-      saveFallback('no_source');
-      return;
+    const problems = checkPublishedHTML(html);
+    if (problems.length > 0) {
+      console.error('[edit-mode] Published HTML still contains ' + problems.join(', '));
+      setSaveStatus('Not published: the page still contains ' + problems.join(', ') + '.', 'error');
+      return Promise.resolve(null);
     }
 
-    const patched = applyEditsToSource(originalHTML, edits);
-    let html = patched.html;
+    const basename = buildDownloadBasename() + '_publish';
+    const notes = [];
+    if (!patched || patched.appliedCount < edits.length) notes.push('exported from the live page');
+    if (frames) notes.push('changes inside frames are not included');
+    if (runtime > 0) notes.push(runtime + ' change(s) to runtime text are not included');
+    const finish = (filename, files, missing) => {
+      if (missing.length > 0) notes.push('not bundled: ' + missing.join(', '));
+      setSaveStatus('Published ' + filename + (notes.length ? ' (' + notes.join('; ') + ')' : ''), missing.length > 0 ? 'error' : 'ok');
+      return { html, files };
+    };
 
-    // If source patching cannot apply all edits, prefer a reliable save over silent data loss.
-    if (patched.appliedCount < edits.length) {
-      logFallbackDetails('partial_patch', {
-        sourceLoaded: true,
-        editsCount: edits.length,
-        appliedCount: patched.appliedCount,
-        unmatchedCount: edits.length - patched.appliedCount,
-        unmatchedEdits: patched.unmatchedEdits
-      });
-      saveFallback('partial_patch');
+    if (format !== 'zip') {
+      downloadBlob(new Blob([html], { type: 'text/html' }), basename + '.html');
+      return Promise.resolve(finish(basename + '.html', [basename + '.html'], []));
+    }
+    return collectPublishAssets().then(fetched => {
+      const files = [{ name: getPageFileName(), data: new TextEncoder().encode(html) }].concat(assets, fetched.files);
+      downloadBlob(buildZip(files), basename + '.zip');
+      return finish(basename + '.zip', files.map(file => file.name), fetched.missing);
+    });
+  }
+
+  // ── Accessibility ───────────────────────────────────────
+
+  /**
+   * Say `message` through the toolbar's live regions: politely, or at
+   * once with `urgent`. The region is cleared first so that a repeated
+   * message is announced again.
+   */
+  function announce(message, urgent) {
+    const el = document.getElementById(urgent ? 'edit-alert' : 'edit-live');
+    if (!el || !message) return;
+    el.textContent = '';
+    setTimeout(() => { el.textContent = message; }, ANNOUNCE_DELAY_MS);
+  }
+
+  /**
+   * Button text with a leading icon hidden from screen readers, so the
+   * button is named by its words only.
+   */
+  function setButtonLabel(btn, label) {
+    const match = String(label).match(/^\s*(\S+)\s+([\s\S]+?)\s*$/);
+    if (!match || /[\p{L}\p{N}]/u.test(match[1])) {
+      btn.textContent = label;
       return;
     }
+    btn.innerHTML = '<span aria-hidden="true">' + escapeHTMLText(match[1]) + '</span> ' + escapeHTMLText(match[2]);
+  }
 
-    if (REMOVE_SCRIPT_ON_SAVE) {
-      html = removeEditModeScript(html);
+  /**
+   * In-page replacement for window.confirm(): a modal alert dialog that
+   * keeps focus until it is answered and then gives it back. Resolves to
+   * true for `confirmLabel`, false for Cancel or Escape.
+   */
+  function confirmDialog(message, confirmLabel) {
+    closeConfirmDialog(false);
+    const returnTo = getDeepActiveElement();
+    confirmEl = document.createElement('div');
+    confirmEl.id = 'edit-confirm';
+    confirmEl.setAttribute(UI_ATTR, 'true');
+    confirmEl.innerHTML = `
+      <div role="alertdialog" aria-modal="true" aria-labelledby="edit-confirm-title" aria-describedby="edit-confirm-message">
+        <strong id="edit-confirm-title">Edit mode</strong>
+        <p id="edit-confirm-message"></p>
+        <div class="edit-confirm-actions">
+          <button type="button" class="edit-tool-btn" data-edit-confirm="cancel">Cancel</button>
+          <button type="button" class="edit-tool-btn" data-edit-confirm="ok"></button>
+        </div>
+      </div>`;
+    confirmEl.querySelector('#edit-confirm-message').textContent = message;
+    const ok = confirmEl.querySelector('[data-edit-confirm="ok"]');
+    const cancel = confirmEl.querySelector('[data-edit-confirm="cancel"]');
+    ok.textContent = confirmLabel || 'OK';
+
+    return new Promise(resolve => {
+      confirmResolve = answer => {
+        if (returnTo && returnTo.isConnected && typeof returnTo.focus === 'function') returnTo.focus();
+        resolve(answer);
+      };
+      ok.addEventListener('click', () => closeConfirmDialog(true));
+      cancel.addEventListener('click', () => closeConfirmDialog(false));
+      confirmEl.addEventListener('keydown', e => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          closeConfirmDialog(false);
+        } else if (e.key === 'Tab') {
+          // Two buttons: Tab and Shift+Tab go back and forth between them.
+          e.preventDefault();
+          (document.activeElement === ok ? cancel : ok).focus();
+        }
+      });
+      document.body.appendChild(confirmEl);
+      ok.focus();
+    });
+  }
+
+  function closeConfirmDialog(answer) {
+    if (!confirmEl) return;
+    const resolve = confirmResolve;
+    confirmEl.remove();
+    confirmEl = null;
+    confirmResolve = null;
+    if (resolve) resolve(answer);
+  }
+
+  /**
+   * The focused element, looking into shadow roots and same-origin frames.
+   */
+  function getDeepActiveElement() {
+    let el = document.activeElement;
+    for (;;) {
+      if (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+      else if (el && el.localName === 'iframe' && el.contentDocument && el.contentDocument.activeElement) el = el.contentDocument.activeElement;
+      else return el;
     }
+  }
 
-    downloadFile(html, { mode: 'patched' });
-    showSaveFeedback();
+  /**
+   * When `panel` is closed with focus inside it, focus goes back to the
+   * toolbar button that opens it.
+   */
+  function returnPanelFocus(panel, buttonId) {
+    if (!panel || !panel.contains(document.activeElement)) return;
+    const btn = document.getElementById(buttonId);
+    if (btn) btn.focus();
+  }
+
+  function getHeadingLevel(el) {
+    return Number(el.localName.charAt(1));
   }
 
   /**
-   * Fallback: uses outerHTML (old behavior). Only if source fetch fails.
+   * Headings of the page that come more than one level below the heading
+   * before them, as [{ el, from, to }].
    */
-  function saveFallback(reason) {
-    disableEdit();
-    if (toolbarEl) toolbarEl.remove();
-    if (styleEl) styleEl.remove();
+  function findHeadingSkips() {
+    const skips = [];
+    let previous = 0;
+    document.querySelectorAll(HEADING_SELECTOR).forEach(el => {
+      if (isEditModeUI(el)) return;
+      const level = getHeadingLevel(el);
+      if (previous && level > previous + 1) skips.push({ el, from: previous, to: level });
+      previous = level;
+    });
+    return skips;
+  }
 
-    const scripts = document.querySelectorAll('script');
-    const selfScript = Array.from(scripts).find(s =>
-      s.src && s.src.includes('edit-mode')
-    );
-    if (selfScript && REMOVE_SCRIPT_ON_SAVE) selfScript.remove();
+  function snapshotHeadingSkips() {
+    headingSkips = new WeakSet(findHeadingSkips().map(skip => skip.el));
+  }
+
+  /**
+   * Accessibility problems the session's edits introduced, as
+   * [{ el, problem }]: headings emptied, images left without alt text,
+   * and heading levels skipped where they were not before. Problems that
+   * were already on the page are the author's call, as with constraints.
+   */
+  function checkAccessibility(changedTargets) {
+    if (!editActive) return [];
+    const issues = [];
+    const add = (el, problem) => {
+      if (!issues.some(issue => issue.el === el)) issues.push({ el, problem });
+    };
 
-    const html = '<!DOCTYPE html>\n' + document.documentElement.outerHTML;
+    // An element typed empty has no text node left and is no longer a changed target.
+    const emptied = queryAllDeep('[data-edit-orig]').filter(el => !normalizeText(el.textContent) && normalizeText(el.getAttribute('data-edit-orig')));
+    (changedTargets || getChangedTargets()).concat(emptied).forEach(target => {
+      if (target === 'page' || !target.closest) return;
+      const heading = target.closest(HEADING_SELECTOR);
+      if (heading && !normalizeText(heading.textContent)) add(heading, 'Empty heading');
+    });
 
-    injectStyles();
-    document.body.appendChild(toolbarEl);
-    if (selfScript && REMOVE_SCRIPT_ON_SAVE) document.body.appendChild(selfScript);
-    enableEdit();
+    attrBaselines.forEach((baseline, el) => {
+      if (el.localName !== 'img' || !el.isConnected) return;
+      const alt = el.getAttribute('alt');
+      const had = Object.prototype.hasOwnProperty.call(baseline, 'alt') ? baseline.alt : alt;
+      const replaced = Object.prototype.hasOwnProperty.call(baseline, 'src') && baseline.src !== el.getAttribute('src');
+      if (alt == null && (had != null || replaced)) add(el, 'Image without alt text');
+      else if (alt != null && !alt.trim() && had && had.trim()) add(el, 'Alt text removed: the image is now decorative');
+    });
 
-    downloadFile(html, { mode: 'fallback', reason });
-    showSaveFeedback();
+    findHeadingSkips().forEach(skip => {
+      if (!headingSkips || !headingSkips.has(skip.el)) add(skip.el, 'Heading level skipped: h' + skip.from + ' to h' + skip.to);
+    });
+    return issues;
   }
 
-  function downloadFile(html, meta) {
-    const info = meta || {};
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
+  /**
+   * Mark the elements with accessibility problems and show their count.
+   */
+  function updateA11yState(changedTargets) {
+    a11yIssues = checkAccessibility(changedTargets);
+    const flagged = a11yIssues.map(issue => issue.el);
+    queryAllDeep('.' + A11Y_CLASS).forEach(el => {
+      if (!flagged.includes(el)) el.classList.remove(A11Y_CLASS);
+    });
+    flagged.forEach(el => el.classList.add(A11Y_CLASS));
 
-    const now = new Date();
-    const d = now.toISOString().slice(0, 10).replace(/-/g, '');
-    const t = now.toTimeString().slice(0, 5).replace(':', '');
-    const basename = document.title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
-    let suffix = '';
-    if (info.mode === 'fallback') {
-      suffix = '_fallback';
-      if (info.reason) {
-        suffix += '_' + String(info.reason).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
-      }
+    const btn = document.getElementById('edit-a11y-btn');
+    if (!btn) return;
+    btn.style.display = a11yIssues.length > 0 ? '' : 'none';
+    setButtonLabel(btn, '\u267f ' + a11yIssues.length + ' accessibility issue' + (a11yIssues.length === 1 ? '' : 's'));
+  }
+
+  /**
+   * What Alt+Shift+N/P move between: editable text and the images in
+   * editable regions, in page order.
+   */
+  function getJumpTargets() {
+    return queryAllDeep('.' + EDIT_CLASS + ', img, [' + IMAGE_ATTR + ']').filter(el => {
+      if (isEditModeUI(el)) return false;
+      if (el.classList.contains(EDIT_CLASS)) return !el.parentElement || !getEditableHost(el.parentElement);
+      return isInEditableRegion(el);
+    });
+  }
+
+  /**
+   * Focus `el` for keyboard editing: text gets the caret, images and
+   * background images open their popover.
+   */
+  function focusJumpTarget(el) {
+    jumpTarget = el;
+    document.documentElement.classList.add(KEYBOARD_CLASS);
+    if (el.classList.contains(EDIT_CLASS)) {
+      closeAttrPopover();
+      el.focus();
+      el.scrollIntoView({ block: 'nearest' });
+      return;
     }
-    a.download = (basename || 'page') + '_' + d + '_' + t + suffix + '.html';
-    a.click();
-    URL.revokeObjectURL(url);
+    el.scrollIntoView({ block: 'nearest' });
+    openAttrPopover(el);
+    const field = popoverEl && (popoverEl.querySelector('[data-edit-field="alt"]') || popoverEl.querySelector('input,button'));
+    if (field) field.focus();
   }
 
-  function showSaveFeedback() {
-    const btn = document.getElementById('edit-save-btn');
-    if (btn) {
-      const orig = btn.textContent;
-      btn.textContent = '\u2705 Saved!';
-      setTimeout(() => (btn.textContent = orig), 2000);
+  function describeJumpTarget(el) {
+    if (/^h[1-6]$/.test(el.localName)) return 'Heading level ' + el.localName.charAt(1);
+    if (el.localName === 'img') return 'Image' + (el.getAttribute('alt') ? ': ' + el.getAttribute('alt') : '');
+    if (!el.classList.contains(EDIT_CLASS)) return 'Background image';
+    return el.localName === 'a' ? 'Link' : 'Editable text';
+  }
+
+  function jumpToEditable(step) {
+    const targets = getJumpTargets();
+    if (targets.length === 0) return;
+    const active = getEditableHost(getDeepActiveElement());
+    const current = targets.indexOf(active && targets.includes(active) ? active : jumpTarget);
+    const index = current < 0 ? (step > 0 ? 0 : targets.length - 1) : (current + step + targets.length) % targets.length;
+    focusJumpTarget(targets[index]);
+    announce(describeJumpTarget(targets[index]) + ', ' + (index + 1) + ' of ' + targets.length);
+  }
+
+  function jumpToIssue() {
+    updateA11yState();
+    if (a11yIssues.length === 0) {
+      announce('No accessibility issues in your changes');
+      return;
+    }
+    const current = a11yIssues.findIndex(issue => issue.el === jumpTarget);
+    const index = (current + 1) % a11yIssues.length;
+    const issue = a11yIssues[index];
+    if (issue.el.classList.contains(EDIT_CLASS) || issue.el.localName === 'img') {
+      focusJumpTarget(issue.el);
+    } else {
+      jumpTarget = issue.el;
+      flashElement(issue.el);
+    }
+    announce(issue.problem + ', ' + (index + 1) + ' of ' + a11yIssues.length);
+  }
+
+  function getToolbarItems() {
+    if (!toolbarEl) return [];
+    return Array.from(toolbarEl.querySelectorAll('button, select')).filter(el => {
+      if (el.disabled) return false;
+      for (let node = el; node && node !== toolbarEl; node = node.parentElement) {
+        if (node.style.display === 'none') return false;
+      }
+      return true;
+    });
+  }
+
+  function focusToolbar() {
+    const items = getToolbarItems();
+    if (items.length === 0) return;
+    document.documentElement.classList.add(KEYBOARD_CLASS);
+    items[0].focus();
+  }
+
+  /**
+   * Arrow keys, Home and End move along the toolbar; Escape goes back to
+   * the text being edited, or else to the element last jumped to.
+   */
+  function handleToolbarKeydown(e) {
+    const items = getToolbarItems();
+    const index = items.indexOf(document.activeElement);
+    if (e.key === 'Escape') {
+      const host = getEditableHost(lastEditTarget);
+      if (host) {
+        e.preventDefault();
+        host.focus();
+      } else if (jumpTarget && jumpTarget.isConnected) {
+        e.preventDefault();
+        focusJumpTarget(jumpTarget);
+      }
+      return;
     }
+    // A select keeps Up and Down for its options.
+    if (index < 0 || (document.activeElement.localName === 'select' && /^Arrow(Up|Down)$/.test(e.key))) return;
+    const moves = { ArrowRight: index + 1, ArrowDown: index + 1, ArrowLeft: index - 1, ArrowUp: index - 1, Home: 0, End: items.length - 1 };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    items[(moves[e.key] + items.length) % items.length].focus();
+  }
+
+  function handleA11yKeydown(e) {
+    if (!editActive) return;
+    const action = Object.keys(NAV_SHORTCUTS).find(name => matchesShortcut(e, NAV_SHORTCUTS[name]));
+    if (!action) return;
+    e.preventDefault();
+    if (action === 'next') jumpToEditable(1);
+    else if (action === 'previous') jumpToEditable(-1);
+    else if (action === 'toolbar') focusToolbar();
+    else jumpToIssue();
+  }
+
+  function handleKeyboardPointer() {
+    document.documentElement.classList.remove(KEYBOARD_CLASS);
+  }
+
+  function resetA11yState() {
+    a11yIssues = [];
+    jumpTarget = null;
+    headingSkips = null;
+    queryAllDeep('.' + A11Y_CLASS).forEach(el => el.classList.remove(A11Y_CLASS));
+    document.documentElement.classList.remove(KEYBOARD_CLASS);
+    closeConfirmDialog(false);
   }
 
   // ── Toolbar ─────────────────────────────────────────────
@@ -439,40 +6677,122 @@
     toolbarEl = document.createElement('div');
     toolbarEl.id = TOOLBAR_ID;
     toolbarEl.style.display = 'none';
+    toolbarEl.setAttribute('role', 'region');
+    toolbarEl.setAttribute('aria-label', 'Edit mode');
     toolbarEl.innerHTML = `
-      <div style="position:fixed;bottom:24px;left:50%;transform:translateX(-50%);z-index:99999;
-                  display:flex;gap:10px;align-items:center;
+      <div role="toolbar" aria-label="Edit mode tools" style="position:fixed;${TOOLBAR_POSITIONS[config.toolbarPosition]}z-index:99999;
+                  display:flex;flex-wrap:wrap;justify-content:center;gap:10px;align-items:center;
+                  max-width:calc(100vw - 32px);box-sizing:border-box;
                   background:#1a1a2e;padding:12px 20px;border-radius:16px;
                   box-shadow:0 8px 32px rgba(0,0,0,.3);border:1px solid rgba(99,102,241,.3);
                   font-family:system-ui,-apple-system,sans-serif;white-space:nowrap;">
         <div style="display:flex;align-items:center;gap:8px;padding-right:14px;border-right:1px solid rgba(255,255,255,.1);">
-          <div style="width:10px;height:10px;border-radius:50%;background:#22c55e;animation:em-pulse 2s infinite;"></div>
+          <div style="width:10px;height:10px;border-radius:50%;background:#22c55e;animation:em-pulse 2s infinite;" aria-hidden="true"></div>
           <span style="color:rgba(255,255,255,.7);font-size:13px;font-weight:500;">Edit Mode</span>
         </div>
+        <select id="edit-save-target" title="Where to save" aria-label="Save target" style="display:none;"></select>
         <button id="edit-save-btn"
           style="background:linear-gradient(135deg,#6366f1,#4f46e5);color:#fff;border:none;
                  padding:8px 18px;border-radius:10px;cursor:pointer;font-weight:600;font-size:13px;
                  font-family:inherit;transition:all .2s;">
-          \ud83d\udcbe Save as new file
+          <span aria-hidden="true">\ud83d\udcbe</span> Save as new file
+        </button>
+        <span id="edit-save-status"></span>
+        <button id="edit-publish-btn" class="edit-tool-btn" title="Download a clean copy of the page to publish, without edit mode">
+          <span aria-hidden="true">\ud83d\ude80</span> Publish
+        </button>
+        <button id="edit-changes-btn" class="edit-tool-btn" title="Download the changes as a JSON change set">
+          <span aria-hidden="true">\u2b07</span> Download changes
+        </button>
+        <button id="edit-import-btn" class="edit-tool-btn" title="Apply a JSON change set to this page">
+          <span aria-hidden="true">\u2b06</span> Import changes
         </button>
+        <button id="edit-bundle-btn" class="edit-tool-btn" title="Download all texts as a translation bundle">
+          <span aria-hidden="true">\ud83c\udf10</span> Texts
+        </button>
+        <button id="edit-format-btn" class="edit-tool-btn" aria-pressed="false" title="Edit bold, italic and links inside text blocks">
+          <span aria-hidden="true">\u00b6</span> Format
+        </button>
+        <button id="edit-review-btn" class="edit-tool-btn" title="Review all changes, suggestions and comments">
+          <span aria-hidden="true">\ud83d\udd0d</span> Review
+        </button>
+        <button id="edit-suggest-btn" class="edit-tool-btn" aria-pressed="false" title="Record changes as suggestions for the page owner">
+          <span aria-hidden="true">\u270e</span> Suggest
+        </button>
+        <button id="edit-comment-btn" class="edit-tool-btn" title="Comment on an element">
+          <span aria-hidden="true">\ud83d\udcac</span> Comment
+        </button>
+        <button id="edit-page-btn" class="edit-tool-btn" title="Page settings: title, description, social cards and structured data">
+          <span aria-hidden="true">\ud83c\udff7</span> Page
+        </button>
+        <div style="display:flex;gap:4px;align-items:center;">
+          <button id="edit-undo-btn" class="edit-icon-btn" title="Undo (Ctrl+Z)" aria-label="Undo" disabled>\u21b6</button>
+          <button id="edit-redo-btn" class="edit-icon-btn" title="Redo (Ctrl+Shift+Z)" aria-label="Redo" disabled>\u21b7</button>
+          <button id="edit-revert-btn" class="edit-icon-btn" title="Revert the current element" aria-label="Revert the current element" disabled>\u21ba</button>
+        </div>
+        <button id="edit-a11y-btn" class="edit-tool-btn" style="display:none;" title="Jump to the next accessibility issue (Alt+Shift+A)"></button>
+        <div id="edit-draft-offer" style="display:none;gap:4px;align-items:center;">
+          <button id="edit-draft-restore-btn" class="edit-tool-btn" title="Restore edits from your last session"></button>
+          <button id="edit-draft-discard-btn" class="edit-icon-btn" title="Discard unsaved changes from your last session" aria-label="Discard unsaved changes from your last session">\u2715</button>
+        </div>
+        <span id="edit-change-count" style="color:rgba(255,255,255,.6);font-size:12px;">0 changed</span>
+        <span id="edit-collab-status" style="display:none;"></span>
+        <span id="edit-review-count" style="display:none;color:#4ade80;font-size:12px;"></span>
+        <span id="edit-untranslated-count" style="display:none;color:#fbbf24;font-size:12px;"></span>
+        <button id="edit-revert-all-btn" class="edit-tool-btn" title="Revert all changes" disabled>Revert all</button>
+        <div id="edit-format-tools" style="display:none;gap:4px;">
+          <button class="edit-icon-btn" data-edit-cmd="bold" title="Bold (Ctrl+B)" aria-label="Bold"><b>B</b></button>
+          <button class="edit-icon-btn" data-edit-cmd="italic" title="Italic (Ctrl+I)" aria-label="Italic"><i>I</i></button>
+          <button class="edit-icon-btn" data-edit-cmd="link" title="Link (Ctrl+K)" aria-label="Link">\ud83d\udd17</button>
+        </div>
         <button id="edit-cancel-btn"
           style="background:rgba(255,255,255,.08);color:rgba(255,255,255,.6);
                  border:1px solid rgba(255,255,255,.1);padding:8px 14px;border-radius:10px;
                  cursor:pointer;font-size:13px;font-family:inherit;transition:all .2s;">
-          \u2715 Exit
+          <span aria-hidden="true">\u2715</span> Exit
         </button>
         <div style="padding-left:10px;border-left:1px solid rgba(255,255,255,.1);">
-          <span style="color:rgba(255,255,255,.3);font-size:11px;">Ctrl+E/Ctrl+Shift+E \u00b7 #edit in URL</span>
+          <span style="color:rgba(255,255,255,.3);font-size:11px;">${escapeHTMLText(config.shortcut.map(describeShortcut).join('/'))}${config.shortcut.length ? ' \u00b7 ' : ''}#edit in URL</span>
         </div>
+        <div id="edit-live" class="edit-visually-hidden" role="status" aria-live="polite"></div>
+        <div id="edit-alert" class="edit-visually-hidden" role="alert"></div>
       </div>`;
     document.body.appendChild(toolbarEl);
 
+    toolbarEl.firstElementChild.addEventListener('keydown', handleToolbarKeydown);
     document.getElementById('edit-save-btn').addEventListener('click', saveFile);
+    document.getElementById('edit-a11y-btn').addEventListener('click', jumpToIssue);
+    document.getElementById('edit-save-target').addEventListener('change', e => {
+      activeSaveAdapter = e.target.value;
+      updateSaveControls();
+    });
+    updateSaveControls();
+    document.getElementById('edit-format-btn').addEventListener('click', () => setFormatMode(!formatActive));
+    document.getElementById('edit-page-btn').addEventListener('click', togglePagePanel);
+    document.getElementById('edit-publish-btn').addEventListener('click', () => publish());
+    document.getElementById('edit-review-btn').addEventListener('click', toggleReviewPanel);
+    document.getElementById('edit-suggest-btn').addEventListener('click', () => setSuggestMode(!suggestMode));
+    document.getElementById('edit-comment-btn').addEventListener('click', startCommentPick);
+    document.getElementById('edit-changes-btn').addEventListener('click', downloadChangeSet);
+    document.getElementById('edit-import-btn').addEventListener('click', pickChangeSetFile);
+    document.getElementById('edit-bundle-btn').addEventListener('click', downloadBundle);
+    document.getElementById('edit-undo-btn').addEventListener('click', undo);
+    document.getElementById('edit-redo-btn').addEventListener('click', redo);
+    document.getElementById('edit-revert-btn').addEventListener('click', () => revertTarget(lastEditTarget));
+    document.getElementById('edit-revert-all-btn').addEventListener('click', revertAll);
+    document.getElementById('edit-draft-restore-btn').addEventListener('click', restoreDraft);
+    document.getElementById('edit-draft-discard-btn').addEventListener('click', discardDraft);
+    toolbarEl.querySelectorAll('.edit-icon-btn[data-edit-cmd]').forEach(btn => {
+      // Keep the selection in the edited block while clicking toolbar buttons.
+      btn.addEventListener('mousedown', e => e.preventDefault());
+      btn.addEventListener('click', () => runFormatCommand(btn.getAttribute('data-edit-cmd')));
+    });
     document.getElementById('edit-cancel-btn').addEventListener('click', () => {
-      if (confirm('Exit Edit Mode? Unsaved changes will be lost.')) {
+      confirmDialog('Exit Edit Mode? Unsaved changes will be lost.', 'Exit').then(ok => {
+        if (!ok) return;
         disableEdit();
         location.reload();
-      }
+      });
     });
   }
 
@@ -501,14 +6821,161 @@
       }
       #edit-save-btn:hover  { filter:brightness(1.15); transform:scale(1.03); }
       #edit-cancel-btn:hover { background:rgba(255,255,255,.15)!important; color:#fff!important; }
+      .edit-tool-btn {
+        background:rgba(255,255,255,.08); color:rgba(255,255,255,.8); border:1px solid rgba(255,255,255,.1);
+        padding:8px 14px; border-radius:10px; cursor:pointer; font-size:13px; font-family:inherit; transition:all .2s;
+      }
+      .edit-tool-btn:hover:not(:disabled) { background:rgba(255,255,255,.15); color:#fff; }
+      .edit-tool-btn:disabled, .edit-icon-btn:disabled { opacity:.4; cursor:default; }
+      @keyframes em-flash { 0%,100%{box-shadow:0 0 0 0 rgba(250,204,21,0)} 30%{box-shadow:0 0 0 6px rgba(250,204,21,.7)} }
+      .edit-flash { animation: em-flash 1.5s ease-in-out; background: rgba(250,204,21,.15) !important; }
+      #edit-review-panel {
+        position:fixed; right:16px; ${config.toolbarPosition.startsWith('top') ? 'top:110px; bottom:16px;' : 'top:16px; bottom:110px;'} z-index:100000; width:380px; max-width:calc(100vw - 32px);
+        overflow:auto; padding:14px; border-radius:12px; box-sizing:border-box;
+        background:#1a1a2e; color:#fff; border:1px solid rgba(99,102,241,.3); box-shadow:0 8px 32px rgba(0,0,0,.3);
+        font:13px/1.4 system-ui,-apple-system,sans-serif;
+      }
+      #edit-review-panel .edit-review-summary { color:rgba(255,255,255,.6); font-size:12px; margin-bottom:10px; }
+      #edit-review-panel .edit-review-warn { color:#fbbf24; font-size:12px; }
+      #edit-review-panel .edit-review-item {
+        padding:8px; margin-bottom:8px; border-radius:8px; cursor:pointer; background:rgba(255,255,255,.04);
+      }
+      #edit-review-panel .edit-review-item:hover { background:rgba(255,255,255,.09); }
+      #edit-review-panel .edit-review-label { font-size:11px; color:rgba(255,255,255,.5); margin-bottom:4px; }
+      #edit-review-panel .edit-review-cols { display:grid; grid-template-columns:1fr 1fr; gap:8px; word-break:break-word; }
+      #edit-review-panel .edit-review-actions { display:flex; gap:6px; margin-top:6px; }
+      #edit-review-panel .edit-tool-btn { padding:4px 10px; font-size:12px; }
+      #edit-review-panel .edit-review-body { white-space:pre-wrap; word-break:break-word; }
+      #edit-review-panel del { background:rgba(239,68,68,.35); text-decoration:line-through; }
+      #edit-review-panel ins { background:rgba(34,197,94,.35); text-decoration:none; }
+      #edit-page-panel {
+        position:fixed; left:16px; ${config.toolbarPosition.startsWith('top') ? 'top:110px; bottom:16px;' : 'top:16px; bottom:110px;'} z-index:100000; width:400px; max-width:calc(100vw - 32px);
+        overflow:auto; padding:14px; border-radius:12px; box-sizing:border-box;
+        background:#1a1a2e; color:#fff; border:1px solid rgba(99,102,241,.3); box-shadow:0 8px 32px rgba(0,0,0,.3);
+        font:13px/1.4 system-ui,-apple-system,sans-serif;
+      }
+      #edit-page-panel .edit-page-group { margin:14px 0 6px; font-weight:600; color:rgba(255,255,255,.85); }
+      #edit-page-panel .edit-page-field { display:block; margin-bottom:8px; font-size:11px; color:rgba(255,255,255,.6); }
+      #edit-page-panel code { color:rgba(255,255,255,.4); }
+      #edit-page-panel input, #edit-page-panel textarea {
+        display:block; width:100%; box-sizing:border-box; margin-top:4px; padding:6px 8px; border-radius:6px;
+        border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.06); color:#fff;
+        font:13px system-ui,-apple-system,sans-serif;
+      }
+      #edit-page-panel textarea[data-edit-jsonld] { font:12px/1.4 ui-monospace,SFMono-Regular,Menlo,monospace; }
+      #edit-page-panel .edit-page-hint { display:block; margin-top:2px; }
+      #edit-page-panel .edit-page-hint[data-state="warning"] { color:#fbbf24; }
+      #edit-page-panel .edit-page-hint[data-state="error"] { color:#f87171; }
+      #edit-page-panel .edit-tool-btn { padding:6px 12px; }
+      #edit-page-panel [data-edit-page="apply"] { background:linear-gradient(135deg,#6366f1,#4f46e5); border:none; color:#fff; }
+      #edit-page-panel .edit-page-search, #edit-page-panel .edit-page-card {
+        margin-bottom:8px; padding:10px; border-radius:8px; background:#fff; color:#4d5156;
+        font:13px/1.4 arial,sans-serif; word-break:break-word;
+      }
+      #edit-page-panel .edit-page-url { font-size:12px; color:#5f6368; }
+      #edit-page-panel .edit-page-search .edit-page-title { font-size:18px; color:#1a0dab; }
+      #edit-page-panel .edit-page-card { display:flex; gap:10px; padding:0; overflow:hidden; border:1px solid #dadde1; }
+      #edit-page-panel .edit-page-card > div { padding:10px; min-width:0; }
+      #edit-page-panel .edit-page-card .edit-page-title { font-weight:600; color:#1d2129; }
+      #edit-page-panel .edit-page-card img { width:96px; height:96px; object-fit:cover; flex:none; }
+      #edit-page-panel .edit-page-card-large { display:block; }
+      #edit-page-panel .edit-page-card-large img { display:block; width:100%; height:auto; aspect-ratio:1.91/1; }
+      #edit-save-target {
+        background:rgba(255,255,255,.08); color:#fff; border:1px solid rgba(255,255,255,.1);
+        padding:7px 8px; border-radius:10px; font:13px system-ui,-apple-system,sans-serif;
+      }
+      #edit-save-target option { color:#1a1a2e; }
+      #edit-save-btn:disabled { opacity:.6; cursor:progress; }
+      #edit-save-status { font-size:12px; color:rgba(255,255,255,.6); max-width:260px; overflow:hidden; text-overflow:ellipsis; }
+      #edit-save-status:empty { display:none; }
+      #edit-save-status[data-state="ok"] { color:#4ade80; }
+      #edit-save-status[data-state="error"] { color:#f87171; white-space:normal; }
+      .${INVALID_CLASS}, .${INVALID_CLASS}:hover, .${INVALID_CLASS}:focus { outline: 2px solid rgba(239,68,68,.8) !important; }
+      #edit-constraint-hint {
+        position:fixed; z-index:100000; display:none; padding:3px 8px; border-radius:6px; pointer-events:none;
+        background:#1a1a2e; color:rgba(255,255,255,.8); font:12px system-ui,-apple-system,sans-serif;
+      }
+      #edit-constraint-hint[data-state="error"] { background:#7f1d1d; color:#fff; }
+      .${UNTRANSLATED_CLASS} { outline: 1px dashed rgba(251,191,36,.9) !important; }
+      .${RUNTIME_CLASS}, .${RUNTIME_CLASS}:hover { outline: 1px dotted rgba(148,163,184,.9) !important; }
+      #edit-source-hint {
+        position:fixed; z-index:100000; display:none; max-width:420px; padding:4px 8px; border-radius:6px; pointer-events:none;
+        background:#1a1a2e; color:rgba(255,255,255,.75); font:12px system-ui,-apple-system,sans-serif;
+        border:1px solid rgba(251,191,36,.4);
+      }
+      #edit-attr-popover {
+        position:fixed; z-index:100000; width:300px; padding:14px; border-radius:12px;
+        background:#1a1a2e; border:1px solid rgba(99,102,241,.3); box-shadow:0 8px 32px rgba(0,0,0,.3);
+        font-family:system-ui,-apple-system,sans-serif;
+      }
+      #edit-attr-popover input, #edit-attr-popover textarea {
+        display:block; width:100%; box-sizing:border-box; margin-top:4px; padding:6px 8px; border-radius:6px;
+        border:1px solid rgba(255,255,255,.15); background:rgba(255,255,255,.06); color:#fff;
+        font:13px system-ui,-apple-system,sans-serif;
+      }
+      #edit-attr-popover button {
+        background:rgba(255,255,255,.08); color:#fff; border:1px solid rgba(255,255,255,.1);
+        padding:6px 12px; border-radius:8px; cursor:pointer; font:13px system-ui,-apple-system,sans-serif;
+      }
+      #edit-attr-popover [data-edit-popover="apply"] { background:linear-gradient(135deg,#6366f1,#4f46e5); border:none; }
+      #edit-format-btn[aria-pressed="true"], #edit-suggest-btn[aria-pressed="true"] { background:rgba(99,102,241,.35); color:#fff; }
+      .${SUGGESTED_CLASS} { box-shadow: inset 0 -2px 0 rgba(34,197,94,.8) !important; background: rgba(34,197,94,.08) !important; }
+      .${COMMENTED_CLASS} { outline: 1px dotted rgba(56,189,248,.9) !important; outline-offset: 2px; }
+      .edit-picking, .edit-picking * { cursor: crosshair !important; }
+      #edit-collab-layer { position:absolute; left:0; top:0; width:0; height:0; z-index:99998; pointer-events:none; }
+      #edit-collab-layer > div { position:absolute; box-sizing:border-box; }
+      #edit-collab-layer .edit-collab-lock { border:2px solid var(--edit-peer-color); border-radius:4px; }
+      #edit-collab-layer .edit-collab-lock span {
+        position:absolute; left:-2px; bottom:100%; padding:1px 6px; border-radius:4px 4px 4px 0; white-space:nowrap;
+        background:var(--edit-peer-color); color:#fff; font:600 11px system-ui,-apple-system,sans-serif;
+      }
+      #edit-collab-layer .edit-collab-selection { background:var(--edit-peer-color); opacity:.3; }
+      #edit-collab-status { display:flex; align-items:center; gap:4px; font-size:12px; color:rgba(255,255,255,.6); }
+      #edit-collab-status[data-state="live"] { color:#4ade80; }
+      #edit-collab-status .edit-collab-peer {
+        display:inline-flex; align-items:center; justify-content:center; width:20px; height:20px; border-radius:50%;
+        color:#fff; font-size:11px; font-weight:600;
+      }
+      .edit-icon-btn {
+        background:rgba(255,255,255,.08); color:#fff; border:1px solid rgba(255,255,255,.1);
+        width:32px; height:32px; border-radius:8px; cursor:pointer; font-size:13px; font-family:inherit;
+      }
+      .edit-icon-btn:hover:not(:disabled) { background:rgba(255,255,255,.18); }
+      #edit-repeat-controls {
+        position:fixed; z-index:100000; display:none; gap:2px; padding:3px; border-radius:10px;
+        background:#1a1a2e; border:1px solid rgba(99,102,241,.3); box-shadow:0 4px 16px rgba(0,0,0,.3);
+      }
+      #edit-repeat-controls .edit-icon-btn { width:26px; height:26px; font-size:12px; }
+      .${REPEAT_ACTIVE_CLASS} { outline: 1px dashed rgba(99,102,241,.6) !important; outline-offset: 2px; }
+      .${IMAGE_DROP_CLASS} { outline: 3px dashed rgba(34,197,94,.9) !important; outline-offset: -3px; }
+      .edit-visually-hidden {
+        position:absolute !important; width:1px; height:1px; padding:0; margin:-1px;
+        overflow:hidden; clip:rect(0,0,0,0); white-space:nowrap; border:0;
+      }
+      .${A11Y_CLASS} { outline: 2px dotted rgba(249,115,22,.9) !important; outline-offset: 2px; }
+      .${KEYBOARD_CLASS} .${EDIT_CLASS} { outline: 1px dashed rgba(99,102,241,.4) !important; }
+      #${TOOLBAR_ID} button:focus-visible, #${TOOLBAR_ID} select:focus-visible,
+      #edit-confirm button:focus-visible { outline: 2px solid #facc15; outline-offset: 2px; }
+      #edit-confirm {
+        position:fixed; inset:0; z-index:100002; display:flex; align-items:center; justify-content:center;
+        background:rgba(0,0,0,.45); font-family:system-ui,-apple-system,sans-serif;
+      }
+      #edit-confirm > div {
+        background:#1a1a2e; color:#fff; border:1px solid rgba(99,102,241,.3); border-radius:12px;
+        padding:18px 20px; max-width:420px; box-shadow:0 8px 32px rgba(0,0,0,.4); font-size:13px;
+      }
+      #edit-confirm p { margin:0 0 14px; white-space:pre-line; line-height:1.5; }
+      #edit-confirm .edit-confirm-actions { display:flex; gap:8px; justify-content:flex-end; }
     `;
     document.head.appendChild(styleEl);
   }
 
   // ── Fetch original source ───────────────────────────────
 
-  function fetchOriginalSource() {
-    const loc = window.location;
+  /**
+   * Load the source of the page at `loc` (the page or a frame's page).
+   */
+  function fetchSourceText(loc, onText) {
     const cleanURL = loc.href.replace(/#.*$/, '').replace(/\?.*$/, '');
 
     if (loc.protocol === 'file:') {
@@ -516,38 +6983,140 @@
       xhr.open('GET', cleanURL, true);
       xhr.responseType = 'text';
       xhr.onload = function () {
-        if (xhr.status === 0 || xhr.status === 200) {
-          originalHTML = xhr.responseText;
-        }
+        if (xhr.status === 0 || xhr.status === 200) onText(xhr.responseText);
       };
       xhr.send();
     } else {
       fetch(loc.pathname + loc.search, { cache: 'no-store' })
         .then(r => r.text())
-        .then(text => { originalHTML = text; })
+        .then(onText)
         .catch(() => {});
     }
   }
 
+  function fetchOriginalSource(onLoaded) {
+    const done = typeof onLoaded === 'function' ? onLoaded : onSourceLoaded;
+    fetchSourceText(window.location, text => {
+      originalHTML = text;
+      done(text);
+    });
+  }
+
+  function onSourceLoaded() {
+    if (!editActive) return;
+    updateRuntimeState();
+    checkForDraft();
+    connectCollab();
+  }
+
+  // ── Public API ──────────────────────────────────────────
+
+  /**
+   * Call the handlers for `type` with an event object. Handlers can call
+   * event.preventDefault(); a throwing handler does not break edit mode.
+   */
+  function emitEvent(type, detail) {
+    const event = Object.assign({ type, defaultPrevented: false }, detail);
+    event.preventDefault = () => { event.defaultPrevented = true; };
+    eventHandlers[type].slice().forEach(handler => {
+      try {
+        handler(event);
+      } catch (err) {
+        console.error('[edit-mode] ' + type + ' handler failed', err);
+      }
+    });
+    return event;
+  }
+
+  function onEvent(type, handler) {
+    if (!eventHandlers[type]) throw new Error('Unknown edit-mode event: ' + type);
+    if (typeof handler === 'function') eventHandlers[type].push(handler);
+    return () => offEvent(type, handler);
+  }
+
+  function offEvent(type, handler) {
+    const handlers = eventHandlers[type];
+    if (!handlers) return;
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+  }
+
+  window.EditMode = {
+    config: Object.freeze(Object.assign({}, config, { shortcut: config.shortcut.slice() })),
+    enable: () => enableEdit(),
+    disable: () => disableEdit(),
+    isActive: () => editActive,
+    save: () => saveFile(),
+    publish: options => publish(options),
+    checkAccessibility: () => (editActive ? checkAccessibility().map(issue => ({ element: issue.el, problem: issue.problem })) : []),
+    getEdits: () => (editActive ? collectEdits().map(serializeEdit) : []),
+    getReview: () => (editActive ? buildReview() : null),
+    validate: () => (editActive ? getConstraintViolations().map(v => ({ element: v.el, problems: v.problems })) : []),
+    on: onEvent,
+    off: offEvent,
+    registerSaveAdapter
+  };
+
   // ── Init ────────────────────────────────────────────────
 
   fetchOriginalSource();
+  if (config.sourcePage) loadSourceLanguage();
+
+  function handleShortcutKeydown(e) {
+    // The default list includes Ctrl/Cmd+Shift+E as a fallback in browsers that reserve Ctrl/Cmd+E.
+    if (config.shortcut.some(combo => matchesShortcut(e, combo))) {
+      e.preventDefault();
+      editActive ? disableEdit() : enableEdit();
+    }
+  }
+
+  /**
+   * Listeners for typing, history, constraints, attribute editing and item
+   * controls, on the page and on each same-origin frame document (events
+   * do not leave a frame). Shadow roots need none: these events are
+   * composed.
+   */
+  function listenForEditing(doc) {
+    if (listenedDocuments.has(doc)) return;
+    listenedDocuments.add(doc);
+    doc.addEventListener('keydown', handleShortcutKeydown);
+    doc.addEventListener('keydown', handleA11yKeydown);
+    doc.addEventListener('keydown', handleHistoryKeydown);
+    doc.addEventListener('beforeinput', handleHistoryBeforeInput);
+    doc.addEventListener('input', handleHistoryInput);
+    doc.addEventListener('focusin', handleHistoryFocus);
+    doc.addEventListener('beforeinput', handleConstraintBeforeInput);
+    doc.addEventListener('input', handleConstraintInput);
+    doc.addEventListener('focusin', handleConstraintFocus);
+    doc.addEventListener('focusout', handleConstraintBlur);
+    doc.addEventListener('paste', handlePaste);
+    doc.addEventListener('click', handleAttrClick);
+    doc.addEventListener('dragover', handleImageDragOver);
+    doc.addEventListener('dragleave', handleImageDragLeave);
+    doc.addEventListener('drop', handleImageDrop);
+    doc.addEventListener('mouseover', handleRepeatHover);
+    doc.addEventListener('focusin', handleRepeatHover);
+  }
 
   function initWhenDOMReady() {
     injectStyles();
     ensureToolbar();
 
-    document.addEventListener('keydown', (e) => {
-      const key = (e.key || '').toLowerCase();
-      const isToggleCombo =
-        (e.ctrlKey || e.metaKey) && (key === 'e' || e.code === 'KeyE');
-
-      // Also support Ctrl/Cmd+Shift+E as a fallback in browsers that reserve Ctrl/Cmd+E.
-      if (isToggleCombo) {
-        e.preventDefault();
-        editActive ? disableEdit() : enableEdit();
-      }
+    listenForEditing(document);
+    document.addEventListener('keydown', handleFormatKeydown);
+    document.addEventListener('focusin', handleSourceHintFocus);
+    document.addEventListener('focusout', e => {
+      if (!e.relatedTarget || !getEditableHost(e.relatedTarget)) hideSourceHint();
     });
+    window.addEventListener('pagehide', autosaveNow);
+    document.addEventListener('mousedown', handleKeyboardPointer, true);
+    document.addEventListener('click', handleCommentPick, true);
+    document.addEventListener('focusin', handleCollabFocus);
+    document.addEventListener('focusout', handleCollabBlur);
+    document.addEventListener('selectionchange', handleCollabSelection);
+    window.addEventListener('resize', renderCollabLayer);
+    window.addEventListener('scroll', positionRepeatControls, true);
+    document.addEventListener('keydown', handleCommentPick);
 
     window.addEventListener('hashchange', () => {
       if (urlWantsEditMode()) {
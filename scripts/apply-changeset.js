@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { applyEditsToSource, hashString, splitBOM } = require('./lib/source-patch');
+
+const CHANGESET_FORMAT = 'edit-mode-changeset';
+
+function printUsage() {
+  console.error(
+    'Usage: node scripts/apply-changeset.js ' +
+    '--changes <changes.json> --html <page.html> --out <patched.html> [--force]'
+  );
+}
+
+function parseArgs(argv) {
+  const args = { force: false };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (key === '--force') {
+      args.force = true;
+      continue;
+    }
+
+    const value = argv[i + 1];
+    if (!key.startsWith('--')) continue;
+    if (!value || value.startsWith('--')) {
+      throw new Error('Missing value for argument: ' + key);
+    }
+    args[key.slice(2)] = value;
+    i += 1;
+  }
+
+  if (!args.changes || !args.html || !args.out) {
+    printUsage();
+    process.exit(1);
+  }
+
+  return args;
+}
+
+function readChangeSet(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!data || data.format !== CHANGESET_FORMAT || !Array.isArray(data.edits)) {
+    throw new Error('Not an edit-mode change set: ' + filePath);
+  }
+  return data;
+}
+
+function main() {
+  const { changes, html, out, force } = parseArgs(process.argv);
+
+  const changesPath = path.resolve(process.cwd(), changes);
+  const htmlPath = path.resolve(process.cwd(), html);
+  const outPath = path.resolve(process.cwd(), out);
+
+  const changeSet = readChangeSet(changesPath);
+  const { bom, html: source } = splitBOM(fs.readFileSync(htmlPath, 'utf8'));
+  const hashMatches = changeSet.sourceHash === hashString(source);
+
+  if (!hashMatches && !force) {
+    console.error(
+      'The HTML file differs from the source the change set was made against. ' +
+      'Re-run with --force to apply the changes by matching text instead.'
+    );
+    process.exit(3);
+  }
+
+  // Anchors are source offsets and only valid for the exact source they were taken from.
+  const edits = hashMatches
+    ? changeSet.edits
+    : changeSet.edits.map(edit => Object.assign({}, edit, { anchor: null }));
+
+  const patched = applyEditsToSource(source, edits);
+  fs.writeFileSync(outPath, bom + patched.html, 'utf8');
+
+  console.log('Change set edits:', edits.length);
+  console.log('Source matches change set:', hashMatches ? 'yes' : 'no (matched by text)');
+  console.log('Applied edits:', patched.appliedCount);
+  console.log('Wrote patched file:', outPath);
+
+  if (patched.unmatchedEdits.length > 0) {
+    console.error('Warning: some edits could not be applied:');
+    patched.unmatchedEdits.forEach(item => {
+      console.error('  #' + item.index + ': ' + JSON.stringify(item.oldText) + ' -> ' + JSON.stringify(item.newText));
+    });
+    process.exitCode = 2;
+  }
+}
+
+main();
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+'use strict';
+
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { acceptUpgrade } = require('./lib/websocket');
+
+const MAX_ROOM_CLIENTS = 50;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+function printUsage() {
+  console.error('Usage: node scripts/collab-relay.js [--port <port>] [--host <host>] [--origin <origin>[,<origin>...]]');
+}
+
+function parseArgs(argv) {
+  const args = { port: '8090', host: '127.0.0.1' };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (key === '--help') {
+      printUsage();
+      process.exit(0);
+    }
+
+    const value = argv[i + 1];
+    if (!key.startsWith('--')) continue;
+    if (!value || value.startsWith('--')) {
+      throw new Error('Missing value for argument: ' + key);
+    }
+    args[key.slice(2)] = value;
+    i += 1;
+  }
+
+  const port = Number.parseInt(args.port, 10);
+  if (!Number.isFinite(port) || port < 0 || port > 65535) {
+    printUsage();
+    process.exit(1);
+  }
+  const origins = (args.origin || '').split(',').map(origin => origin.trim()).filter(Boolean).map(origin => {
+    try {
+      return new URL(origin).origin;
+    } catch (_) {
+      throw new Error('Invalid origin: ' + origin);
+    }
+  });
+  return { port, host: args.host, origins };
+}
+
+/**
+ * Whether the page opening a connection may join: one of the --origin
+ * pages, or by default a page served from the relay's own host (loopback
+ * names stand for each other). Clients other than browsers send no Origin.
+ */
+function isAllowedOrigin(options, req) {
+  const origin = req.headers.origin;
+  if (origin === undefined) return true;
+  let url;
+  try {
+    url = new URL(origin);
+  } catch (_) {
+    return false;
+  }
+  if (options.origins.length > 0) return options.origins.includes(url.origin);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+  const listen = options.host.includes(':') ? '[' + options.host.toLowerCase() + ']' : options.host.toLowerCase();
+  if (listen === '0.0.0.0' || listen === '[::]') {
+    try {
+      return url.hostname === new URL('http://' + req.headers.host).hostname;
+    } catch (_) {
+      return false;
+    }
+  }
+  return (LOOPBACK_HOSTS.includes(listen) ? LOOPBACK_HOSTS : [listen]).includes(url.hostname);
+}
+
+/**
+ * A room is one page (by URL). Element keys are anchors into one version
+ * of its source, so the relay keeps, per source hash, the latest state of
+ * every element key with a sequence number, and per-element locks. Each
+ * client edits one version; a save in place moves clients to a new one.
+ */
+function createRoom(name) {
+  return { name, clients: new Set(), versions: new Map() };
+}
+
+function getVersion(room, sourceHash) {
+  let version = room.versions.get(sourceHash);
+  if (!version) {
+    version = { states: new Map(), locks: new Map() };
+    room.versions.set(sourceHash, version);
+  }
+  return version;
+}
+
+function dropUnusedVersion(room, sourceHash) {
+  if (!Array.from(room.clients).some(client => client.sourceHash === sourceHash)) room.versions.delete(sourceHash);
+}
+
+/**
+ * Send to everyone in the room but `except`; with `sourceHash`, only to
+ * those editing that version.
+ */
+function broadcast(room, message, except, sourceHash) {
+  const text = JSON.stringify(message);
+  room.clients.forEach(client => {
+    if (client !== except && (!sourceHash || client.sourceHash === sourceHash)) client.connection.send(text);
+  });
+}
+
+function reply(client, message) {
+  client.connection.send(JSON.stringify(message));
+}
+
+/**
+ * The relay names every connection itself: ordering trusts the id of the
+ * writer, so a client must not be able to take a peer's.
+ */
+function describeUser(data) {
+  const user = data && typeof data === 'object' ? data : {};
+  return {
+    id: crypto.randomUUID(),
+    name: String(user.name || 'Guest').slice(0, 60),
+    color: /^#[0-9a-f]{6}$/i.test(user.color) ? user.color : '#6366f1'
+  };
+}
+
+function handleHello(rooms, client, data) {
+  const name = String(data.room || '');
+  if (!name || !data.sourceHash) {
+    reply(client, { type: 'error', code: 'bad-hello', message: 'Missing room or source hash.' });
+    client.connection.close(1008, 'Bad hello');
+    return;
+  }
+
+  let room = rooms.get(name);
+  if (!room) {
+    room = createRoom(name);
+    rooms.set(name, room);
+  }
+  if (room.clients.size > 0 && !room.versions.has(data.sourceHash)) {
+    reply(client, {
+      type: 'error',
+      code: 'source-mismatch',
+      message: 'Others in this room are editing a different version of the page. Reload the page to join them.'
+    });
+    client.connection.close(1008, 'Source mismatch');
+    return;
+  }
+  if (room.clients.size >= MAX_ROOM_CLIENTS) {
+    reply(client, { type: 'error', code: 'room-full', message: 'The room is full.' });
+    client.connection.close(1008, 'Room full');
+    return;
+  }
+
+  client.user = describeUser(data.user);
+  client.room = room;
+  client.sourceHash = data.sourceHash;
+  room.clients.add(client);
+  const version = getVersion(room, client.sourceHash);
+
+  reply(client, {
+    type: 'welcome',
+    user: client.user,
+    peers: Array.from(room.clients).filter(other => other !== client).map(other => other.user),
+    states: Array.from(version.states, ([key, entry]) => Object.assign({ key }, entry)),
+    locks: Array.from(version.locks, ([key, owner]) => ({ key, user: owner.user.id }))
+  });
+  broadcast(room, { type: 'join', user: client.user }, client);
+  console.log(client.user.name + ' joined ' + room.name + ' (' + room.clients.size + ' editing)');
+}
+
+/**
+ * A client sends the whole state of one element. It is accepted when the
+ * client saw the latest state of that element (`baseSeq`) or wrote it, and
+ * nobody else holds the element's lock; otherwise the client gets the
+ * current state back and must adopt it.
+ */
+function handleState(room, client, data) {
+  const key = String(data.key || '');
+  if (!key) return;
+  const version = room.versions.get(client.sourceHash);
+  const current = version.states.get(key) || null;
+  const owner = version.locks.get(key);
+  const seq = current ? current.seq : 0;
+  const upToDate = data.baseSeq === seq || (current && current.user === client.user.id);
+
+  if ((owner && owner !== client) || !upToDate) {
+    reply(client, { type: 'reject', key, current, lockedBy: owner ? owner.user.id : null });
+    return;
+  }
+
+  const entry = { state: data.state, seq: seq + 1, user: client.user.id };
+  version.states.set(key, entry);
+  reply(client, { type: 'ack', key, seq: entry.seq });
+  broadcast(room, Object.assign({ type: 'state', key }, entry), client, client.sourceHash);
+}
+
+function handleLock(room, client, data) {
+  const key = String(data.key || '');
+  if (!key) return;
+  const locks = room.versions.get(client.sourceHash).locks;
+  const owner = locks.get(key);
+  if (owner && owner !== client) {
+    reply(client, { type: 'lockDenied', key, user: owner.user.id });
+    return;
+  }
+  locks.set(key, client);
+  broadcast(room, { type: 'lock', key, user: client.user.id }, client, client.sourceHash);
+}
+
+function releaseLock(room, client, key) {
+  const locks = room.versions.get(client.sourceHash).locks;
+  if (locks.get(key) !== client) return;
+  locks.delete(key);
+  broadcast(room, { type: 'unlock', key, user: client.user.id }, client, client.sourceHash);
+}
+
+function releaseLocks(room, client) {
+  Array.from(room.versions.get(client.sourceHash).locks.keys()).forEach(key => releaseLock(room, client, key));
+}
+
+/**
+ * A client saved in place, or followed a peer who did. Only the sender
+ * moves to the new version: the others are told, check the saved source
+ * against the hash themselves and send their own rebase when it matches,
+ * so a client cannot wipe the states and locks of the others.
+ */
+function handleRebase(room, client, data) {
+  const sourceHash = String(data.sourceHash);
+  const previous = client.sourceHash;
+  if (sourceHash === previous) return;
+  releaseLocks(room, client);
+  client.sourceHash = sourceHash;
+  getVersion(room, sourceHash);
+  dropUnusedVersion(room, previous);
+  broadcast(room, { type: 'rebased', sourceHash, user: client.user.id }, client, previous);
+}
+
+function handleMessage(rooms, client, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    return;
+  }
+  if (!data || typeof data !== 'object') return;
+
+  if (!client.room) {
+    if (data.type === 'hello') handleHello(rooms, client, data);
+    return;
+  }
+
+  const room = client.room;
+  if (data.type === 'state') {
+    handleState(room, client, data);
+  } else if (data.type === 'lock') {
+    handleLock(room, client, data);
+  } else if (data.type === 'unlock') {
+    releaseLock(room, client, String(data.key || ''));
+  } else if (data.type === 'selection') {
+    broadcast(room, { type: 'selection', key: data.key || null, start: data.start, end: data.end, user: client.user.id }, client, client.sourceHash);
+  } else if (data.type === 'rebase' && data.sourceHash) {
+    handleRebase(room, client, data);
+  }
+}
+
+function handleClose(rooms, client) {
+  const room = client.room;
+  if (!room) return;
+  releaseLocks(room, client);
+  room.clients.delete(client);
+  dropUnusedVersion(room, client.sourceHash);
+  broadcast(room, { type: 'leave', user: client.user.id });
+  console.log(client.user.name + ' left ' + room.name + ' (' + room.clients.size + ' editing)');
+  if (room.clients.size === 0) rooms.delete(room.name);
+}
+
+function createRelay(options) {
+  const rooms = new Map();
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+    res.end('edit-mode collaboration relay: connect with a WebSocket.\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    // A reset before or during the handshake must not take the relay down.
+    socket.on('error', () => socket.destroy());
+    if (!isAllowedOrigin(options, req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    const connection = acceptUpgrade(req, socket);
+    if (!connection) return;
+    const client = { connection, user: null, room: null, sourceHash: null };
+    connection.on('message', text => handleMessage(rooms, client, text));
+    connection.on('close', () => handleClose(rooms, client));
+    connection.on('error', err => console.error('Connection error: ' + err.message));
+  });
+  return server;
+}
+
+function main() {
+  const options = parseArgs(process.argv);
+  const server = createRelay(options);
+  server.listen(options.port, options.host, () => {
+    const address = server.address();
+    console.log('Collaboration relay at ws://' + options.host + ':' + address.port + '/');
+  });
+}
+
+main();
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * HTML character references for the Node scripts.
+ *
+ * edit-mode.js lets the browser decode references; here we carry the full
+ * HTML5 named set and decode text the way the HTML parser does, including
+ * numeric references and the legacy names (`&amp`, `&copy`) written
+ * without their semicolon. Unknown names stay as written.
+ */
+
+const { LEGACY_NAMES, NAMED_REFERENCES } = require('./entity-table');
+
+// Numeric references to C1 controls mean Windows-1252 characters.
+const WINDOWS_1252 = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc,
+  0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+const NAMED_ENTITIES = buildNamedEntities();
+const LEGACY_MAX_LENGTH = Math.max(...LEGACY_NAMES.map(name => name.length));
+
+/**
+ * References the scripts treat as one unit when mapping decoded text back
+ * to the source: numeric ones and names with a trailing semicolon, matching
+ * ENTITY_PATTERN in edit-mode.js. As in the browser, text using a legacy
+ * reference is matched by anchor only; without one the edit is unmatched.
+ */
+const ENTITY_PATTERN = /&(?:#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi;
+
+// Everything the parser may decode in text, semicolon or not.
+const REFERENCE_PATTERN = /&(?:#(?:[0-9]+|x[0-9a-f]+);?|[a-z][a-z0-9]*;?)/gi;
+
+function buildNamedEntities() {
+  const map = Object.create(null);
+  Object.keys(NAMED_REFERENCES).forEach(name => {
+    const value = NAMED_REFERENCES[name];
+    map[name] = Array.isArray(value) ? String.fromCodePoint(...value) : String.fromCodePoint(value);
+  });
+  return map;
+}
+
+function decodeNumeric(code) {
+  if (!Number.isFinite(code) || code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\uFFFD';
+  return String.fromCodePoint(WINDOWS_1252[code] || code);
+}
+
+/**
+ * Decode one reference as matched by ENTITY_PATTERN or REFERENCE_PATTERN.
+ * A name without its semicolon decodes only through its longest legacy
+ * prefix (`&copyright` is "\u00a9right"), as in the HTML parser.
+ */
+function decodeEntity(ref) {
+  if (ref.charAt(1) === '#') {
+    const hex = ref.charAt(2) === 'x' || ref.charAt(2) === 'X';
+    const digits = ref.slice(hex ? 3 : 2).replace(/;$/, '');
+    return decodeNumeric(Number.parseInt(digits, hex ? 16 : 10));
+  }
+  const terminated = ref.endsWith(';');
+  const name = ref.slice(1, terminated ? -1 : ref.length);
+  if (terminated && name in NAMED_ENTITIES) return NAMED_ENTITIES[name];
+  for (let length = Math.min(name.length, LEGACY_MAX_LENGTH); length > 1; length -= 1) {
+    const prefix = name.slice(0, length);
+    if (LEGACY_NAMES.includes(prefix)) return NAMED_ENTITIES[prefix] + ref.slice(1 + length);
+  }
+  return ref;
+}
+
+function decodeEntities(text) {
+  const str = String(text);
+  if (str.indexOf('&') === -1) return str;
+  return str.replace(new RegExp(REFERENCE_PATTERN.source, 'gi'), decodeEntity);
+}
+
+/**
+ * Escape text for element content. Non-breaking spaces are written as
+ * &nbsp; so they stay visible in the source.
+ */
+function escapeHTMLText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+module.exports = {
+  ENTITY_PATTERN,
+  decodeEntities,
+  decodeEntity,
+  escapeHTMLText
+};
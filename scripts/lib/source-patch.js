@@ -0,0 +1,524 @@
+'use strict';
+
+/**
+ * Source patching shared by the Node scripts.
+ *
+ * This mirrors the patcher in edit-mode.js so that a change set exported in
+ * the browser is applied the same way on disk: anchored edits replace their
+ * exact source range, unanchored text edits fall back to a whitespace-tolerant
+ * search in source order. Keep both in sync.
+ */
+
+const { ENTITY_PATTERN, decodeEntities, escapeHTMLText } = require('./entities');
+const { linkSourceTree, tokenizeSource, trimRange } = require('./source-tree');
+
+const JSON_LD_TYPE = 'application/ld+json';
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getBodyContentStartIndex(html) {
+  const bodyOpen = html.match(/<body\b[^>]*>/i);
+  if (!bodyOpen || bodyOpen.index == null) return 0;
+  return bodyOpen.index + bodyOpen[0].length;
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeHTMLAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Fast 53-bit string hash (cyrb53), identical to the one in edit-mode.js.
+ */
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i += 1) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Split off a UTF-8 byte order mark. Browsers drop it when reading the page,
+ * so anchors and hashes from edit-mode.js are relative to the text after it.
+ */
+function splitBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? { bom: '\uFEFF', html: text.slice(1) } : { bom: '', html: text };
+}
+
+/**
+ * Parse the attributes of the tag starting at `start` with absolute value
+ * offsets (without quotes) and decoded values.
+ */
+function parseTagAttributes(html, start, end) {
+  const attrs = [];
+  const raw = html.slice(start, end);
+  const nameMatch = raw.match(/^<[^\s/>]+/);
+  const regex = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  regex.lastIndex = nameMatch ? nameMatch[0].length : 1;
+
+  let match;
+  while ((match = regex.exec(raw)) !== null) {
+    const quote = match[2] != null ? '"' : match[3] != null ? "'" : '';
+    const value = match[2] != null ? match[2] : match[3] != null ? match[3] : match[4];
+    const attrStart = start + match.index;
+    const attr = { name: match[1].toLowerCase(), quote, value: null, start: attrStart, end: attrStart + match[0].length, valueStart: -1, valueEnd: -1 };
+    if (value != null) {
+      const valueEnd = start + match.index + match[0].length - quote.length;
+      attr.valueStart = valueEnd - value.length;
+      attr.valueEnd = valueEnd;
+      attr.value = decodeEntities(value);
+    }
+    attrs.push(attr);
+  }
+  return attrs;
+}
+
+function rangesOverlap(ranges, start, end) {
+  return ranges.some(range => start < range.end && end > range.start);
+}
+
+/**
+ * The source with character references decoded, plus the source offset of
+ * every decoded character (and one past the end).
+ */
+function getDecodedView(html) {
+  const parts = [];
+  const offsets = [];
+  const regex = new RegExp(ENTITY_PATTERN.source, 'gi');
+  let last = 0;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    for (let i = last; i < match.index; i += 1) offsets.push(i);
+    const decoded = decodeEntities(match[0]);
+    for (let i = 0; i < decoded.length; i += 1) offsets.push(decoded === match[0] ? match.index + i : match.index);
+    parts.push(html.slice(last, match.index), decoded);
+    last = regex.lastIndex;
+  }
+  for (let i = last; i < html.length; i += 1) offsets.push(i);
+  offsets.push(html.length);
+  parts.push(html.slice(last));
+  return { text: parts.join(''), offsets };
+}
+
+function toDecodedIndex(view, sourceIndex) {
+  let lo = 0;
+  let hi = view.offsets.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (view.offsets[mid] < sourceIndex) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function findTextRange(view, html, oldText, cursor, claimed) {
+  const words = oldText.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = words.map(escapeRegex).join('[\\s\\n]+');
+  const bodyStart = getBodyContentStartIndex(html);
+  const starts = cursor > bodyStart ? [cursor, bodyStart] : [bodyStart];
+
+  for (const from of starts) {
+    const regex = new RegExp(pattern, 'g');
+    regex.lastIndex = toDecodedIndex(view, from);
+    let match;
+    while ((match = regex.exec(view.text)) !== null) {
+      const start = view.offsets[match.index];
+      const end = view.offsets[match.index + match[0].length];
+      if (!rangesOverlap(claimed, start, end)) return { start, end, pattern };
+      regex.lastIndex = match.index + 1;
+    }
+  }
+  return { start: -1, end: -1, pattern };
+}
+
+/**
+ * Source text for `newText` replacing the source slice `raw`: unchanged
+ * leading and trailing text keeps its original spelling, only the changed
+ * middle is newly escaped.
+ */
+function encodeTextLike(raw, newText) {
+  const units = [];
+  const pushChars = (from, to) => {
+    for (let i = from; i < to; i += 1) units.push({ raw: raw.charAt(i), text: raw.charAt(i) });
+  };
+  const regex = new RegExp(ENTITY_PATTERN.source, 'gi');
+  let last = 0;
+  let match;
+  while ((match = regex.exec(raw)) !== null) {
+    pushChars(last, match.index);
+    units.push({ raw: match[0], text: decodeEntities(match[0]) });
+    last = regex.lastIndex;
+  }
+  pushChars(last, raw.length);
+
+  let head = 0;
+  let from = 0;
+  while (head < units.length && newText.startsWith(units[head].text, from)) {
+    from += units[head].text.length;
+    head += 1;
+  }
+  let tail = units.length;
+  let to = newText.length;
+  while (tail > head && to - units[tail - 1].text.length >= from && newText.endsWith(units[tail - 1].text, to)) {
+    to -= units[tail - 1].text.length;
+    tail -= 1;
+  }
+  const keep = list => list.map(unit => unit.raw).join('');
+  return keep(units.slice(0, head)) + escapeHTMLText(newText.slice(from, to)) + keep(units.slice(tail));
+}
+
+function sourceSliceText(slice) {
+  return normalizeText(decodeEntities(slice.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]*>/g, '')));
+}
+
+function resolveTextAnchor(html, edit) {
+  const anchor = edit.anchor;
+  if (!anchor || anchor.end > html.length) return null;
+  const raw = html.slice(anchor.start, anchor.end);
+  if (normalizeText(decodeEntities(raw)) !== normalizeText(edit.oldText)) return null;
+  return { start: anchor.start, end: anchor.end, text: encodeTextLike(raw, String(edit.newText)) };
+}
+
+function resolveHTMLEdit(html, edit) {
+  const anchor = edit.anchor;
+  if (!anchor || anchor.end > html.length) return null;
+  const slice = html.slice(anchor.start, anchor.end);
+  if (sourceSliceText(slice) !== normalizeText(edit.oldText)) return null;
+
+  const leading = slice.match(/^\s*/)[0];
+  const trailing = slice.length > leading.length ? slice.match(/\s*$/)[0] : '';
+  return { start: anchor.start, end: anchor.end, text: leading + String(edit.newHTML).trim() + trailing };
+}
+
+/**
+ * Without an anchor, look for the first tag of this name whose attribute
+ * still holds the old value.
+ */
+function findTagByAttribute(html, edit) {
+  const regex = new RegExp('<' + escapeRegex(edit.tag) + '\\b[^>]*>', 'gi');
+  const bodyStart = edit.tag === 'meta' ? 0 : getBodyContentStartIndex(html);
+  regex.lastIndex = bodyStart;
+  let match;
+  while ((match = regex.exec(html)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const attrs = parseTagAttributes(html, start, end);
+    if (edit.tag === 'meta') {
+      const named = attrs.find(attr => attr.name === 'property') || attrs.find(attr => attr.name === 'name');
+      if (!named || String(named.value).toLowerCase() !== (edit.meta || 'description')) continue;
+      return { start, end };
+    }
+    const attr = attrs.find(item => item.name === edit.attr);
+    if ((attr ? attr.value : null) === edit.oldValue) return { start, end };
+  }
+  return null;
+}
+
+/**
+ * The <head> content range and the trimmed content of every JSON-LD
+ * <script>, found with the tokenizer as getHeadAnchors in edit-mode.js
+ * does, so tags inside comments or other raw text do not count.
+ */
+function getHeadAnchors(html) {
+  const tokens = tokenizeSource(html);
+  linkSourceTree(tokens, html.length);
+  const bodyStart = getBodyContentStartIndex(html);
+  const result = { head: null, jsonld: [] };
+
+  tokens.forEach(token => {
+    if (token.type !== 'open') return;
+    if (token.name === 'script' && token.innerEnd != null) {
+      const type = parseTagAttributes(html, token.start, token.end).find(attr => attr.name === 'type');
+      if (!type || String(type.value).trim().toLowerCase() !== JSON_LD_TYPE) return;
+      const range = trimRange(html, token.innerStart, token.innerEnd) || { start: token.innerEnd, end: token.innerEnd };
+      result.jsonld.push({ start: range.start, end: range.end, text: html.slice(range.start, range.end) });
+      return;
+    }
+    if (token.start >= bodyStart) return;
+    if (token.name === 'head') result.head = { start: token.innerStart, end: token.innerEnd };
+  });
+  return result;
+}
+
+/**
+ * The <head> content range a new tag goes into: the one the browser
+ * recorded with the edit (`insertInto`), or for edits without one the
+ * source's own.
+ */
+function getEditHead(html, edit) {
+  if (edit.insertInto && edit.insertInto.end != null) return edit.insertInto.end <= html.length ? edit.insertInto : null;
+  return getHeadAnchors(html).head;
+}
+
+/**
+ * Where to add a tag at the end of <head>: after its last content, on a
+ * new line with the same indentation.
+ */
+function getHeadInsertPoint(html, head) {
+  const at = html.slice(head.start, head.end).replace(/\s*$/, '').length + head.start;
+  const lineStart = html.lastIndexOf('\n', at - 1) + 1;
+  return { at, indent: html.slice(lineStart, at).match(/^[ \t]*/)[0] };
+}
+
+/**
+ * Keep JSON from closing its <script> early (`\/` is a valid JSON escape).
+ */
+function escapeScriptText(text) {
+  return String(text).replace(/<\/(script)/gi, '<\\/$1');
+}
+
+// Open Graph tags are named by `property`, the others by `name`.
+function getMetaNameAttr(key) {
+  return /^og:/.test(key) ? 'property' : 'name';
+}
+
+function resolveAttrEdit(html, edit) {
+  const newValue = edit.newValue == null ? '' : edit.newValue;
+  const anchor = edit.anchor || findTagByAttribute(html, edit);
+
+  if (!anchor) {
+    const head = edit.tag === 'meta' ? getEditHead(html, edit) : null;
+    if (!head) return null;
+    const point = getHeadInsertPoint(html, head);
+    const key = edit.meta || 'description';
+    const tag = '<meta ' + getMetaNameAttr(key) + '="' + escapeHTMLAttr(key) + '" content="' + escapeHTMLAttr(newValue) + '">';
+    return { start: point.at, end: point.at, text: '\n' + point.indent + tag };
+  }
+
+  if (anchor.end > html.length) return null;
+  if (!new RegExp('^<' + escapeRegex(edit.tag) + '\\b', 'i').test(html.slice(anchor.start, anchor.end))) return null;
+
+  const attr = parseTagAttributes(html, anchor.start, anchor.end).find(item => item.name === edit.attr);
+  if (edit.newValue == null && edit.oldValue != null) {
+    // The attribute was removed: cut it with the whitespace before it.
+    if (!attr || (attr.value == null ? '' : attr.value) !== edit.oldValue) return null;
+    return { start: html.slice(0, attr.start).replace(/\s+$/, '').length, end: attr.end, text: '' };
+  }
+  if (!attr) {
+    if (edit.oldValue != null) return null;
+    const closeAt = html.charAt(anchor.end - 2) === '/' ? anchor.end - 2 : anchor.end - 1;
+    const insertAt = html.slice(anchor.start, closeAt).replace(/\s*$/, '').length + anchor.start;
+    return { start: insertAt, end: insertAt, text: ' ' + edit.attr + '="' + escapeHTMLAttr(newValue) + '"' };
+  }
+  if ((attr.value == null ? '' : attr.value) !== (edit.oldValue || '')) return null;
+
+  const quote = attr.quote || '"';
+  const escaped = quote === "'"
+    ? String(newValue).replace(/&/g, '&amp;').replace(/'/g, '&#39;')
+    : escapeHTMLAttr(newValue);
+  if (attr.valueStart < 0) {
+    const nameEnd = attr.start + attr.name.length;
+    return { start: nameEnd, end: nameEnd, text: '=' + quote + escaped + quote };
+  }
+  if (!attr.quote) return { start: attr.valueStart, end: attr.valueEnd, text: '"' + escapeHTMLAttr(newValue) + '"' };
+  return { start: attr.valueStart, end: attr.valueEnd, text: escaped };
+}
+
+function resolveTitleEdit(html, edit) {
+  let anchor = edit.anchor;
+  if (!anchor) {
+    const match = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+    if (!match || match.index == null) return null;
+    const innerStart = match.index + match[0].indexOf('>') + 1;
+    const inner = match[1];
+    const leading = inner.match(/^\s*/)[0].length;
+    const trailing = inner.length > leading ? inner.match(/\s*$/)[0].length : 0;
+    anchor = { start: innerStart + leading, end: innerStart + inner.length - trailing };
+  }
+  return resolveTextAnchor(html, Object.assign({}, edit, { anchor }));
+}
+
+/**
+ * Without an anchor, look for the JSON-LD <script> that still holds the old text.
+ */
+function findJsonLdScript(html, oldText) {
+  return getHeadAnchors(html).jsonld.find(entry => entry.text === oldText) || null;
+}
+
+/**
+ * Resolve a JSON-LD edit to the trimmed content of its <script>, or add
+ * a new block at the end of <head>.
+ */
+function resolveJsonLdEdit(html, edit) {
+  const text = escapeScriptText(String(edit.newText).trim());
+  if (!edit.oldText) {
+    const head = getEditHead(html, edit);
+    if (!head) return null;
+    const point = getHeadInsertPoint(html, head);
+    const tag = '<script type="' + JSON_LD_TYPE + '">\n' + text + '\n' + point.indent + '</script>';
+    return { start: point.at, end: point.at, text: '\n' + point.indent + tag };
+  }
+  const oldText = String(edit.oldText).trim();
+  const anchor = edit.anchor || findJsonLdScript(html, oldText);
+  if (!anchor || anchor.end > html.length) return null;
+  if (html.slice(anchor.start, anchor.end).trim() !== oldText) return null;
+  return { start: anchor.start, end: anchor.end, text };
+}
+
+/**
+ * Rebuild the items of a repeatable block from copies of the source of its
+ * original items, with the edits made inside each item applied to its copy.
+ * Items are joined by the whitespace between the first two originals.
+ */
+function resolveRepeatEdit(html, edit) {
+  const originals = Array.isArray(edit.originals) ? edit.originals : [];
+  if (!edit.anchor || originals.length === 0 || !Array.isArray(edit.items)) return null;
+  for (let i = 0; i < originals.length; i += 1) {
+    const range = originals[i];
+    if (range.end > html.length || sourceSliceText(html.slice(range.start, range.end)) !== normalizeText(range.text)) return null;
+    if (i > 0 && (range.start < originals[i - 1].end || /\S/.test(html.slice(originals[i - 1].end, range.start)))) return null;
+  }
+
+  const first = originals[0];
+  const last = originals[originals.length - 1];
+  let joiner = originals.length > 1 ? html.slice(first.end, originals[1].start) : '';
+  if (originals.length === 1) {
+    const indent = html.slice(html.lastIndexOf('\n', first.start - 1) + 1, first.start);
+    joiner = /\S/.test(indent) ? '' : '\n' + indent;
+  }
+
+  const parts = [];
+  for (const item of edit.items) {
+    const range = originals[item.from];
+    const text = range ? patchSourceSlice(html, range, Array.isArray(item.edits) ? item.edits : []) : null;
+    if (text == null) return null;
+    parts.push(text);
+  }
+  return { start: first.start, end: last.end, text: parts.join(joiner) };
+}
+
+function patchSourceSlice(html, range, edits) {
+  const ranges = [];
+  for (const edit of edits) {
+    const found = resolveAnchoredEdit(html, edit);
+    if (!found || found.start < range.start || found.end > range.end || rangesOverlap(ranges, found.start, found.end)) return null;
+    ranges.push(found);
+  }
+  let text = html.slice(range.start, range.end);
+  ranges.sort((a, b) => b.start - a.start).forEach(found => {
+    text = text.slice(0, found.start - range.start) + found.text + text.slice(found.end - range.start);
+  });
+  return text;
+}
+
+/**
+ * Edits inside a repeatable item are only applied at their anchor.
+ */
+function resolveAnchoredEdit(html, edit) {
+  if (!edit.anchor) return null;
+  const type = edit.type || 'text';
+  if (type === 'text') return resolveTextAnchor(html, edit);
+  if (type === 'html') return resolveHTMLEdit(html, edit);
+  if (type === 'attr') return resolveAttrEdit(html, edit);
+  if (type === 'repeat') return resolveRepeatEdit(html, edit);
+  return null;
+}
+
+/**
+ * Apply edits (as produced by collectEdits in edit-mode.js) to an HTML
+ * source string. Returns { html, appliedCount, unmatchedEdits, applied }
+ * where `applied` lists { index, start, end } source ranges per edit.
+ */
+function applyEditsToSource(html, edits) {
+  const ranges = [];
+  const pending = [];
+  const unmatchedEdits = [];
+  const bodyStart = getBodyContentStartIndex(html);
+  const view = getDecodedView(html);
+
+  function unmatched(edit, idx, pattern) {
+    unmatchedEdits.push({
+      index: idx,
+      oldText: edit.oldText,
+      newText: edit.newText,
+      anchored: !!edit.anchor,
+      bodyMatchCount: pattern ? countMatches(view.text, pattern, toDecodedIndex(view, bodyStart), 25) : 0
+    });
+  }
+
+  edits.forEach((edit, idx) => {
+    const type = edit.type || 'text';
+    if (type === 'html' || type === 'attr' || type === 'title' || type === 'repeat' || type === 'jsonld') {
+      const range = type === 'html' ? resolveHTMLEdit(html, edit)
+        : type === 'attr' ? resolveAttrEdit(html, edit)
+          : type === 'repeat' ? resolveRepeatEdit(html, edit)
+            : type === 'jsonld' ? resolveJsonLdEdit(html, edit)
+              : resolveTitleEdit(html, edit);
+      if (range && !rangesOverlap(ranges, range.start, range.end)) {
+        ranges.push(Object.assign(range, { index: idx }));
+      } else {
+        unmatched(edit, idx, null);
+      }
+      return;
+    }
+    if (edit.oldText == null || edit.newText == null || edit.oldText === edit.newText) return;
+    const range = resolveTextAnchor(html, edit);
+    if (range && !rangesOverlap(ranges, range.start, range.end)) {
+      ranges.push(Object.assign(range, { index: idx }));
+      return;
+    }
+    pending.push({ edit, idx });
+  });
+
+  let cursor = bodyStart;
+  pending.forEach(({ edit, idx }) => {
+    const found = findTextRange(view, html, edit.oldText, cursor, ranges);
+    if (!found) return;
+    if (found.start < 0) {
+      unmatched(edit, idx, found.pattern);
+      return;
+    }
+    const text = encodeTextLike(html.slice(found.start, found.end), String(edit.newText));
+    ranges.push({ start: found.start, end: found.end, text, index: idx });
+    cursor = found.end;
+  });
+
+  // Ties are tags added at the same point: keep them in edit order.
+  let result = html;
+  ranges.slice().reverse().sort((a, b) => b.start - a.start).forEach(range => {
+    result = result.slice(0, range.start) + range.text + result.slice(range.end);
+  });
+
+  return {
+    html: result,
+    appliedCount: ranges.length,
+    unmatchedEdits,
+    applied: ranges.map(range => ({ index: range.index, start: range.start, end: range.end }))
+  };
+}
+
+function countMatches(text, pattern, fromIndex, maxCount) {
+  const regex = new RegExp(pattern, 'g');
+  regex.lastIndex = fromIndex;
+  let count = 0;
+  while (count < maxCount && regex.exec(text)) {
+    count += 1;
+  }
+  return count;
+}
+
+module.exports = {
+  applyEditsToSource,
+  decodeEntities,
+  encodeTextLike,
+  escapeHTMLText,
+  escapeRegex,
+  getBodyContentStartIndex,
+  hashString,
+  normalizeText,
+  parseTagAttributes,
+  splitBOM
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Lenient HTML source tokenizer shared by the Node scripts.
+ *
+ * This mirrors tokenizeSource and linkSourceTree in edit-mode.js, so text
+ * tokens and element ranges found here line up with what the browser sees.
+ * Keep both in sync.
+ */
+
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea', 'title', 'noscript', 'template', 'xmp', 'iframe', 'noembed', 'noframes'];
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+// Opening one of these closes an open <p>, as the HTML parser does.
+const P_CLOSING_TAGS = ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'];
+const IMPLIED_END_TAGS = { li: ['li'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr', 'td', 'th'], td: ['td', 'th'], th: ['td', 'th'], option: ['option'] };
+
+/**
+ * Find the index just past the closing '>' of the tag starting at `start`.
+ */
+function findTagEnd(html, start) {
+  let quote = null;
+  let prev = '';
+  for (let i = start + 1; i < html.length; i += 1) {
+    const c = html.charAt(i);
+    if (quote) {
+      if (c === quote) quote = null;
+      continue;
+    }
+    if ((c === '"' || c === "'") && prev === '=') {
+      quote = c;
+      continue;
+    }
+    if (c === '>') return i + 1;
+    if (!/\s/.test(c)) prev = c;
+  }
+  return html.length;
+}
+
+/**
+ * A declarative shadow root (<template shadowrootmode="open">) holds the
+ * markup of the shadow tree, not raw text.
+ */
+function isShadowRootTemplate(html, token) {
+  return token.name === 'template' && /\sshadowroot(?:mode)?\s*=/i.test(html.slice(token.start, token.end));
+}
+
+/**
+ * Split an HTML string into text, open/close tag, comment, declaration and
+ * raw-text tokens with their source offsets.
+ */
+function tokenizeSource(html) {
+  const tokens = [];
+  const len = html.length;
+  let pos = 0;
+  let textStart = 0;
+
+  function pushText(end) {
+    if (end > textStart) tokens.push({ type: 'text', start: textStart, end, raw: html.slice(textStart, end) });
+  }
+
+  while (pos < len) {
+    const lt = html.indexOf('<', pos);
+    if (lt === -1) break;
+    const next = html.charAt(lt + 1);
+    let token = null;
+
+    if (html.startsWith('<!--', lt)) {
+      const close = html.indexOf('-->', lt + 4);
+      token = { type: 'comment', start: lt, end: close === -1 ? len : close + 3 };
+    } else if (next === '!' || next === '?') {
+      const close = html.indexOf('>', lt);
+      token = { type: 'declaration', start: lt, end: close === -1 ? len : close + 1 };
+    } else if (/[a-z]/i.test(next) || (next === '/' && /[a-z]/i.test(html.charAt(lt + 2)))) {
+      const end = findTagEnd(html, lt);
+      const closing = next === '/';
+      const nameMatch = html.slice(lt + (closing ? 2 : 1), end).match(/^[^\s/>]+/);
+      token = {
+        type: closing ? 'close' : 'open',
+        start: lt,
+        end,
+        name: nameMatch ? nameMatch[0].toLowerCase() : '',
+        selfClosing: !closing && html.charAt(end - 2) === '/'
+      };
+    }
+
+    if (!token) {
+      // A literal '<' inside text.
+      pos = lt + 1;
+      continue;
+    }
+
+    pushText(lt);
+    tokens.push(token);
+    pos = token.end;
+    textStart = pos;
+
+    if (token.type === 'open' && !token.selfClosing && RAW_TEXT_TAGS.includes(token.name) && !isShadowRootTemplate(html, token)) {
+      const closeRegex = new RegExp('</' + token.name + '\\b', 'ig');
+      closeRegex.lastIndex = pos;
+      const closeMatch = closeRegex.exec(html);
+      const rawEnd = closeMatch ? closeMatch.index : len;
+      if (rawEnd > pos) tokens.push({ type: 'raw', start: pos, end: rawEnd, raw: html.slice(pos, rawEnd) });
+      pos = rawEnd;
+      textStart = pos;
+    }
+  }
+
+  textStart = Math.min(textStart, len);
+  pushText(len);
+  return tokens;
+}
+
+/**
+ * Pair open tags with their closing tags (or where the parser would close
+ * them implicitly) and record each token's parent open tag index.
+ */
+function linkSourceTree(tokens, length) {
+  const stack = [];
+
+  function closeAt(stackIndex, position) {
+    while (stack.length > stackIndex) {
+      const open = tokens[stack.pop()];
+      if (open.innerEnd == null) open.innerEnd = position;
+    }
+  }
+
+  function closeImplied(name, position) {
+    const top = stack.length ? tokens[stack[stack.length - 1]] : null;
+    if (!top) return;
+    const implied = IMPLIED_END_TAGS[name];
+    if (implied && implied.includes(top.name)) closeAt(stack.length - 1, position);
+    else if (top.name === 'p' && P_CLOSING_TAGS.includes(name)) closeAt(stack.length - 1, position);
+  }
+
+  tokens.forEach((token, i) => {
+    if (token.type === 'open') {
+      closeImplied(token.name, token.start);
+      token.parent = stack.length ? stack[stack.length - 1] : null;
+      token.innerStart = token.end;
+      if (token.selfClosing || VOID_TAGS.includes(token.name)) {
+        token.innerEnd = token.end;
+        return;
+      }
+      stack.push(i);
+      return;
+    }
+    if (token.type === 'close') {
+      for (let k = stack.length - 1; k >= 0; k -= 1) {
+        if (tokens[stack[k]].name !== token.name) continue;
+        closeAt(k + 1, token.start);
+        tokens[stack[k]].innerEnd = token.start;
+        tokens[stack[k]].close = i;
+        stack.length = k;
+        break;
+      }
+      return;
+    }
+    token.parent = stack.length ? stack[stack.length - 1] : null;
+  });
+
+  closeAt(0, length);
+}
+
+/**
+ * The range of `start`..`end` without leading and trailing whitespace, or
+ * null when there is nothing else in it.
+ */
+function trimRange(html, start, end) {
+  const raw = html.slice(start, end);
+  const leading = raw.match(/^\s*/)[0].length;
+  if (leading === raw.length) return null;
+  return { start: start + leading, end: end - raw.match(/\s*$/)[0].length };
+}
+
+module.exports = {
+  RAW_TEXT_TAGS,
+  linkSourceTree,
+  tokenizeSource,
+  trimRange
+};
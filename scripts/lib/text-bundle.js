@@ -0,0 +1,293 @@
+'use strict';
+
+/**
+ * Translation bundles: every editable text of a page under a stable key.
+ *
+ * Keys come from the nearest data-edit-key attribute ("hero.title", or
+ * "hero.title.2" for its second text run) and otherwise from the text's
+ * position among the unkeyed texts of the body ("text.12"). The page title
+ * and description are "page.title" and "page.description". Pages that
+ * share their structure share their keys. Mirrors the bundle code in
+ * edit-mode.js; keep both in sync.
+ */
+
+const { applyEditsToSource, decodeEntities, getBodyContentStartIndex, normalizeText, parseTagAttributes } = require('./source-patch');
+const { linkSourceTree, tokenizeSource, trimRange } = require('./source-tree');
+
+const BUNDLE_FORMAT = 'edit-mode-bundle';
+const BUNDLE_VERSION = 1;
+
+/**
+ * List the page's texts as { key, kind, text, start, end } in source order.
+ * `kind` is "text", "title" or "description"; start/end is the source range
+ * of the text (of the attribute value for the description).
+ */
+function extractTextEntries(html) {
+  const tokens = tokenizeSource(html);
+  linkSourceTree(tokens, html.length);
+  const bodyStart = getBodyContentStartIndex(html);
+  const attrCache = new Map();
+  const getAttr = (i, name) => {
+    if (!attrCache.has(i)) attrCache.set(i, parseTagAttributes(html, tokens[i].start, tokens[i].end));
+    return attrCache.get(i).find(item => item.name === name) || null;
+  };
+
+  const entries = [];
+  const groups = new Map();
+  let unkeyed = 0;
+
+  tokens.forEach((token, i) => {
+    if (token.start < bodyStart) {
+      if (token.type === 'open' && token.name === 'title' && token.innerEnd != null && !entries.some(e => e.kind === 'title')) {
+        const range = trimRange(html, token.innerStart, token.innerEnd);
+        if (range) entries.push({ key: 'page.title', kind: 'title', text: normalizeText(decodeEntities(html.slice(range.start, range.end))), start: range.start, end: range.end });
+      }
+      if (token.type === 'open' && token.name === 'meta' && !entries.some(e => e.kind === 'description')) {
+        const name = getAttr(i, 'name');
+        const content = getAttr(i, 'content');
+        if (name && String(name.value).toLowerCase() === 'description' && content && content.valueStart >= 0) {
+          entries.push({
+            key: 'page.description',
+            kind: 'description',
+            text: normalizeText(content.value),
+            value: content.value,
+            start: content.valueStart,
+            end: content.valueEnd,
+            tag: { start: token.start, end: token.end }
+          });
+        }
+      }
+      return;
+    }
+    if (token.type !== 'text') return;
+    const range = trimRange(html, token.start, token.end);
+    if (!range) return;
+
+    let marker = null;
+    let group = null;
+    for (let p = token.parent; p != null && (marker == null || group == null); p = tokens[p].parent) {
+      if (marker == null) {
+        const edit = getAttr(p, 'data-edit');
+        if (edit && (edit.value === 'on' || edit.value === 'off')) marker = edit.value;
+      }
+      if (group == null) {
+        const key = getAttr(p, 'data-edit-key');
+        if (key && key.value) group = key.value;
+      }
+    }
+    if (marker === 'off') return;
+
+    const entry = { key: null, kind: 'text', text: normalizeText(decodeEntities(html.slice(range.start, range.end))), start: range.start, end: range.end };
+    if (group != null) {
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(entry);
+    } else {
+      unkeyed += 1;
+      entry.key = 'text.' + unkeyed;
+    }
+    entries.push(entry);
+  });
+
+  groups.forEach((list, name) => {
+    list.forEach((entry, i) => { entry.key = list.length === 1 ? name : name + '.' + (i + 1); });
+  });
+  return entries;
+}
+
+function findHTMLTag(html) {
+  const tokens = tokenizeSource(html);
+  return tokens.find(token => token.type === 'open' && token.name === 'html') || null;
+}
+
+function getPageLocale(html) {
+  const tag = findHTMLTag(html);
+  if (!tag) return null;
+  const lang = parseTagAttributes(html, tag.start, tag.end).find(attr => attr.name === 'lang');
+  return lang && lang.value ? lang.value : null;
+}
+
+/**
+ * Texts that should differ from the source language: identical text with
+ * at least one letter (numbers and symbols are fine as they are).
+ */
+function isUntranslated(text, source) {
+  return source != null && text === source && /\p{L}/u.test(text);
+}
+
+/**
+ * Build a bundle from entries. With `sourceEntries` (the same page in the
+ * source language) each entry also carries its source text, and entries
+ * still identical to it are flagged `untranslated`.
+ */
+function buildBundle(entries, options) {
+  const opts = options || {};
+  const source = opts.sourceEntries ? new Map(opts.sourceEntries.map(entry => [entry.key, entry.text])) : null;
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    page: opts.page || null,
+    locale: opts.locale || null,
+    sourceLocale: source ? opts.sourceLocale || null : null,
+    createdAt: new Date().toISOString(),
+    entries: entries.map(entry => {
+      const item = { key: entry.key, text: entry.text };
+      if (source && source.has(entry.key)) {
+        item.source = source.get(entry.key);
+        if (isUntranslated(item.text, item.source)) item.untranslated = true;
+      }
+      return item;
+    })
+  };
+}
+
+function escapeXML(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * XLIFF 1.2: <source> is the source-language text (the page text when the
+ * bundle has no source), <target> the page text.
+ */
+function toXLIFF(bundle) {
+  const hasSource = bundle.entries.some(entry => entry.source != null);
+  const sourceLanguage = (hasSource ? bundle.sourceLocale : bundle.locale) || 'und';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    '  <file original="' + escapeXML(bundle.page || 'page.html') + '" datatype="html" source-language="' + escapeXML(sourceLanguage) + '"' +
+      (hasSource && bundle.locale ? ' target-language="' + escapeXML(bundle.locale) + '"' : '') + '>',
+    '    <body>'
+  ];
+  bundle.entries.forEach(entry => {
+    lines.push('      <trans-unit id="' + escapeXML(entry.key) + '">');
+    lines.push('        <source>' + escapeXML(entry.source != null ? entry.source : entry.text) + '</source>');
+    if (entry.source != null) {
+      lines.push('        <target state="' + (entry.untranslated ? 'needs-translation' : 'translated') + '">' + escapeXML(entry.text) + '</target>');
+    }
+    lines.push('      </trans-unit>');
+  });
+  lines.push('    </body>', '  </file>', '</xliff>', '');
+  return lines.join('\n');
+}
+
+function serializeBundle(bundle, format) {
+  return format === 'xliff' ? toXLIFF(bundle) : JSON.stringify(bundle, null, 2) + '\n';
+}
+
+function readXMLText(inner) {
+  const cdata = inner.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  return normalizeText(decodeEntities(inner.replace(/<[^>]*>/g, '')));
+}
+
+function readXMLAttr(tag, name) {
+  const match = tag.match(new RegExp('\\s' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')'));
+  return match ? decodeEntities(match[1] != null ? match[1] : match[2]) : null;
+}
+
+/**
+ * A language attribute of an XLIFF <file>. XLIFF requires source-language,
+ * so toXLIFF writes "und" (undetermined) for a page without a lang; that
+ * reads back as no locale.
+ */
+function readXMLLocale(tag, name) {
+  const value = readXMLAttr(tag, name);
+  return value && value.toLowerCase() !== 'und' ? value : null;
+}
+
+/**
+ * Parse a JSON or XLIFF bundle into the JSON bundle shape. For XLIFF the
+ * entry text is the <target> when there is one, else the <source>.
+ */
+function parseBundle(text) {
+  const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    if (!data || data.format !== BUNDLE_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not an edit-mode text bundle.');
+    }
+    return data;
+  }
+
+  const file = trimmed.match(/<file\b[^>]*>/);
+  if (!/<xliff\b/.test(trimmed) || !file) throw new Error('Not a JSON or XLIFF text bundle.');
+  const sourceLocale = readXMLLocale(file[0], 'source-language');
+  const targetLocale = readXMLLocale(file[0], 'target-language');
+  const entries = [];
+  const unitRegex = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g;
+  let unit;
+  while ((unit = unitRegex.exec(trimmed)) !== null) {
+    const key = readXMLAttr(unit[1], 'id');
+    const source = unit[2].match(/<source\b[^>]*>([\s\S]*?)<\/source>/);
+    const target = unit[2].match(/<target\b([^>]*)>([\s\S]*?)<\/target>/);
+    if (!key || !source) continue;
+    const entry = { key, text: readXMLText(target ? target[2] : source[1]) };
+    if (target) {
+      entry.source = readXMLText(source[1]);
+      if (readXMLAttr(target[1], 'state') === 'needs-translation') entry.untranslated = true;
+    }
+    entries.push(entry);
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    page: readXMLAttr(file[0], 'original'),
+    locale: targetLocale || sourceLocale,
+    sourceLocale: targetLocale ? sourceLocale : null,
+    entries
+  };
+}
+
+/**
+ * Put the bundle's texts into a page with the same structure. Returns
+ * { html, applied, unknownKeys, missingKeys, unmatchedEdits }: keys of the
+ * bundle the page does not have, and page keys the bundle does not cover.
+ */
+function applyBundle(html, bundle, options) {
+  const opts = options || {};
+  const entries = extractTextEntries(html);
+  const byKey = new Map(entries.map(entry => [entry.key, entry]));
+  const covered = new Set();
+  const unknownKeys = [];
+  const edits = [];
+
+  bundle.entries.forEach(item => {
+    const target = byKey.get(item.key);
+    if (!target) {
+      unknownKeys.push(item.key);
+      return;
+    }
+    covered.add(item.key);
+    if (item.text == null || normalizeText(item.text) === target.text) return;
+    if (target.kind === 'description') {
+      edits.push({ type: 'attr', tag: 'meta', attr: 'content', oldValue: target.value, newValue: item.text, anchor: target.tag });
+    } else {
+      edits.push({ type: target.kind, oldText: target.text, newText: item.text, anchor: { start: target.start, end: target.end } });
+    }
+  });
+
+  const locale = opts.locale || bundle.locale;
+  const tag = locale ? findHTMLTag(html) : null;
+  if (tag && getPageLocale(html) !== locale) {
+    edits.push({ type: 'attr', tag: 'html', attr: 'lang', oldValue: getPageLocale(html), newValue: locale, anchor: { start: tag.start, end: tag.end } });
+  }
+
+  const patched = applyEditsToSource(html, edits);
+  return {
+    html: patched.html,
+    applied: patched.appliedCount,
+    unknownKeys,
+    missingKeys: entries.filter(entry => !covered.has(entry.key)).map(entry => entry.key),
+    unmatchedEdits: patched.unmatchedEdits
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  applyBundle,
+  buildBundle,
+  extractTextEntries,
+  getPageLocale,
+  parseBundle,
+  serializeBundle
+};
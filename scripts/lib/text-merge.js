@@ -0,0 +1,348 @@
+'use strict';
+
+/**
+ * Text-level three-way merge for the recovery script.
+ *
+ * The body texts of three versions of a page are aligned as sequences: the
+ * base the client edited, the client's edited (or fallback-saved) file and
+ * the developer's current file. Texts the client changed are carried over to
+ * the matching text of the current file; where the developer changed or
+ * removed that same text too, the result is a conflict.
+ */
+
+const { decodeEntities, encodeTextLike, escapeHTMLText, getBodyContentStartIndex, normalizeText } = require('./source-patch');
+const { tokenizeSource, trimRange } = require('./source-tree');
+
+// Above this many table cells the exact LCS is replaced by patience anchors.
+const MAX_LCS_CELLS = 4000000;
+const MAX_PAIRING_CELLS = 250000;
+// Word overlap (0..1) below which two texts are not taken for versions of each other.
+const MIN_SIMILARITY = 0.3;
+
+/**
+ * List the body texts of a page as { text, start, end } in source order;
+ * start/end is the source range without surrounding whitespace.
+ */
+function collectTextBlocks(html) {
+  const bodyStart = getBodyContentStartIndex(html);
+  const blocks = [];
+  tokenizeSource(html).forEach(token => {
+    if (token.type !== 'text' || token.start < bodyStart) return;
+    const range = trimRange(html, token.start, token.end);
+    if (!range) return;
+    blocks.push({ text: normalizeText(decodeEntities(html.slice(range.start, range.end))), start: range.start, end: range.end });
+  });
+  return blocks;
+}
+
+function lcsPairs(a, aStart, aEnd, b, bStart, bEnd, pairs) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const w = m + 1;
+  const table = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i * w + j] = a[aStart + i] === b[bStart + j]
+        ? table[(i + 1) * w + j + 1] + 1
+        : Math.max(table[(i + 1) * w + j], table[i * w + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[aStart + i] === b[bStart + j]) {
+      pairs.push([aStart + i, bStart + j]);
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * w + j] >= table[i * w + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+}
+
+function uniqueIndexes(list, start, end) {
+  const indexes = new Map();
+  for (let i = start; i < end; i += 1) indexes.set(list[i], indexes.has(list[i]) ? -1 : i);
+  return indexes;
+}
+
+/**
+ * Longest chain of [i, j] anchors (sorted by i) with increasing j.
+ */
+function longestIncreasingChain(anchors) {
+  const tails = [];
+  const prev = new Array(anchors.length);
+  anchors.forEach((anchor, k) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (anchors[tails[mid]][1] < anchor[1]) lo = mid + 1;
+      else hi = mid;
+    }
+    prev[k] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = k;
+  });
+
+  const chain = [];
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k >= 0; k = prev[k]) chain.unshift(anchors[k]);
+  return chain;
+}
+
+/**
+ * For ranges too large for the LCS table: align on texts that occur exactly
+ * once on both sides, then align the gaps between them.
+ */
+function patiencePairs(a, aStart, aEnd, b, bStart, bEnd, pairs) {
+  const inB = uniqueIndexes(b, bStart, bEnd);
+  const anchors = [];
+  uniqueIndexes(a, aStart, aEnd).forEach((i, text) => {
+    const j = inB.get(text);
+    if (i >= 0 && j != null && j >= 0) anchors.push([i, j]);
+  });
+  const chain = longestIncreasingChain(anchors);
+  if (chain.length === 0) return;
+
+  let ai = aStart;
+  let bi = bStart;
+  chain.forEach(([i, j]) => {
+    alignRange(a, ai, i, b, bi, j, pairs);
+    pairs.push([i, j]);
+    ai = i + 1;
+    bi = j + 1;
+  });
+  alignRange(a, ai, aEnd, b, bi, bEnd, pairs);
+}
+
+function alignRange(a, aStart, aEnd, b, bStart, bEnd, pairs) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    pairs.push([aStart, bStart]);
+    aStart += 1;
+    bStart += 1;
+  }
+  const tail = [];
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd -= 1;
+    bEnd -= 1;
+    tail.unshift([aEnd, bEnd]);
+  }
+
+  const cells = (aEnd - aStart) * (bEnd - bStart);
+  if (cells > 0 && cells <= MAX_LCS_CELLS) lcsPairs(a, aStart, aEnd, b, bStart, bEnd, pairs);
+  else if (cells > 0) patiencePairs(a, aStart, aEnd, b, bStart, bEnd, pairs);
+  tail.forEach(pair => pairs.push(pair));
+}
+
+/**
+ * Index pairs [i, j] of equal items of `a` and `b`, in order (a longest
+ * common subsequence for inputs of usual page size).
+ */
+function alignSequences(a, b) {
+  const pairs = [];
+  alignRange(a, 0, a.length, b, 0, b.length, pairs);
+  return pairs;
+}
+
+function getWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Share of words two texts have in common (Dice coefficient).
+ */
+function similarity(a, b) {
+  const left = getWords(a);
+  const right = getWords(b);
+  if (left.length === 0 || right.length === 0) return a === b ? 1 : 0;
+  const counts = new Map();
+  left.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  let shared = 0;
+  right.forEach(word => {
+    const count = counts.get(word);
+    if (!count) return;
+    shared += 1;
+    counts.set(word, count - 1);
+  });
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Pair the changed texts between two aligned texts. The same number on both
+ * sides means each was rewritten in place; otherwise texts are paired by
+ * word overlap and the rest count as removed or added.
+ */
+function pairChanged(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const pairs = [];
+  if (n === 0 || m === 0) return pairs;
+  if (n === m || n * m > MAX_PAIRING_CELLS) {
+    for (let k = 0; k < Math.min(n, m); k += 1) pairs.push([aStart + k, bStart + k]);
+    return pairs;
+  }
+
+  const w = m + 1;
+  const sims = new Float64Array(n * m);
+  const score = new Float64Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      const sim = similarity(a[aStart + i], b[bStart + j]);
+      sims[i * m + j] = sim;
+      const take = sim >= MIN_SIMILARITY ? score[(i + 1) * w + j + 1] + sim : -1;
+      score[i * w + j] = Math.max(take, score[(i + 1) * w + j], score[i * w + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    const sim = sims[i * m + j];
+    if (sim >= MIN_SIMILARITY && score[i * w + j] === score[(i + 1) * w + j + 1] + sim) {
+      pairs.push([aStart + i, bStart + j]);
+      i += 1;
+      j += 1;
+    } else if (score[(i + 1) * w + j] >= score[i * w + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Map every item of `a` to its version in `b`: { toB, added }. `toB[i]` is
+ * the index in `b` (same or changed text) or null when it was removed;
+ * `added` lists { index, after } for items of `b` with no counterpart,
+ * `after` being the index in `a` they follow (-1 at the start).
+ */
+function matchSequences(a, b) {
+  const toB = new Array(a.length).fill(null);
+  const added = [];
+  let ai = 0;
+  let bi = 0;
+
+  alignSequences(a, b).concat([[a.length, b.length]]).forEach(([i, j]) => {
+    if (i > ai || j > bi) {
+      const used = new Set();
+      pairChanged(a, ai, i, b, bi, j).forEach(([x, y]) => {
+        toB[x] = y;
+        used.add(y);
+      });
+      for (let y = bi; y < j; y += 1) {
+        if (!used.has(y)) added.push({ index: y, after: ai - 1 });
+      }
+    }
+    if (i < a.length) toB[i] = j;
+    ai = i + 1;
+    bi = j + 1;
+  });
+  return { toB, added };
+}
+
+function getLine(html, index) {
+  let line = 1;
+  for (let i = html.indexOf('\n'); i !== -1 && i < index; i = html.indexOf('\n', i + 1)) line += 1;
+  return line;
+}
+
+/**
+ * Merge the client's text changes (base -> edited) into `currentHtml`.
+ * Pass the base as current for a two-way restore. Returns
+ * { counts, changes, conflicts }: changes are { start, end, line, oldText,
+ * newText } in the current source; conflicts are
+ *   both-changed       both sides changed the text differently
+ *   removed-in-current the developer removed a text the client changed
+ *   added-in-edited    the edited file has a text the base does not have
+ * with the base, edited and current text, the range and line in the current
+ * source where there is one, and the preceding base text as context.
+ */
+function mergeTexts(baseHtml, editedHtml, currentHtml) {
+  const base = collectTextBlocks(baseHtml);
+  const edited = collectTextBlocks(editedHtml);
+  const current = currentHtml === baseHtml ? base : collectTextBlocks(currentHtml);
+  const texts = list => list.map(block => block.text);
+
+  const client = matchSequences(texts(base), texts(edited));
+  const developer = current === base
+    ? { toB: base.map((block, i) => i), added: [] }
+    : matchSequences(texts(base), texts(current));
+
+  const changes = [];
+  const conflicts = [];
+  const context = i => (i > 0 ? base[i - 1].text : null);
+  const located = (conflict, block) => Object.assign(conflict, block
+    ? { currentText: block.text, start: block.start, end: block.end, line: getLine(currentHtml, block.start) }
+    : { currentText: null, start: null, end: null, line: null });
+
+  base.forEach((block, i) => {
+    const e = client.toB[i];
+    const editedText = e == null ? '' : edited[e].text;
+    if (editedText === block.text) return;
+
+    const c = developer.toB[i];
+    if (c == null && editedText === '') return;
+    if (c == null) {
+      conflicts.push(located({ type: 'removed-in-current', baseText: block.text, editedText, after: context(i) }, null));
+      return;
+    }
+    const target = current[c];
+    if (target.text === editedText) return;
+    if (target.text !== block.text) {
+      conflicts.push(located({ type: 'both-changed', baseText: block.text, editedText, after: context(i) }, target));
+      return;
+    }
+    changes.push({ start: target.start, end: target.end, line: getLine(currentHtml, target.start), oldText: target.text, newText: editedText });
+  });
+
+  client.added.forEach(item => {
+    conflicts.push(located({ type: 'added-in-edited', baseText: null, editedText: edited[item.index].text, after: context(item.after + 1) }, null));
+  });
+
+  return {
+    counts: { base: base.length, edited: edited.length, current: current.length },
+    changes,
+    conflicts
+  };
+}
+
+/**
+ * The text written in place of a both-changed text in markers mode, in the
+ * style of git: the current source as it is, then the client's text.
+ */
+function formatConflict(raw, editedText) {
+  return '<<<<<<< current\n' + raw + '\n=======\n' + escapeHTMLText(editedText) + '\n>>>>>>> edited';
+}
+
+/**
+ * Apply a merge to the current source. With `markers`, conflicts that have
+ * a place in the current source are written there with conflict markers.
+ */
+function applyMerge(html, merge, options) {
+  const opts = options || {};
+  const replacements = merge.changes.map(change => ({
+    start: change.start,
+    end: change.end,
+    text: encodeTextLike(html.slice(change.start, change.end), change.newText)
+  }));
+  if (opts.markers) {
+    merge.conflicts.forEach(conflict => {
+      if (conflict.start == null) return;
+      replacements.push({ start: conflict.start, end: conflict.end, text: formatConflict(html.slice(conflict.start, conflict.end), conflict.editedText) });
+    });
+  }
+
+  replacements.sort((a, b) => b.start - a.start);
+  return replacements.reduce((result, item) => result.slice(0, item.start) + item.text + result.slice(item.end), html);
+}
+
+module.exports = {
+  alignSequences,
+  applyMerge,
+  collectTextBlocks,
+  matchSequences,
+  mergeTexts
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Line-based unified diff (as printed by `diff -u`) for the Node scripts.
+ */
+
+const { alignSequences } = require('./text-merge');
+
+function splitLines(text) {
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function formatRange(start, count) {
+  // An empty range is given by the line before it, as diff does.
+  return (count === 0 ? start - 1 : start) + (count === 1 ? '' : ',' + count);
+}
+
+/**
+ * Unified diff of two texts with `context` unchanged lines around each
+ * change. Returns '' when they are equal.
+ */
+function unifiedDiff(before, after, beforeName, afterName, context) {
+  const around = context == null ? 3 : context;
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Every line as { type: ' ' | '-' | '+', text, aLine, bLine } (1-based positions).
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  alignSequences(a, b).concat([[a.length, b.length]]).forEach(([ai, bj]) => {
+    while (i < ai) {
+      ops.push({ type: '-', text: a[i], aLine: i + 1, bLine: j + 1 });
+      i += 1;
+    }
+    while (j < bj) {
+      ops.push({ type: '+', text: b[j], aLine: i + 1, bLine: j + 1 });
+      j += 1;
+    }
+    if (ai < a.length) {
+      ops.push({ type: ' ', text: a[ai], aLine: ai + 1, bLine: bj + 1 });
+      i = ai + 1;
+      j = bj + 1;
+    }
+  });
+
+  const changed = [];
+  ops.forEach((op, k) => {
+    if (op.type !== ' ') changed.push(k);
+  });
+  if (changed.length === 0) return '';
+
+  const hunks = [];
+  changed.forEach(k => {
+    const last = hunks[hunks.length - 1];
+    if (last && k - last.end <= 2 * around) last.end = k;
+    else hunks.push({ start: k, end: k });
+  });
+
+  const lines = ['--- ' + beforeName, '+++ ' + afterName];
+  hunks.forEach(hunk => {
+    const slice = ops.slice(Math.max(0, hunk.start - around), Math.min(ops.length, hunk.end + around + 1));
+    const aCount = slice.filter(op => op.type !== '+').length;
+    const bCount = slice.filter(op => op.type !== '-').length;
+    lines.push('@@ -' + formatRange(slice[0].aLine, aCount) + ' +' + formatRange(slice[0].bLine, bCount) + ' @@');
+    slice.forEach(op => lines.push(op.type + op.text));
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  unifiedDiff
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Minimal server side of the WebSocket protocol (RFC 6455) for the
+ * reference relay: text messages, ping/pong and close, no extensions.
+ * Enough to run the relay locally without installing packages.
+ */
+
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read one frame from the start of `buffer`. Returns null until the whole
+ * frame has arrived, else { fin, opcode, masked, payload, size }.
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const big = buffer.readBigUInt64BE(2);
+    length = big > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(big);
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) return { tooLarge: true };
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i += 1) payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, masked, payload, size: offset + length };
+}
+
+/**
+ * Wrap an upgraded socket. The connection emits 'message' (text),
+ * 'close' (code) and 'error'; send(text) and close(code, reason) write to it.
+ */
+function createConnection(socket) {
+  const connection = new EventEmitter();
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+
+  connection.send = text => {
+    if (closed || socket.destroyed) return;
+    socket.write(encodeFrame(OPCODES.text, Buffer.from(String(text), 'utf8')));
+  };
+
+  connection.close = (code, reason) => {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason || ''));
+    payload.writeUInt16BE(code || 1000, 0);
+    payload.write(reason || '', 2, 'utf8');
+    if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close, payload));
+    connection.emit('close', code || 1000);
+  };
+
+  function handleFrame(frame) {
+    if (!frame.masked) {
+      // Clients must mask every frame.
+      connection.close(1002, 'Unmasked frame');
+      return;
+    }
+    if (frame.opcode === OPCODES.ping) {
+      socket.write(encodeFrame(OPCODES.pong, frame.payload));
+      return;
+    }
+    if (frame.opcode === OPCODES.pong) return;
+    if (frame.opcode === OPCODES.close) {
+      connection.close(frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1000);
+      return;
+    }
+    if (frame.opcode === OPCODES.binary || (frame.opcode === OPCODES.continuation && fragments.length === 0)) {
+      connection.close(1003, 'Text messages only');
+      return;
+    }
+
+    fragments.push(frame.payload);
+    fragmentBytes += frame.payload.length;
+    if (fragmentBytes > MAX_MESSAGE_BYTES) {
+      connection.close(1009, 'Message too large');
+      return;
+    }
+    if (!frame.fin) return;
+    const text = Buffer.concat(fragments).toString('utf8');
+    fragments = [];
+    fragmentBytes = 0;
+    connection.emit('message', text);
+  }
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (!closed) {
+      const frame = decodeFrame(buffer);
+      if (!frame) break;
+      if (frame.tooLarge) {
+        connection.close(1009, 'Message too large');
+        break;
+      }
+      buffer = buffer.subarray(frame.size);
+      handleFrame(frame);
+    }
+  });
+  socket.on('error', err => connection.emit('error', err));
+  socket.on('close', () => {
+    if (closed) return;
+    closed = true;
+    connection.emit('close', 1006);
+  });
+
+  return connection;
+}
+
+/**
+ * Complete the opening handshake for an HTTP 'upgrade' request. Returns
+ * the connection, or null after rejecting a request that is not a
+ * WebSocket upgrade.
+ */
+function acceptUpgrade(req, socket) {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n'
+  );
+  socket.setNoDelay(true);
+  return createConnection(socket);
+}
+
+module.exports = {
+  acceptUpgrade
+};
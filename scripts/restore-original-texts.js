@@ -3,11 +3,29 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
+const { splitBOM } = require('./lib/source-patch');
+const { extractTextEntries } = require('./lib/text-bundle');
+const { applyMerge, mergeTexts } = require('./lib/text-merge');
+const { unifiedDiff } = require('./lib/unified-diff');
+
+const REPORT_FORMAT = 'edit-mode-restore-report';
+const REPORT_VERSION = 1;
+const FLAGS = ['dry-run', 'diff', 'strict'];
 
 function printUsage() {
   console.error(
-    'Usage: node scripts/restore-original-texts.js ' +
-    '--original <original.html> --edited <edited.html> --out <restored.html>'
+    'Usage:\n' +
+    '  node scripts/restore-original-texts.js --original <original.html> --edited <edited.html> [--current <current.html>] ' +
+    '--out <restored.html> [options]\n' +
+    '  node scripts/restore-original-texts.js --original-dir <dir> --edited-dir <dir> [--current-dir <dir>] ' +
+    '--out-dir <dir> [options]\n' +
+    'Options:\n' +
+    '  --conflicts markers|json   write conflicts into the output (default) or into a JSON conflict report\n' +
+    '  --conflicts-out <file>     where to write the conflict report (single file only)\n' +
+    '  --dry-run                  compute the edits without writing any file (--out is optional)\n' +
+    '  --report text|json         print a summary (default) or a JSON report of every edit to stdout\n' +
+    '  --diff                     print a unified diff of the input and the restored file\n' +
+    '  --strict                   fail when the original and edited files differ in text block count'
   );
 }
 
@@ -16,8 +34,16 @@ function parseArgs(argv) {
 
   for (let i = 2; i < argv.length; i += 1) {
     const key = argv[i];
-    const value = argv[i + 1];
+    if (key === '--help') {
+      printUsage();
+      process.exit(0);
+    }
+    if (key.startsWith('--') && FLAGS.includes(key.slice(2))) {
+      args[key.slice(2)] = true;
+      continue;
+    }
 
+    const value = argv[i + 1];
     if (!key.startsWith('--')) continue;
     if (!value || value.startsWith('--')) {
       throw new Error('Missing value for argument: ' + key);
@@ -26,7 +52,14 @@ function parseArgs(argv) {
     i += 1;
   }
 
-  if (!args.original || !args.edited || !args.out) {
+  args.conflicts = args.conflicts || 'markers';
+  args.report = args.report || 'text';
+  args.batch = Boolean(args['original-dir'] || args['edited-dir']);
+  const needsOut = !args['dry-run'];
+  const valid = args.batch
+    ? args['original-dir'] && args['edited-dir'] && (args['out-dir'] || !needsOut)
+    : args.original && args.edited && (args.out || !needsOut);
+  if (!valid || (args.conflicts !== 'markers' && args.conflicts !== 'json') || (args.report !== 'text' && args.report !== 'json')) {
     printUsage();
     process.exit(1);
   }
@@ -34,155 +67,288 @@ function parseArgs(argv) {
   return args;
 }
 
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function readPage(file) {
+  return splitBOM(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
 }
 
-function getBodyContentStartIndex(html) {
-  const bodyOpen = html.match(/<body\b[^>]*>/i);
-  if (!bodyOpen || bodyOpen.index == null) return 0;
-  return bodyOpen.index + bodyOpen[0].length;
+function listHTMLFiles(dir, prefix) {
+  let files = [];
+  fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).forEach(entry => {
+    const rel = path.join(prefix, entry.name);
+    if (entry.isDirectory()) files = files.concat(listHTMLFiles(dir, rel));
+    else if (/\.html?$/i.test(entry.name)) files.push(rel);
+  });
+  return files.sort();
 }
 
-function decodeEntities(text) {
-  return text
-    .replace(/&nbsp;/gi, ' ')
-    .replace(/&amp;/gi, '&')
-    .replace(/&lt;/gi, '<')
-    .replace(/&gt;/gi, '>')
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/gi, "'")
-    .replace(/&#(\d+);/g, (_, n) => {
-      const code = Number.parseInt(n, 10);
-      return Number.isFinite(code) ? String.fromCharCode(code) : _;
-    })
-    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => {
-      const code = Number.parseInt(hex, 16);
-      return Number.isFinite(code) ? String.fromCharCode(code) : _;
-    });
+/**
+ * A title or file name as edit-mode.js puts it into download names
+ * (buildDownloadBasename).
+ */
+function toFileSlug(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/_+$/, '');
 }
 
-function getBodyInnerHTML(html) {
-  const open = html.match(/<body\b[^>]*>/i);
-  const close = html.match(/<\/body>/i);
-  if (!open || open.index == null || !close || close.index == null) return html;
-  const start = open.index + open[0].length;
-  const end = close.index;
-  if (end <= start) return html;
-  return html.slice(start, end);
-}
-
-function collectBodyTextTokens(html) {
-  const body = getBodyInnerHTML(html)
-    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '')
-    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, '');
-
-  const tokens = [];
-  const regex = />([^<>]+)</g;
-  let match;
-  while ((match = regex.exec(body)) !== null) {
-    const text = decodeEntities(match[1]).trim();
-    if (!text) continue;
-    tokens.push(text);
-  }
-  return tokens;
+/**
+ * What a download of the page `rel` can be named after: its file name, as
+ * is or as edit-mode.js writes `{page}`, and its title (`{title}`, the
+ * default).
+ */
+function getDownloadStems(dir, rel) {
+  const stem = path.basename(rel).replace(/\.html?$/i, '');
+  const title = extractTextEntries(readPage(path.join(dir, rel)).html).find(entry => entry.kind === 'title');
+  return Array.from(new Set([stem.toLowerCase(), toFileSlug(stem) || 'index', toFileSlug(title && title.text) || 'page']));
 }
 
-function buildEdits(originalHtml, editedHtml) {
-  const originalTexts = collectBodyTextTokens(originalHtml);
-  const editedTexts = collectBodyTextTokens(editedHtml);
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-  if (originalTexts.length === 0 || editedTexts.length === 0) {
-    throw new Error('Could not detect editable text blocks in one of the files.');
-  }
+/**
+ * The edited counterpart of `rel` in the edited directory: the same path, or
+ * else the newest fallback save of it,
+ * `<stem>[_YYYYMMDD][_HHMM]_fallback_<reason>.html` for one of `stems`.
+ */
+function findEditedFile(dir, rel, stems) {
+  const exact = path.join(dir, rel);
+  if (fs.existsSync(exact)) return exact;
+  const folder = path.join(dir, path.dirname(rel));
+  if (!fs.existsSync(folder) || stems.length === 0) return null;
+  const pattern = new RegExp('^(?:' + stems.map(escapeRegExp).join('|') + ')(?:_\\d{8})?(?:_\\d{4})?_fallback(?:_[a-z0-9_]*)?\\.html?$', 'i');
+  const candidates = fs.readdirSync(folder)
+    .filter(name => pattern.test(name))
+    .map(name => path.join(folder, name));
+  candidates.sort((x, y) => fs.statSync(y).mtimeMs - fs.statSync(x).mtimeMs);
+  return candidates[0] || null;
+}
 
-  const count = Math.min(originalTexts.length, editedTexts.length);
-  const edits = [];
+/**
+ * One job per file: { original, edited, current, out }. In batch mode the
+ * originals are every .html file under --original-dir; files without an
+ * edited counterpart are skipped. A fallback save is only paired through a
+ * name no other page in the same folder could have given it.
+ */
+function collectJobs(args) {
+  if (!args.batch) {
+    return { jobs: [{ original: args.original, edited: args.edited, current: args.current || null, out: args.out || null }], skipped: [] };
+  }
 
-  for (let i = 0; i < count; i += 1) {
-    const oldText = originalTexts[i];
-    const newText = editedTexts[i];
-    if (oldText !== newText) {
-      edits.push({ oldText, newText });
+  const jobs = [];
+  const skipped = [];
+  const files = listHTMLFiles(args['original-dir'], '');
+  const stems = new Map(files.map(rel => [rel, getDownloadStems(args['original-dir'], rel)]));
+  const claims = new Map();
+  files.forEach(rel => stems.get(rel).forEach(stem => {
+    const claim = path.dirname(rel) + '/' + stem;
+    claims.set(claim, (claims.get(claim) || 0) + 1);
+  }));
+  files.forEach(rel => {
+    const unique = stems.get(rel).filter(stem => claims.get(path.dirname(rel) + '/' + stem) === 1);
+    const edited = findEditedFile(args['edited-dir'], rel, unique);
+    if (!edited) {
+      skipped.push(path.join(args['original-dir'], rel));
+      return;
     }
+    jobs.push({
+      original: path.join(args['original-dir'], rel),
+      edited,
+      current: args['current-dir'] ? path.join(args['current-dir'], rel) : null,
+      out: args['out-dir'] ? path.join(args['out-dir'], rel) : null
+    });
+  });
+  return { jobs, skipped };
+}
+
+function describeConflict(conflict) {
+  const quote = text => (text == null ? '-' : '"' + (text.length > 60 ? text.slice(0, 57) + '...' : text) + '"');
+  const where = conflict.line != null ? 'line ' + conflict.line : 'after ' + quote(conflict.after);
+  if (conflict.type === 'both-changed') {
+    return where + ': changed to ' + quote(conflict.editedText) + ' by the client and to ' + quote(conflict.currentText) + ' in the current file';
   }
+  if (conflict.type === 'removed-in-current') {
+    return where + ': ' + quote(conflict.baseText) + ' was changed to ' + quote(conflict.editedText) + ' by the client but removed from the current file';
+  }
+  return where + ': ' + quote(conflict.editedText) + ' is only in the edited file';
+}
 
-  return {
-    edits,
-    originalCount: originalTexts.length,
-    editedCount: editedTexts.length
+function writeConflictReport(file, job, merge) {
+  const report = {
+    original: job.original,
+    edited: job.edited,
+    current: job.current || job.original,
+    out: job.out,
+    applied: merge.changes.length,
+    conflicts: merge.conflicts
   };
+  const reportPath = path.resolve(process.cwd(), file);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+  return reportPath;
 }
 
-function applyEditsToSource(html, edits) {
-  let result = html;
-  let appliedCount = 0;
-  let cursor = getBodyContentStartIndex(result);
-
-  for (const edit of edits) {
-    if (!edit.oldText || !edit.newText || edit.oldText === edit.newText) continue;
+/**
+ * Every detected edit with its status: "applied", "conflict" (written with
+ * conflict markers) or "unmatched" (not in the output), and its range and
+ * line in the source the output is based on.
+ */
+function listEdits(merge, markers) {
+  const applied = merge.changes.map(change => ({
+    status: 'applied',
+    oldText: change.oldText,
+    newText: change.newText,
+    start: change.start,
+    end: change.end,
+    line: change.line
+  }));
+  const open = merge.conflicts.map(conflict => ({
+    status: markers && conflict.start != null ? 'conflict' : 'unmatched',
+    reason: conflict.type,
+    oldText: conflict.baseText,
+    newText: conflict.editedText,
+    currentText: conflict.currentText,
+    start: conflict.start,
+    end: conflict.end,
+    line: conflict.line,
+    after: conflict.after
+  }));
+  return applied.concat(open).sort((x, y) => (x.start == null ? Infinity : x.start) - (y.start == null ? Infinity : y.start));
+}
 
-    const words = edit.oldText.split(/\s+/).filter(Boolean);
-    if (words.length === 0) continue;
+/**
+ * Restore (or merge) one file. Returns its report entry, plus `merge` and
+ * `marked` (conflicts written with markers) for printing.
+ */
+function restoreFile(job, args) {
+  const result = {
+    original: job.original,
+    edited: job.edited,
+    current: job.current,
+    out: job.out,
+    written: false,
+    counts: null,
+    countMismatch: false,
+    applied: 0,
+    conflicts: 0,
+    edits: [],
+    conflictReport: null,
+    diff: null,
+    error: null,
+    merge: null,
+    marked: []
+  };
 
-    const pattern = words.map(escapeRegex).join('[\\s\\n]+');
-    const regex = new RegExp(pattern, 'g');
+  try {
+    const originalHtml = readPage(job.original).html;
+    const editedHtml = readPage(job.edited).html;
+    const current = readPage(job.current || job.original);
 
-    regex.lastIndex = cursor;
-    const match = regex.exec(result);
-    if (!match || match.index == null) continue;
+    const merge = mergeTexts(originalHtml, editedHtml, job.current ? current.html : originalHtml);
+    if (merge.counts.base === 0 || merge.counts.edited === 0) {
+      throw new Error('Could not detect editable text blocks in one of the files.');
+    }
 
-    const start = match.index;
-    const end = start + match[0].length;
-    result = result.slice(0, start) + edit.newText + result.slice(end);
-    cursor = start + edit.newText.length;
-    appliedCount += 1;
+    const markers = Boolean(job.current) && args.conflicts === 'markers';
+    const output = applyMerge(current.html, merge, { markers });
+    result.counts = { original: merge.counts.base, edited: merge.counts.edited, current: job.current ? merge.counts.current : null };
+    result.countMismatch = merge.counts.base !== merge.counts.edited;
+    result.applied = merge.changes.length;
+    result.conflicts = merge.conflicts.length;
+    result.edits = listEdits(merge, markers);
+    if (args.diff) result.diff = unifiedDiff(current.html, output, job.current || job.original, job.out || '(restored)');
+
+    // Under --strict a count mismatch fails the run: leave the output alone.
+    if (!args['dry-run'] && !(args.strict && result.countMismatch)) {
+      const outPath = path.resolve(process.cwd(), job.out);
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, current.bom + output, 'utf8');
+      result.written = true;
+      if (merge.conflicts.length > 0 && (args.conflicts === 'json' || args['conflicts-out'])) {
+        const reportFile = (!args.batch && args['conflicts-out']) || job.out.replace(/\.html?$/i, '') + '.conflicts.json';
+        result.conflictReport = writeConflictReport(reportFile, job, merge);
+      }
+    }
+    result.merge = merge;
+    result.marked = markers ? merge.conflicts.filter(conflict => conflict.start != null) : [];
+  } catch (err) {
+    result.error = err.message;
   }
-
-  return { html: result, appliedCount };
+  return result;
 }
 
-function main() {
-  const { original, edited, out } = parseArgs(process.argv);
-
-  const originalPath = path.resolve(process.cwd(), original);
-  const editedPath = path.resolve(process.cwd(), edited);
-  const outPath = path.resolve(process.cwd(), out);
-
-  const originalHtml = fs.readFileSync(originalPath, 'utf8');
-  const editedHtml = fs.readFileSync(editedPath, 'utf8');
+function toReportEntry(result) {
+  const entry = Object.assign({}, result);
+  delete entry.merge;
+  delete entry.marked;
+  return entry;
+}
 
-  const { edits, originalCount, editedCount } = buildEdits(originalHtml, editedHtml);
+function isFailed(result, args) {
+  return result.error != null || result.conflicts > 0 || (args.strict && result.countMismatch);
+}
 
-  if (edits.length === 0) {
-    fs.writeFileSync(outPath, originalHtml, 'utf8');
-    console.log('No text differences found. Wrote original file to: ' + outPath);
+function printResult(result, args) {
+  if (args.batch) console.log('\n' + result.original + ' <- ' + result.edited);
+  if (result.error) {
+    console.error('Error: ' + result.error);
     return;
   }
 
-  const patched = applyEditsToSource(originalHtml, edits);
-  fs.writeFileSync(outPath, patched.html, 'utf8');
+  console.log('Original text blocks:', result.counts.original);
+  console.log('Edited text blocks:', result.counts.edited);
+  if (result.current) console.log('Current text blocks:', result.counts.current);
+  console.log('Applied text edits:', result.applied);
+  console.log('Conflicts:', result.conflicts);
+  if (result.written) console.log('Wrote ' + (result.current ? 'merged' : 'restored') + ' file:', path.resolve(process.cwd(), result.out));
+  else console.log(args['dry-run'] ? 'Dry run: nothing written.' : 'Nothing written.');
+  if (result.diff) process.stdout.write(result.diff);
 
-  console.log('Original text blocks:', originalCount);
-  console.log('Edited text blocks:', editedCount);
-  console.log('Detected text edits:', edits.length);
-  console.log('Applied edits:', patched.appliedCount);
-  console.log('Wrote restored file:', outPath);
-
-  if (patched.appliedCount < edits.length) {
+  if (result.countMismatch) {
     console.error(
-      'Warning: some edits could not be mapped back to the original source. ' +
-      'Check the output manually.'
+      'Warning: the original and edited files have a different number of text blocks' +
+      (args.strict ? ' (failing because of --strict).' : '. Check the output.')
     );
-    process.exitCode = 2;
   }
+  if (result.conflictReport) console.error('Wrote conflict report: ' + result.conflictReport);
+  if (result.marked.length > 0) {
+    console.error('Warning: ' + result.marked.length + ' conflict(s) ' + (result.written ? 'are' : 'would be') +
+      ' marked with <<<<<<< in the output. Resolve them by hand.');
+  }
+  result.merge.conflicts.filter(conflict => !result.marked.includes(conflict)).forEach(conflict => {
+    console.error('Conflict ' + describeConflict(conflict));
+  });
+}
 
-  if (originalCount !== editedCount) {
-    console.error(
-      'Warning: editable block counts differ between files. ' +
-      'Mapping is best-effort only.'
-    );
+function main() {
+  const args = parseArgs(process.argv);
+  const { jobs, skipped } = collectJobs(args);
+  const results = jobs.map(job => restoreFile(job, args));
+  const failed = results.filter(result => isFailed(result, args));
+
+  if (args.report === 'json') {
+    const report = {
+      format: REPORT_FORMAT,
+      version: REPORT_VERSION,
+      dryRun: Boolean(args['dry-run']),
+      strict: Boolean(args.strict),
+      files: results.map(toReportEntry),
+      skipped,
+      summary: {
+        files: results.length,
+        applied: results.reduce((sum, result) => sum + result.applied, 0),
+        conflicts: results.reduce((sum, result) => sum + result.conflicts, 0),
+        failed: failed.length
+      }
+    };
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    results.forEach(result => printResult(result, args));
+    skipped.forEach(file => console.error('Skipped (no edited file): ' + file));
+    if (args.batch) {
+      console.log('\nFiles: ' + results.length + ', failed: ' + failed.length + ', skipped: ' + skipped.length);
+    }
   }
+
+  if (results.some(result => result.error != null)) process.exitCode = 1;
+  else if (failed.length > 0) process.exitCode = 2;
 }
 
 main();
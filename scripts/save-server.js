@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { applyEditsToSource, hashString, splitBOM } = require('./lib/source-patch');
+
+const EDIT_MODE_PATH = path.resolve(__dirname, '..', 'edit-mode.js');
+const SERVER_PREFIX = '/__edit-mode/';
+const SAVE_URL = SERVER_PREFIX + 'save';
+const SCRIPT_URL = SERVER_PREFIX + 'edit-mode.js';
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const INJECTED_TAG = '<script src="' + SCRIPT_URL + '" data-save-url="' + SAVE_URL + '" data-save-format="changes"></script>\n';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+function printUsage() {
+  console.error(
+    'Usage: node scripts/save-server.js ' +
+    '[--root <site-dir>] [--port <port>] [--host <host>] [--backups <dir>] [--no-inject]'
+  );
+}
+
+function parseArgs(argv) {
+  const args = { root: '.', port: '8080', host: '127.0.0.1', inject: true };
+
+  for (let i = 2; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (key === '--no-inject') {
+      args.inject = false;
+      continue;
+    }
+    if (key === '--help') {
+      printUsage();
+      process.exit(0);
+    }
+
+    const value = argv[i + 1];
+    if (!key.startsWith('--')) continue;
+    if (!value || value.startsWith('--')) {
+      throw new Error('Missing value for argument: ' + key);
+    }
+    args[key.slice(2)] = value;
+    i += 1;
+  }
+
+  const port = Number.parseInt(args.port, 10);
+  if (!Number.isFinite(port) || port < 0 || port > 65535) {
+    printUsage();
+    process.exit(1);
+  }
+
+  const root = path.resolve(process.cwd(), args.root);
+  return {
+    root,
+    port,
+    host: args.host,
+    inject: args.inject,
+    backups: path.resolve(process.cwd(), args.backups || path.join(root, '.edit-mode-backups'))
+  };
+}
+
+function isHTMLFile(filePath) {
+  return /\.html?$/i.test(filePath);
+}
+
+/**
+ * Map a URL path to a file inside the site root. Returns null for paths
+ * that escape the root.
+ */
+function resolveSitePath(root, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath.split('?')[0].split('#')[0]);
+  } catch (_) {
+    return null;
+  }
+  const filePath = path.resolve(root, '.' + path.posix.normalize('/' + decoded));
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) return null;
+  return filePath;
+}
+
+function isInside(dir, filePath) {
+  return filePath === dir || filePath.startsWith(dir + path.sep);
+}
+
+/**
+ * Files the server never serves or writes: hidden files and folders (such
+ * as .git or the default backup folder) and the backup folder itself.
+ */
+function isPrivatePath(options, filePath) {
+  const relative = path.relative(options.root, filePath);
+  return relative.split(path.sep).some(part => part.startsWith('.')) || isInside(options.backups, filePath);
+}
+
+/**
+ * Whether the Host header names this server: its port, and the host it
+ * listens on (any loopback name for a loopback host). A page on another
+ * site whose name was rebound to this address sends its own name.
+ */
+function isOwnHost(options, req) {
+  let url;
+  try {
+    url = new URL('http://' + req.headers.host);
+  } catch (_) {
+    return false;
+  }
+  if (Number(url.port || 80) !== req.socket.localPort) return false;
+  const listen = options.host.includes(':') ? '[' + options.host.toLowerCase() + ']' : options.host.toLowerCase();
+  if (listen === '0.0.0.0' || listen === '[::]') return true;
+  return (LOOPBACK_HOSTS.includes(listen) ? LOOPBACK_HOSTS : [listen]).includes(url.hostname);
+}
+
+/**
+ * Saves come from the served pages only: a JSON body (which other sites
+ * cannot send without a CORS preflight this server never answers) and, when
+ * the browser names one, this server's origin. Returns an error result or null.
+ */
+function checkSaveRequest(req) {
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin.toLowerCase() !== 'http://' + String(req.headers.host).toLowerCase()) {
+    return { status: 403, body: { error: 'Saves are only accepted from pages of this server.' } };
+  }
+  const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') {
+    return { status: 415, body: { error: 'Send saves as application/json.' } };
+  }
+  return null;
+}
+
+/**
+ * The page as the browser gets it: unless the page loads edit-mode.js
+ * itself, the script tag is added before </body>. Saves are checked and
+ * patched against this served version and the tag is removed again before
+ * writing, so offsets and hashes from the browser stay valid.
+ */
+function toServed(source, inject) {
+  if (!inject || /<script\b[^>]*edit-mode[^>]*>/i.test(source)) return { html: source, injected: false };
+  const close = source.search(/<\/body>/i);
+  const at = close === -1 ? source.length : close;
+  return { html: source.slice(0, at) + INJECTED_TAG + source.slice(at), injected: true };
+}
+
+function fromServed(html, injected) {
+  if (!injected) return html;
+  const at = html.indexOf(INJECTED_TAG);
+  return at === -1 ? html : html.slice(0, at) + html.slice(at + INJECTED_TAG.length);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').replace('Z', '');
+}
+
+function backupFile(options, filePath) {
+  const relative = path.relative(options.root, filePath);
+  const stamp = timestamp();
+  let target = path.join(options.backups, relative + '.' + stamp + '.bak');
+  for (let n = 2; fs.existsSync(target); n += 1) {
+    target = path.join(options.backups, relative + '.' + stamp + '-' + n + '.bak');
+  }
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.copyFileSync(filePath, target);
+  return target;
+}
+
+function sendJSON(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+/**
+ * Stream a file. The headers go out once it opens, so a file that is gone
+ * or unreadable by then gets 404 or 500 instead of ending the server.
+ */
+function sendFile(res, filePath, headers) {
+  const stream = fs.createReadStream(filePath);
+  stream.on('open', () => {
+    res.writeHead(200, headers);
+    stream.pipe(res);
+  });
+  stream.on('error', err => {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    if (err.code === 'ENOENT') sendText(res, 404, 'Not found');
+    else sendText(res, 500, 'Could not read ' + path.basename(filePath));
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Handle a save from edit-mode.js. The request body is JSON with `page`,
+ * `sourceHash` and either `changeSet` (preferred: patched here on disk) or
+ * `html` (the full page, already patched in the browser).
+ */
+function handleSave(options, body) {
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (_) {
+    return { status: 400, body: { error: 'Invalid JSON.' } };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { status: 400, body: { error: 'Expected a JSON object.' } };
+  }
+
+  let filePath = resolveSitePath(options.root, String(data.page || ''));
+  if (filePath && fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    filePath = path.join(filePath, 'index.html');
+  }
+  if (!filePath || isPrivatePath(options, filePath) || !isHTMLFile(filePath)) return { status: 400, body: { error: 'Not an HTML page in the site root.' } };
+  if (!fs.existsSync(filePath)) return { status: 404, body: { error: 'Page not found: ' + data.page } };
+
+  const { bom, html: source } = splitBOM(fs.readFileSync(filePath, 'utf8'));
+  const served = toServed(source, options.inject);
+  const currentHash = hashString(served.html);
+
+  // Never clobber a file that changed after the browser loaded it.
+  if (!data.sourceHash || data.sourceHash !== currentHash) {
+    return {
+      status: 409,
+      body: { error: 'The file changed on disk since the page was loaded. Reload the page and redo your edits.', hash: currentHash }
+    };
+  }
+
+  let patchedServed;
+  if (data.changeSet && Array.isArray(data.changeSet.edits)) {
+    const patched = applyEditsToSource(served.html, data.changeSet.edits);
+    if (patched.unmatchedEdits.length > 0) {
+      return {
+        status: 422,
+        body: { error: patched.unmatchedEdits.length + ' edit(s) could not be matched in the source.', unmatched: patched.unmatchedEdits }
+      };
+    }
+    patchedServed = patched.html;
+  } else if (typeof data.html === 'string') {
+    patchedServed = data.html;
+  } else {
+    return { status: 400, body: { error: 'Expected changeSet or html.' } };
+  }
+
+  const backup = backupFile(options, filePath);
+  fs.writeFileSync(filePath, bom + fromServed(patchedServed, served.injected), 'utf8');
+  console.log('Saved ' + path.relative(options.root, filePath) + ' (backup: ' + path.relative(options.root, backup) + ')');
+
+  const next = toServed(splitBOM(fs.readFileSync(filePath, 'utf8')).html, options.inject);
+  return { status: 200, body: { ok: true, hash: hashString(next.html), html: next.html } };
+}
+
+function listDirectory(options, dirPath, urlPath) {
+  const base = urlPath.endsWith('/') ? urlPath : urlPath + '/';
+  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .filter(entry => entry.isDirectory() || isHTMLFile(entry.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const items = entries.map(entry => {
+    const name = entry.name + (entry.isDirectory() ? '/' : '');
+    return '<li><a href="' + base + encodeURIComponent(entry.name) + (entry.isDirectory() ? '/' : '') + '">' +
+      name.replace(/&/g, '&amp;').replace(/</g, '&lt;') + '</a></li>';
+  });
+  return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>' + base + '</title></head>' +
+    '<body><h1>' + base + '</h1><ul>' + items.join('') + '</ul></body></html>\n';
+}
+
+function serveFile(options, req, res) {
+  const urlPath = new URL(req.url, 'http://localhost').pathname;
+  let filePath = resolveSitePath(options.root, urlPath);
+  if (!filePath || isPrivatePath(options, filePath)) {
+    sendText(res, 403, 'Forbidden');
+    return;
+  }
+
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    const index = path.join(filePath, 'index.html');
+    if (!fs.existsSync(index)) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(listDirectory(options, filePath, urlPath));
+      return;
+    }
+    filePath = index;
+  }
+
+  if (!fs.existsSync(filePath)) {
+    sendText(res, 404, 'Not found');
+    return;
+  }
+
+  const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  if (isHTMLFile(filePath)) {
+    const { html } = splitBOM(fs.readFileSync(filePath, 'utf8'));
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(toServed(html, options.inject).html);
+    return;
+  }
+
+  sendFile(res, filePath, { 'Content-Type': type });
+}
+
+function createServer(options) {
+  return http.createServer((req, res) => {
+    const urlPath = new URL(req.url, 'http://localhost').pathname;
+
+    if (!isOwnHost(options, req)) {
+      sendText(res, 403, 'Forbidden');
+      return;
+    }
+
+    if (urlPath === SCRIPT_URL) {
+      sendFile(res, EDIT_MODE_PATH, { 'Content-Type': CONTENT_TYPES['.js'], 'Cache-Control': 'no-store' });
+      return;
+    }
+
+    if (urlPath === SAVE_URL) {
+      if (req.method !== 'POST') {
+        sendJSON(res, 405, { error: 'Use POST.' });
+        return;
+      }
+      const rejected = checkSaveRequest(req);
+      if (rejected) {
+        sendJSON(res, rejected.status, rejected.body);
+        return;
+      }
+      readBody(req)
+        .then(body => {
+          const result = handleSave(options, body);
+          sendJSON(res, result.status, result.body);
+        })
+        .catch(err => sendJSON(res, 500, { error: err.message }));
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendText(res, 405, 'Method not allowed');
+      return;
+    }
+
+    try {
+      serveFile(options, req, res);
+    } catch (err) {
+      sendText(res, 500, err.message);
+    }
+  });
+}
+
+function main() {
+  const options = parseArgs(process.argv);
+  if (!fs.existsSync(options.root) || !fs.statSync(options.root).isDirectory()) {
+    console.error('Site root is not a directory: ' + options.root);
+    process.exit(1);
+  }
+
+  const server = createServer(options);
+  server.listen(options.port, options.host, () => {
+    const address = server.address();
+    console.log('Serving ' + options.root + ' at http://' + options.host + ':' + address.port + '/');
+    console.log('Backups go to ' + options.backups);
+  });
+}
+
+main();
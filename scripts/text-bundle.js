@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { splitBOM } = require('./lib/source-patch');
+const { applyBundle, buildBundle, extractTextEntries, getPageLocale, parseBundle, serializeBundle } = require('./lib/text-bundle');
+
+function printUsage() {
+  console.error(
+    'Usage:\n' +
+    '  node scripts/text-bundle.js extract --html <page.html> --out <bundle.json|bundle.xlf> ' +
+    '[--source <source-language.html>] [--format json|xliff] [--locale <lang>] [--source-locale <lang>]\n' +
+    '  node scripts/text-bundle.js apply --html <page.html> --bundle <bundle.json|bundle.xlf> --out <localized.html> ' +
+    '[--locale <lang>] [--strict]'
+  );
+}
+
+function parseArgs(argv) {
+  const args = { command: argv[2], strict: false };
+
+  for (let i = 3; i < argv.length; i += 1) {
+    const key = argv[i];
+    if (key === '--strict') {
+      args.strict = true;
+      continue;
+    }
+
+    const value = argv[i + 1];
+    if (!key.startsWith('--')) continue;
+    if (!value || value.startsWith('--')) {
+      throw new Error('Missing value for argument: ' + key);
+    }
+    args[key.slice(2)] = value;
+    i += 1;
+  }
+
+  const valid = args.command === 'extract'
+    ? args.html && args.out
+    : args.command === 'apply' && args.html && args.bundle && args.out;
+  if (!valid || (args.format && args.format !== 'json' && args.format !== 'xliff')) {
+    printUsage();
+    process.exit(1);
+  }
+
+  return args;
+}
+
+function readPage(file) {
+  return splitBOM(fs.readFileSync(path.resolve(process.cwd(), file), 'utf8'));
+}
+
+function extract(args) {
+  const page = readPage(args.html).html;
+  const entries = extractTextEntries(page);
+  const source = args.source ? readPage(args.source).html : null;
+  const format = args.format || (/\.xl(if)?f$/i.test(args.out) ? 'xliff' : 'json');
+
+  const bundle = buildBundle(entries, {
+    page: path.basename(args.html),
+    locale: args.locale || getPageLocale(page),
+    sourceEntries: source ? extractTextEntries(source) : null,
+    sourceLocale: source ? args['source-locale'] || getPageLocale(source) : null
+  });
+  const outPath = path.resolve(process.cwd(), args.out);
+  fs.writeFileSync(outPath, serializeBundle(bundle, format), 'utf8');
+
+  console.log('Texts:', bundle.entries.length);
+  if (source) {
+    const missing = bundle.entries.filter(entry => entry.source == null).length;
+    console.log('Untranslated (same as source):', bundle.entries.filter(entry => entry.untranslated).length);
+    if (missing > 0) console.error('Warning: ' + missing + ' text(s) have no counterpart in the source page.');
+  }
+  console.log('Wrote bundle:', outPath);
+}
+
+function apply(args) {
+  const { bom, html } = readPage(args.html);
+  const bundle = parseBundle(fs.readFileSync(path.resolve(process.cwd(), args.bundle), 'utf8'));
+  const result = applyBundle(html, bundle, { locale: args.locale });
+  const outPath = path.resolve(process.cwd(), args.out);
+  fs.writeFileSync(outPath, bom + result.html, 'utf8');
+
+  console.log('Bundle entries:', bundle.entries.length);
+  console.log('Changed texts:', result.applied);
+  console.log('Wrote localized file:', outPath);
+
+  const untranslated = bundle.entries.filter(entry => entry.untranslated).length;
+  if (untranslated > 0) console.error('Note: ' + untranslated + ' bundle entries are flagged as untranslated.');
+  if (result.missingKeys.length > 0) {
+    console.error('Warning: ' + result.missingKeys.length + ' page text(s) are not in the bundle and were kept: ' + result.missingKeys.slice(0, 10).join(', '));
+  }
+  if (result.unknownKeys.length > 0 || result.unmatchedEdits.length > 0) {
+    console.error(
+      'Warning: ' + result.unknownKeys.length + ' bundle key(s) do not exist in the page' +
+      (result.unknownKeys.length ? ' (' + result.unknownKeys.slice(0, 10).join(', ') + ')' : '') +
+      ' and ' + result.unmatchedEdits.length + ' text(s) could not be replaced.'
+    );
+    process.exitCode = 2;
+  } else if (args.strict && result.missingKeys.length > 0) {
+    process.exitCode = 2;
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  if (args.command === 'extract') extract(args);
+  else apply(args);
+}
+
+main();